@@ -4,9 +4,29 @@ module.exports = {
     cors: {
       origin: process.env.PUBLIC_CLIENT_URL || "http://localhost:3000",
       credentials: true,
-      methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     },
   },
+  cluster: {
+    redisUrl: process.env.REDIS_URL, // Unset: run as a single instance
+    nodeId: process.env.CLUSTER_NODE_ID, // Random per process when unset
+    advertiseURL: process.env.CLUSTER_ADVERTISE_URL, // How other nodes reach this one over HTTP
+    keyPrefix: "codeion:",
+    leaseTTL: 15 * 1000, // Room and leader leases
+    renewInterval: 5 * 1000,
+    forwardTimeout: 10 * 1000, // HTTP requests proxied to a room's owner
+  },
+  auth: {
+    jwtSecret: process.env.AUTH_JWT_SECRET,
+    issuer: process.env.AUTH_JWT_ISSUER,
+    audience: process.env.AUTH_JWT_AUDIENCE,
+    algorithms: ["HS256"],
+  },
+  challengeBank: {
+    editorRoles: ["admin", "challenge-editor"], // Token roles allowed to author challenges
+    defaultPageSize: 20,
+    maxPageSize: 100,
+  },
   vectorDB: {
     pinecone: {
       indexName: process.env.PINECONE_INDEX_NAME,
@@ -33,20 +53,136 @@ module.exports = {
   gemini: {
     baseURL: `https://generativelanguage.googleapis.com/v1/models/gemini-2.0-flash:generateContent`,
   },
+  challengeGeneration: {
+    // Generated challenges whose reference solution fails their own tests
+    // are thrown away; this caps the Gemini calls spent on one request
+    maxAttempts: 3,
+    sampleTestCount: 2, // Leading generated test cases shown to players
+  },
   judge0: {
+    mode: process.env.JUDGE0_MODE || "rapidapi", // "rapidapi" or "self-hosted"
     apiKey: process.env.JUDGE0_API_KEY || "YOUR_JUDGE0_API_KEY",
     apiHost: "judge0-ce.p.rapidapi.com",
-    baseURL: "https://judge0-ce.p.rapidapi.com",
+    baseURL: process.env.JUDGE0_BASE_URL || "https://judge0-ce.p.rapidapi.com",
+    authToken: process.env.JUDGE0_AUTH_TOKEN, // X-Auth-Token for self-hosted instances
+    callbackBaseURL: process.env.JUDGE0_CALLBACK_BASE_URL, // Public URL of this server; enables callbacks
+    callbackSecret: process.env.JUDGE0_CALLBACK_SECRET, // Required with callbackBaseURL
+    callbackBodyLimit: "10mb", // Callbacks carry the program's whole output
+    callbackTimeout: 60 * 1000, // Fall back to polling after 1 minute
+    maxEarlyCallbacks: 1000,
+  },
+  executor: {
+    backend: process.env.CODE_EXECUTOR || "judge0", // "judge0" or "local"
+    local: {
+      cpuTimeLimit: 2, // CPU seconds per run
+      wallTimeLimit: 5 * 1000, // 5 seconds per run
+      compileTimeLimit: 30 * 1000, // 30 seconds per compilation
+      memoryLimit: 256 * 1024, // Memory per run, in KB
+      compileMemoryLimit: 1024 * 1024, // Memory per compilation, in KB
+      maxOutputSize: 64 * 1024, // Combined stdout and stderr, in bytes
+      maxConcurrency: 2, // Test cases run side by side
+      // Runs each program in its own PID, mount, network and IPC namespaces
+      // and its own control group, as an unprivileged user, with the paths
+      // below hidden. Needs root, util-linux (unshare, setpriv) and cgroups
+      // with the memory and pids controllers (v1: and cpuacct). Turning it
+      // off is only allowed outside production.
+      sandbox: {
+        enabled: process.env.LOCAL_EXECUTOR_SANDBOX !== "off",
+        uid: 65534, // nobody
+        gid: 65534,
+        hiddenPaths: ["/root", "/home", "/var/tmp", "/dev/shm", "/run"],
+        cgroupRoot: process.env.LOCAL_EXECUTOR_CGROUP_ROOT || "/sys/fs/cgroup",
+        cgroupParent: "codeion-runs", // Below cgroupRoot (v1: each hierarchy)
+        maxProcesses: 128, // Processes and threads per run
+        // Room above the heap limit of node, Java and Go for the runtime
+        // itself
+        heapOverhead: 128 * 1024, // KB
+      },
+    },
   },
   appSettings: {
     maxUsersPerRoom: 5, // Set max users to 5
     maxDisconnectTime: 10 * 60 * 1000, // 10 minutes
     maxInactiveRoomTime: 2 * 60 * 60 * 1000, // 2 hours
     cleanupInterval: 30 * 1000, // 30 seconds
+    maxRunStdinSize: 64 * 1024, // Bytes of stdin accepted by run-tab
+  },
+  dsaChallenge: {
+    defaultTimeLimit: 30 * 60 * 1000, // 30 minutes
+    minTimeLimit: 60 * 1000, // 1 minute
+    maxTimeLimit: 3 * 60 * 60 * 1000, // 3 hours
+    timeSyncInterval: 10 * 1000, // How often clients get a time-sync tick
+    maxCustomInputSize: 16 * 1024, // Serialized bytes accepted by run-code
+    maxRoundProblems: 8, // Problems in one contest round
+    // Per test case, for challenges that don't set their own limits
+    testTimeLimit: 2, // CPU seconds
+    testMemoryLimit: 256 * 1024, // KB
+  },
+  scoring: {
+    // Shares of a challenge's maxScore; they add up to 1
+    baseWeight: 0.5, // For solving it at all
+    speedWeight: 0.3, // Falls to 0 as the challenge clock runs out
+    efficiencyWeight: 0.2, // Falls to 0 as runtime and memory near the limits
+    wrongAttemptPenalty: 0.1, // Share of maxScore lost per rejected attempt
+    minShare: 0.2, // An accepted solution always earns at least this share
+    partialShare: 0.5, // Most a rejected solution earns, by tests passed
+    defaultMode: "points", // Leaderboard mode of new rooms
+    firstSolveBonus: 0.25, // Share of maxScore for solving a challenge first
+    icpcPenaltyMinutes: 20, // Added per rejected attempt on a solved challenge
+    defaultMaxScore: { easy: 100, medium: 200, hard: 300 },
+  },
+  contests: {
+    minLeadTime: 60 * 1000, // A contest starts at least a minute out
+    maxLeadTime: 30 * 24 * 60 * 60 * 1000, // and at most 30 days out
+    prepareLead: 15 * 60 * 1000, // Problems are generated this long before
+    prepareRetryInterval: 60 * 1000, // Retry delay when generation fails
+    countdownWindow: 10 * 60 * 1000, // Countdown ticks in the last 10 minutes
+    countdownInterval: 10 * 1000,
+  },
+  statsOutbox: {
+    adminRoles: ["admin"], // Token roles allowed to inspect dead letters
+    pollInterval: 5 * 1000, // How often the worker looks for due updates
+    batchSize: 20, // Updates delivered per poll
+    maxAttempts: 8, // Then the update is dead-lettered
+    baseRetryDelay: 10 * 1000, // Doubles after every failed attempt
+    maxRetryDelay: 60 * 60 * 1000,
+    requestTimeout: 10 * 1000,
+    lockTimeout: 60 * 1000, // A claim older than this was lost with its node
+    deliveredRetention: 7 * 24 * 60 * 60 * 1000,
+    defaultPageSize: 20,
+    maxPageSize: 100,
+  },
+  rating: {
+    initialRating: 1200, // Players without a rating start here
+    kFactor: 32, // Most a rating moves in one challenge
+    provisionalKFactor: 48, // Used until provisionalGames are played
+    provisionalGames: 10,
+    minRating: 100,
+    // K is scaled by the difficulty of the challenges played
+    difficultyWeights: { easy: 0.75, medium: 1, hard: 1.25 },
+    historyLimit: 200, // Entries kept per player
+  },
+  matchmaking: {
+    groupSizes: [2, 3, 4], // 1v1 duels and small groups
+    initialTolerance: 100, // Rating gap accepted right after queueing
+    toleranceGrowth: 50, // Added to the gap every toleranceStep of waiting
+    toleranceStep: 10 * 1000,
+    maxTolerance: 800,
+    queueTimeout: 3 * 60 * 1000, // Players leave the queue unmatched after this
+    tickInterval: 2 * 1000, // How often the queue is matched
+    matchTimeLimit: 20 * 60 * 1000, // Challenge clock of a matched room
+  },
+  roomAccess: {
+    minPasswordLength: 4,
+    defaultInviteTTL: 24 * 60 * 60 * 1000, // 24 hours
+    maxInviteTTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxInvitesPerRoom: 50, // Including expired and revoked ones
   },
   room: {
     maxInactiveTime: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
     cleanupInterval: 60 * 60 * 1000, // 1 hour in milliseconds
+    maxOperationHistory: 500, // Operations kept per tab for transforming late edits
+    snapshotDelay: 2 * 1000, // Write-behind delay for room snapshots
   },
 
   user: {
@@ -0,0 +1,194 @@
+const dsaRoomService = require("../services/DSAChallengeRoomService");
+const ratingService = require("../services/RatingService");
+const statsOutboxService = require("../services/StatsOutboxService");
+const logger = require("../utils/logger");
+
+/**
+ * Ends the active challenge in a DSA room: announces the winner, broadcasts
+ * the final leaderboard, rates the round and queues each player's stats for
+ * delivery through the stats outbox. The winner, ratings and stats come
+ * from this round's submissions alone. Shared by the
+ * `end-challenge` socket event and the server-side challenge timer.
+ * @param {object} io - The `/dsa` namespace.
+ * @param {string} roomId
+ * @param {{endedBy: string, reason?: string}} options - `reason` is
+ * "manual" (default) or "time-up".
+ */
+const completeChallenge = async (
+  io,
+  roomId,
+  { endedBy, reason = "manual" }
+) => {
+  const room = dsaRoomService.getRoom(roomId);
+  if (!room) throw new Error("Room not found");
+  if (room.status !== "active") throw new Error("No active challenge");
+
+  const sendNotification = (type, message) => {
+    io.to(roomId).emit("notification", { type, message });
+  };
+
+  // What was played, before ending the challenge clears it
+  const played = room.round
+    ? room.round.problems
+    : [room.currentChallenge].filter(Boolean);
+  const problemIds = played.map((problem) => problem.id);
+  // Keys the stats of this round, so ending it twice doesn't count twice
+  const roundId = room.round
+    ? room.round.id
+    : room.currentChallenge && room.currentChallenge.id;
+
+  const updatedRoom = dsaRoomService.endChallenge(roomId);
+  const finalLeaderboard = dsaRoomService.getLeaderboard(roomId);
+  // Players who left during the round are ranked too
+  const roundStandings = updatedRoom.getLeaderboard({ problemIds });
+
+  // NOTIFICATION for challenge ending
+  sendNotification(
+    "warning",
+    reason === "time-up"
+      ? "⏰ Time is up! The challenge has ended."
+      : `The challenge has been ended by ${endedBy}.`
+  );
+
+  // The winner is whoever tops this round, as long as they solved something
+  const actualWinner =
+    roundStandings.find((entry) => entry.rank === 1 && entry.solved > 0) ||
+    null;
+
+  // ONLY show winner notification if someone actually solved the challenge
+  if (actualWinner) {
+    sendNotification(
+      "success",
+      `🏆 ${actualWinner.userName} wins the challenge!`
+    );
+  } else {
+    // Optional: Show a different message when no one wins
+    sendNotification(
+      "info",
+      `Challenge ended with no winners. Better luck next time!`
+    );
+  }
+
+  io.to(roomId).emit("challenge-ended", {
+    room: updatedRoom.toJSON(),
+    finalLeaderboard,
+    endedBy,
+    reason,
+  });
+
+  logger.log(`Challenge ended in room ${roomId}. Updating user stats...`);
+
+  // One standing per account, the best if they left and came back
+  const standings = [];
+  for (const entry of roundStandings) {
+    const { email } = room.getPlayer(entry.userId) || {};
+    if (!email || standings.some((standing) => standing.email === email)) {
+      continue;
+    }
+    standings.push({ email, userId: entry.userId, rank: entry.rank });
+  }
+
+  // Ratings only move when somebody solved something
+  let ratingChanges = new Map();
+  if (actualWinner) {
+    try {
+      ratingChanges = await ratingService.recordResults({
+        roomId,
+        roundId,
+        challengeIds: played.map((challenge) => challenge.challengeId),
+        difficulties: played.map((challenge) => challenge.difficulty),
+        standings: standings.map(({ email, rank }) => ({ email, rank })),
+      });
+    } catch (error) {
+      logger.error(`Failed to update ratings for room ${roomId}:`, error);
+    }
+  }
+  if (ratingChanges.size > 0) {
+    io.to(roomId).emit("ratings-updated", {
+      changes: Array.from(ratingChanges, ([email, change]) => ({
+        userId: standings.find((standing) => standing.email === email).userId,
+        ...change,
+      })),
+    });
+  }
+
+  const updates = [];
+  for (const player of [...room.users, ...room.departedUsers.values()]) {
+    if (!player.email) continue;
+
+    const userSubmissions = room.getSubmissionsFor(player.id, problemIds);
+    const acceptedSubmissions = userSubmissions.filter(
+      (sub) => sub.status === "accepted"
+    );
+    const solvedProblems = room
+      .getSolves(player.id, problemIds)
+      .map((solve) => solve.challengeId);
+    // Best score per problem of this round
+    const standing = roundStandings.find((entry) => entry.userId === player.id);
+    const totalScore = standing ? standing.score : 0;
+
+    const won = Boolean(actualWinner) && player.id === actualWinner.userId;
+    const rating = ratingChanges.get(player.email);
+    const ratingChange = rating ? rating.change : 0;
+
+    // A round can mix difficulties, so each problem counts as its own
+    const problemDifficulties = solvedProblems.map((challengeId) => {
+      const challenge = room.findChallenge(challengeId);
+      return (challenge && challenge.difficulty) || room.difficulty || "medium";
+    });
+
+    updates.push({
+      roomId,
+      roundId,
+      email: player.email,
+      payload: {
+        email: player.email,
+        stats: {
+          won,
+          ratingChange,
+          rating: rating ? rating.after : undefined,
+          solvedProblems,
+          problemDifficulties,
+          submissions: userSubmissions.length,
+          acceptedSubmissions: acceptedSubmissions.length,
+          score: totalScore,
+        },
+      },
+    });
+  }
+
+  try {
+    await statsOutboxService.enqueue(updates);
+  } catch (error) {
+    logger.error(`Failed to queue stats for room ${roomId}:`, error);
+  }
+};
+
+/**
+ * Wires the challenge timer of DSAChallengeRoomService to the `/dsa`
+ * namespace: periodic `time-sync` ticks and an automatic end on expiry.
+ * @param {object} io - The `/dsa` namespace.
+ */
+const registerChallengeTimerEvents = (io) => {
+  dsaRoomService.on("time-sync", ({ roomId, remainingTime, endTime }) => {
+    io.to(roomId).emit("time-sync", {
+      remainingTime,
+      endTime,
+      serverTime: new Date(),
+    });
+  });
+
+  dsaRoomService.on("challenge-time-up", async ({ roomId }) => {
+    try {
+      await completeChallenge(io, roomId, {
+        endedBy: "system",
+        reason: "time-up",
+      });
+      logger.log(`Challenge in room ${roomId} ended automatically (time up)`);
+    } catch (error) {
+      logger.error("Error ending timed-out challenge:", error);
+    }
+  });
+};
+
+module.exports = { completeChallenge, registerChallengeTimerEvents };
@@ -0,0 +1,164 @@
+const EventEmitter = require("events");
+const config = require("../config/config");
+const clusterService = require("../services/ClusterService");
+const logger = require("../utils/logger");
+
+const FORWARD_EVENT = "cluster:forward";
+
+/**
+ * Stands in, on the node owning a room, for a client connected to another
+ * node. Handlers register on it exactly as on a real socket; whatever they
+ * send reaches the client through the Socket.IO adapter.
+ */
+class ForwardedSocket extends EventEmitter {
+  constructor(namespace, id, data) {
+    super();
+    this.namespace = namespace;
+    this.id = id;
+    this.data = data;
+  }
+
+  // Sends to the client, like Socket#emit
+  emit(event, payload) {
+    this.namespace.to(this.id).emit(event, payload);
+    return true;
+  }
+
+  // Runs the handlers registered for a client event
+  dispatch(event, payload) {
+    return EventEmitter.prototype.emit.call(this, event, payload);
+  }
+
+  join(room) {
+    this.namespace.in(this.id).socketsJoin(room);
+  }
+
+  leave(room) {
+    this.namespace.in(this.id).socketsLeave(room);
+  }
+
+  to(room) {
+    return this.namespace.to(room).except(this.id);
+  }
+}
+
+/**
+ * Routes every client event to the node that owns the room it targets
+ * (`data.roomId`, or the socket's current room for events without one).
+ * Events for rooms owned here, or owned by nobody and taken over on the
+ * spot, run locally; the rest are relayed to the owner, which runs the
+ * namespace's connection handler against a ForwardedSocket. When a room
+ * moves to another node mid-session the client gets `room-moved` and is
+ * expected to join again with its sessionId.
+ * @param {object} namespace - The Socket.IO namespace.
+ * @param {"main"|"dsa"} kind
+ * @param {object} roomService - RoomService or DSAChallengeRoomService.
+ * @param {Function} handleConnection - The namespace's connection handler.
+ * @returns {Function} Call with each new socket, after handleConnection.
+ */
+const createClusterRouter = (
+  namespace,
+  kind,
+  roomService,
+  handleConnection
+) => {
+  const forwardedSockets = new Map(); // socketId -> ForwardedSocket
+
+  const dispatchForwarded = (socketId, auth, event, data) => {
+    let forwardedSocket = forwardedSockets.get(socketId);
+    if (!forwardedSocket) {
+      if (event === "disconnect") return;
+      forwardedSocket = new ForwardedSocket(namespace, socketId, { auth });
+      handleConnection(namespace, forwardedSocket);
+      forwardedSockets.set(socketId, forwardedSocket);
+    }
+    forwardedSocket.dispatch(event, data);
+    if (event === "disconnect") forwardedSockets.delete(socketId);
+  };
+
+  namespace.on(FORWARD_EVENT, ({ target, socketId, auth, event, data }) => {
+    if (target !== clusterService.nodeId) return;
+    try {
+      dispatchForwarded(socketId, auth, event, data);
+    } catch (error) {
+      logger.error(`Failed to handle forwarded ${event}:`, error);
+    }
+  });
+
+  // The node a client was connected to can die without relaying its
+  // disconnect, so forwarded sockets that vanished are disconnected here
+  const sweep = setInterval(async () => {
+    for (const [socketId, forwardedSocket] of forwardedSockets.entries()) {
+      try {
+        const sockets = await namespace.in(socketId).fetchSockets();
+        if (sockets.length > 0) continue;
+        forwardedSockets.delete(socketId);
+        forwardedSocket.dispatch("disconnect");
+      } catch (error) {
+        logger.error("Failed to check forwarded socket:", error);
+      }
+    }
+  }, config.cluster.leaseTTL);
+  sweep.unref();
+
+  // Resolves which node runs a room; null means this one
+  const resolveNode = async (roomId) => {
+    if (roomService.getRoom(roomId)) return null;
+    const nodeId = await clusterService.getRoomOwner(kind, roomId);
+    if (!nodeId) {
+      // Nobody holds it (new node, or its owner went away): take it over
+      await roomService.loadRoom(roomId);
+      return null;
+    }
+    return nodeId === clusterService.nodeId ? null : nodeId;
+  };
+
+  return (socket) => {
+    // Room and node the socket's events went to last
+    let current = { roomId: null, nodeId: null };
+    // Keeps events in order while owners are looked up
+    let queue = Promise.resolve();
+
+    const forward = (nodeId, event, data) =>
+      namespace.serverSideEmit(FORWARD_EVENT, {
+        target: nodeId,
+        socketId: socket.id,
+        auth: socket.data.auth,
+        event,
+        data,
+      });
+
+    const route = async (event, data, next) => {
+      const roomId = (data && data.roomId) || current.roomId;
+      if (!roomId) return next();
+
+      const nodeId = await resolveNode(roomId);
+      if (roomId === current.roomId && nodeId !== current.nodeId) {
+        current = { roomId: null, nodeId: null };
+        socket.emit("room-moved", { roomId });
+        return;
+      }
+      current = { roomId, nodeId };
+
+      if (nodeId) forward(nodeId, event, data);
+      else next();
+    };
+
+    socket.use(([event, data], next) => {
+      queue = queue
+        .then(() => route(event, data, next))
+        .catch((error) => {
+          logger.error(`Failed to route ${event}:`, error);
+          socket.emit("error", { message: "Room is temporarily unavailable" });
+        });
+    });
+
+    socket.on("disconnect", () => {
+      queue = queue.then(() => {
+        if (current.nodeId) forward(current.nodeId, "disconnect");
+      });
+    });
+  };
+};
+
+module.exports = createClusterRouter;
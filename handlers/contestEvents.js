@@ -0,0 +1,70 @@
+const dsaRoomService = require("../services/DSAChallengeRoomService");
+
+/**
+ * Tells the clients in a DSA room about its scheduled contest: when one is
+ * scheduled or cancelled, the countdown to the start, the start itself and
+ * a contest that could not run.
+ * @param {object} io - The `/dsa` namespace.
+ */
+const registerContestEvents = (io) => {
+  const sendNotification = (roomId, type, message) => {
+    io.to(roomId).emit("notification", { type, message });
+  };
+
+  dsaRoomService.on("contest-scheduled", ({ roomId }) => {
+    const room = dsaRoomService.getRoom(roomId);
+    if (!room || !room.schedule) return;
+
+    io.to(roomId).emit("contest-scheduled", {
+      contest: room.schedule.toPublic(),
+    });
+    sendNotification(
+      roomId,
+      "info",
+      `A contest is scheduled for ${room.schedule.startsAt.toISOString()}.`
+    );
+  });
+
+  dsaRoomService.on(
+    "contest-countdown",
+    ({ roomId, startsAt, remainingTime }) => {
+      io.to(roomId).emit("contest-countdown", {
+        startsAt,
+        remainingTime,
+        serverTime: new Date(),
+      });
+    }
+  );
+
+  dsaRoomService.on("contest-started", ({ roomId }) => {
+    const room = dsaRoomService.getRoom(roomId);
+    if (!room) return;
+
+    io.to(roomId).emit("contest-started", {
+      contest: room.schedule.toPublic(),
+    });
+    // Same payload as a round started by hand
+    io.to(roomId).emit("round-started", {
+      round: room.getPublicRound(),
+      startedBy: "system",
+      room: room.toJSON(),
+    });
+    sendNotification(roomId, "success", "🚀 The contest has started!");
+  });
+
+  dsaRoomService.on("contest-cancelled", ({ roomId, cancelledBy }) => {
+    io.to(roomId).emit("contest-cancelled", { cancelledBy });
+    sendNotification(
+      roomId,
+      "warning",
+      `The scheduled contest was cancelled by ${cancelledBy}.`
+    );
+  });
+
+  dsaRoomService.on("contest-failed", ({ roomId, reason }) => {
+    io.to(roomId).emit("contest-failed", { reason });
+    sendNotification(roomId, "error", `The contest could not start: ${reason}`);
+  });
+};
+
+module.exports = registerContestEvents;
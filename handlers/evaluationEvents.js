@@ -0,0 +1,27 @@
+const dsaRoomService = require("../services/DSAChallengeRoomService");
+
+/**
+ * Streams per-test evaluation progress to the submitting user. The final
+ * result is still sent by the `submit-solution` handler once every test has
+ * finished; progress events carry `partial: true`.
+ * @param {object} io - The `/dsa` namespace.
+ */
+const registerEvaluationEvents = (io) => {
+  dsaRoomService.on(
+    "evaluation-progress",
+    ({ roomId, userId, submission, testResult }) => {
+      const room = dsaRoomService.getRoom(roomId);
+      const user = room && room.users.find((u) => u.id === userId);
+      if (!user || user.disconnected) return;
+
+      io.to(user.socketId).emit("evaluation-result", {
+        submission,
+        testResults: submission.testResults,
+        testResult,
+        partial: true,
+      });
+    }
+  );
+};
+
+module.exports = registerEvaluationEvents;
@@ -1,8 +1,12 @@
 const { v4: uuidv4 } = require("uuid");
 const DSAUser = require("../models/DSAUser");
 const dsaRoomService = require("../services/DSAChallengeRoomService");
-const axios = require("axios");
+const { completeChallenge } = require("./challengeCompletion");
+const registerRoleHandlers = require("./roleHandlers");
+const { registerMatchmakingHandlers } = require("./matchmaking");
 const logger = require("../utils/logger");
+const config = require("../config/config");
+const { DIFFICULTIES } = require("../utils/challengeValidation");
 
 const handleDSAConnection = (io, socket) => {
   logger.log("DSA User connected:", socket.id);
@@ -12,10 +16,29 @@ const handleDSAConnection = (io, socket) => {
     io.to(roomId).emit("notification", { type, message });
   };
 
+  // The user behind this socket, as long as they are in `roomId`
+  const getMember = (roomId) => {
+    const user = dsaRoomService.getUserBySocketId(socket.id);
+    if (!user) return null;
+    const room = dsaRoomService.getRoom(roomId);
+    if (!room || !room.hasMember(user)) {
+      socket.emit("error", {
+        message: "You are not in this room",
+        code: "FORBIDDEN",
+      });
+      return null;
+    }
+    return user;
+  };
+
+  registerRoleHandlers(io, socket, dsaRoomService);
+  registerMatchmakingHandlers(socket);
+
   // Join DSA challenge room
   socket.on("join-dsa-room", async (data) => {
     try {
-      const { roomId, userName, sessionId, userEmail } = data;
+      const { roomId, sessionId, spectate, password, inviteToken } = data;
+      const { id: authId, name: userName, email: userEmail } = socket.data.auth;
       const room = dsaRoomService.getRoom(roomId);
       if (!userEmail) {
         socket.emit("error", { message: "User email is required to join." });
@@ -33,7 +56,8 @@ const handleDSAConnection = (io, socket) => {
         const reconnectedUser = dsaRoomService.reconnectUser(
           roomId,
           sessionId,
-          socket.id
+          socket.id,
+          authId
         );
         if (reconnectedUser) {
           user = reconnectedUser;
@@ -47,14 +71,21 @@ const handleDSAConnection = (io, socket) => {
           socket.emit("error", { message: "Room is full" });
           return;
         }
+        const access = room.authorizeJoin(authId, { password, inviteToken });
+        if (!access.allowed) {
+          socket.emit("error", { message: access.message, code: access.code });
+          return;
+        }
         const newSessionId = uuidv4();
         const newUserId = uuidv4();
+        if (spectate) room.markSpectator(authId);
         user = new DSAUser(
           newUserId,
           userName,
           socket.id,
           newSessionId,
-          userEmail
+          userEmail,
+          authId
         );
         dsaRoomService.addUserToRoom(roomId, user);
         logger.log(`${userName} joined DSA room ${roomId} for the first time`);
@@ -97,10 +128,9 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("set-room-topic", (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId, topic } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
-
-      const { roomId, topic } = data;
       const room = dsaRoomService.getRoom(roomId);
 
       if (!room) {
@@ -108,15 +138,16 @@ const handleDSAConnection = (io, socket) => {
         return;
       }
 
-      if (room.createdBy !== user.name) {
+      if (!room.can(user, "set-topic")) {
         socket.emit("error", {
-          message: "Only the room creator can set the topic.",
+          message: "Only the room owner or a moderator can set the topic.",
         });
         return;
       }
 
       room.topic = topic;
       room.lastActivity = new Date();
+      dsaRoomService.scheduleSnapshot(roomId);
 
       io.to(roomId).emit("room-topic-updated", { topic, updatedBy: user.name });
 
@@ -136,10 +167,9 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("generate-challenge", async (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId, difficulty, topic } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
-
-      const { roomId, difficulty, topic } = data;
       const room = dsaRoomService.getRoom(roomId);
 
       if (!room) {
@@ -147,9 +177,9 @@ const handleDSAConnection = (io, socket) => {
         return;
       }
 
-      if (room.createdBy !== user.name && room.users.length > 1) {
+      if (!room.can(user, "generate-challenge") && room.users.length > 1) {
         socket.emit("error", {
-          message: "Only room creator can generate challenges",
+          message: "Only the room owner or a moderator can generate challenges",
         });
         return;
       }
@@ -165,7 +195,7 @@ const handleDSAConnection = (io, socket) => {
       if (result.success) {
         // Success case - emit new challenge with cache info
         io.to(roomId).emit("new-challenge", {
-          challenge: room.currentChallenge,
+          challenge: room.getPublicChallenge(),
           generatedBy: user.name,
           room: room.toJSON(),
           cached: result.cached,
@@ -211,13 +241,84 @@ const handleDSAConnection = (io, socket) => {
     }
   });
 
+  // Contest round: `problems` lists one { difficulty, topic } per problem,
+  // each defaulting to the room's own
+  socket.on("start-round", async (data) => {
+    try {
+      const { roomId, problems } = data || {};
+      const user = getMember(roomId);
+      if (!user) return;
+      const room = dsaRoomService.getRoom(roomId);
+      if (!room) {
+        socket.emit("error", { message: "Room not found" });
+        return;
+      }
+      if (!room.can(user, "generate-challenge") && room.users.length > 1) {
+        socket.emit("error", {
+          message: "Only the room owner or a moderator can start a round",
+        });
+        return;
+      }
+
+      const { maxRoundProblems } = config.dsaChallenge;
+      if (
+        !Array.isArray(problems) ||
+        problems.length === 0 ||
+        problems.length > maxRoundProblems
+      ) {
+        socket.emit("error", {
+          message: `A round needs 1 to ${maxRoundProblems} problems`,
+        });
+        return;
+      }
+      const specs = problems.map((problem) => ({
+        difficulty: (problem && problem.difficulty) || room.difficulty,
+        topic: (problem && problem.topic) || room.topic,
+      }));
+      if (specs.some((spec) => !DIFFICULTIES.includes(spec.difficulty))) {
+        socket.emit("error", { message: "Invalid difficulty level" });
+        return;
+      }
+
+      sendNotification(
+        roomId,
+        "info",
+        `${user.name} is preparing a ${specs.length}-problem round...`
+      );
+      const result = await dsaRoomService.startRound(roomId, specs, user.email);
+
+      if (result.success) {
+        io.to(roomId).emit("round-started", {
+          round: result.round,
+          startedBy: user.name,
+          room: room.toJSON(),
+        });
+        sendNotification(
+          roomId,
+          "success",
+          `A ${specs.length}-problem round was started by ${user.name}!`
+        );
+      } else {
+        sendNotification(roomId, "error", result.error);
+        socket.emit("ai-generation-failed", {
+          error: result.error,
+          details: result.details,
+        });
+      }
+    } catch (error) {
+      logger.error("Error in start-round:", error);
+      socket.emit("error", { message: error.message });
+    }
+  });
+
   socket.on("save-code", (data) => {
-    const { roomId, code } = data;
-    const user = dsaRoomService.getUserBySocketId(socket.id);
+    const { roomId, code } = data || {};
+    const user = getMember(roomId);
+    if (!user) return;
     const room = dsaRoomService.getRoom(roomId);
-    if (!room || !user) return;
 
     room.saveUserCode(user.id, code);
+    dsaRoomService.scheduleSnapshot(roomId);
 
     socket.emit("code-saved", {
       userId: user.id,
@@ -228,19 +329,23 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("submit-solution", async (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
-      if (!user) throw new Error("User session not found");
-
-      const { roomId, solution } = data;
+      const { roomId, solution, problemId } = data || {};
+      const user = getMember(roomId);
+      if (!user) return;
       if (!roomId || !solution || !solution.language || !solution.code) {
         throw new Error("Invalid submission data");
       }
 
       const room = dsaRoomService.getRoom(roomId);
       if (!room) throw new Error("Room not found");
+      if (!room.can(user, "submit")) {
+        throw new Error("Spectators cannot submit solutions");
+      }
       if (!room.currentChallenge?.id) throw new Error("No challenge is active");
 
-      const challengeId = room.currentChallenge.id;
+      const problem = room.getProblem(problemId);
+      if (!problem) throw new Error("Problem not found");
+      const challengeId = problem.id;
 
       // ✅ Block duplicate accepted submissions
       const alreadySolved = dsaRoomService.hasAlreadySolved(
@@ -261,7 +366,8 @@ const handleDSAConnection = (io, socket) => {
       const result = await dsaRoomService.submitSolution(
         roomId,
         user.id,
-        solution
+        solution,
+        challengeId
       );
 
       if (!result.success) {
@@ -306,16 +412,16 @@ const handleDSAConnection = (io, socket) => {
           // NEW: Mark challenge as solved if accepted
           if (
             evaluationResult.submission.status === "accepted" &&
-            room.currentChallenge?.challengeId
+            problem.challengeId
           ) {
             try {
               await dsaRoomService.markChallengeAsSolved(
                 roomId,
                 user.id,
-                room.currentChallenge.challengeId
+                problem.challengeId
               );
               logger.log(
-                `Challenge ${room.currentChallenge.challengeId} marked as solved by ${user.email}`
+                `Challenge ${problem.challengeId} marked as solved by ${user.email}`
               );
             } catch (markError) {
               logger.warn(
@@ -332,6 +438,7 @@ const handleDSAConnection = (io, socket) => {
             lastSubmission: {
               userId: user.id,
               userName: user.name,
+              challengeId: evaluationResult.submission.challengeId,
               status: evaluationResult.submission.status,
               score: evaluationResult.submission.score,
             },
@@ -342,13 +449,17 @@ const handleDSAConnection = (io, socket) => {
             sendNotification(
               roomId,
               "success",
-              `🎉 ${user.name} passed all test cases!`
+              `🎉 ${user.name} passed all test cases${
+                problem.label ? ` on problem ${problem.label}` : ""
+              }!`
             );
           } else {
             sendNotification(
               roomId,
               "warning",
-              `${user.name}'s submission failed some test cases.`
+              `${user.name}'s submission${
+                problem.label ? ` for problem ${problem.label}` : ""
+              } failed some test cases.`
             );
           }
         } catch (evalError) {
@@ -379,145 +490,58 @@ const handleDSAConnection = (io, socket) => {
     }
   });
 
-  socket.on("end-challenge", async (data) => {
+  // Try code against the sample tests or a custom input. Nothing is
+  // recorded: no submission, no leaderboard or stats change.
+  socket.on("run-code", async (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId, language, code, customInput, problemId } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
+      if (!roomId || !language || !code) {
+        throw new Error("Invalid run data");
+      }
 
-      const { roomId } = data;
+      const room = dsaRoomService.getRoom(roomId);
+      if (!room) throw new Error("Room not found");
+      if (!room.can(user, "run-code")) {
+        throw new Error("Spectators cannot run code");
+      }
+
+      const result = await dsaRoomService.runCode(roomId, user.id, {
+        language,
+        code,
+        customInput,
+        problemId,
+      });
+      socket.emit("run-result", { roomId, problemId, ...result });
+    } catch (error) {
+      logger.error("Run code error:", error.message);
+      socket.emit("error", {
+        message: error.message || "Failed to run code",
+        code: "RUN_ERROR",
+      });
+    }
+  });
+
+  socket.on("end-challenge", async (data) => {
+    try {
+      const { roomId } = data || {};
+      const user = getMember(roomId);
+      if (!user) return;
       const room = dsaRoomService.getRoom(roomId);
       if (!room) {
         socket.emit("error", { message: "Room not found" });
         return;
       }
 
-      if (room.createdBy !== user.name) {
+      if (!room.can(user, "end-challenge")) {
         socket.emit("error", {
-          message: "Only room creator can end challenges",
+          message: "Only the room owner or a moderator can end challenges",
         });
         return;
       }
 
-      const updatedRoom = dsaRoomService.endChallenge(roomId);
-      const finalLeaderboard = dsaRoomService.getLeaderboard(roomId);
-
-      // NOTIFICATION for challenge ending
-      sendNotification(
-        roomId,
-        "warning",
-        `The challenge has been ended by ${user.name}.`
-      );
-
-      // Determine the ACTUAL winner (who solved the challenge)
-      const allSubmissions = [];
-      room.users.forEach((u) => {
-        const subs = room.getUserSubmissions(u.id);
-        const solved = subs.find((s) => s.status === "accepted");
-        if (solved) {
-          allSubmissions.push({
-            userId: u.id,
-            userName: u.name,
-            score: solved.score,
-          });
-        }
-      });
-
-      let actualWinner = null;
-      if (allSubmissions.length > 0) {
-        allSubmissions.sort((a, b) => b.score - a.score);
-        actualWinner = allSubmissions[0];
-      }
-
-      // ONLY show winner notification if someone actually solved the challenge
-      if (actualWinner) {
-        sendNotification(
-          roomId,
-          "success",
-          `🏆 ${actualWinner.userName} wins the challenge!`
-        );
-      } else {
-        // Optional: Show a different message when no one wins
-        sendNotification(
-          roomId,
-          "info",
-          `Challenge ended with no winners. Better luck next time!`
-        );
-      }
-
-      io.to(roomId).emit("challenge-ended", {
-        room: updatedRoom.toJSON(),
-        finalLeaderboard,
-        endedBy: user.name,
-      });
-
-      logger.log(`Challenge ended in room ${roomId}. Updating user stats...`);
-
-      try {
-        for (const player of room.users) {
-          if (!player.email) continue;
-
-          const userSubmissions = room.getUserSubmissions(player.id);
-          const acceptedSubmissions = userSubmissions.filter(
-            (sub) => sub.status === "accepted"
-          );
-          const solvedProblems = acceptedSubmissions.map(
-            (sub) => sub.challengeId
-          );
-          const totalScore = acceptedSubmissions.reduce(
-            (sum, sub) => sum + (sub.score || 0),
-            0
-          );
-
-          let ratingChange = 0;
-          let won = false;
-
-          if (actualWinner) {
-            won = player.id === actualWinner.userId;
-            if (won) {
-              ratingChange = 25;
-            } else if (acceptedSubmissions.length > 0) {
-              ratingChange = 10;
-            } else {
-              ratingChange = -5;
-            }
-          }
-
-          const problemDifficulties = solvedProblems.map(
-            () => room.difficulty || "medium"
-          );
-
-          const payload = {
-            email: player.email,
-            stats: {
-              won,
-              ratingChange,
-              solvedProblems,
-              problemDifficulties,
-              submissions: userSubmissions.length,
-              acceptedSubmissions: acceptedSubmissions.length,
-              score: totalScore,
-            },
-          };
-
-          await axios.post(
-            `${process.env.FRONTEND_API_URL}/api/user/update-stats`,
-            payload,
-            {
-              headers: {
-                "Content-Type": "application/json",
-                "x-internal-api-key": process.env.INTERNAL_API_SECRET,
-              },
-            }
-          );
-
-          logger.log(`Successfully updated stats for ${player.email}`);
-        }
-      } catch (apiError) {
-        logger.error(
-          "Failed to update user stats via API:",
-          apiError.response ? apiError.response.data : apiError.message
-        );
-      }
+      await completeChallenge(io, roomId, { endedBy: user.name });
     } catch (error) {
       logger.error("Error in end-challenge:", error);
       socket.emit("error", { message: error.message });
@@ -526,10 +550,23 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("get-user-submissions", (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId, userId } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
-      const { roomId, userId } = data;
       const targetUserId = userId || user.id;
+      if (targetUserId !== user.id) {
+        const room = dsaRoomService.getRoom(roomId);
+        if (!room) {
+          socket.emit("error", { message: "Room not found" });
+          return;
+        }
+        if (!room.can(user, "view-submissions")) {
+          socket.emit("error", {
+            message: "You can only see your own submissions",
+          });
+          return;
+        }
+      }
       const submissions = dsaRoomService.getUserSubmissions(
         roomId,
         targetUserId
@@ -543,9 +580,9 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("get-leaderboard", (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
-      const { roomId } = data;
       const leaderboard = dsaRoomService.getLeaderboard(roomId);
       socket.emit("leaderboard-data", { leaderboard });
     } catch (error) {
@@ -556,9 +593,9 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("change-language", (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId, language } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
-      const { roomId, language } = data;
       user.setLanguage(language);
       socket.to(roomId).emit("user-language-changed", {
         userId: user.id,
@@ -573,9 +610,9 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("get-room-info", (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
-      const { roomId } = data;
       const room = dsaRoomService.getRoom(roomId);
       if (!room) {
         socket.emit("error", { message: "Room not found" });
@@ -616,9 +653,9 @@ const handleDSAConnection = (io, socket) => {
 
   socket.on("leave-room", (data) => {
     try {
-      const user = dsaRoomService.getUserBySocketId(socket.id);
+      const { roomId } = data || {};
+      const user = getMember(roomId);
       if (!user) return;
-      const { roomId } = data;
       dsaRoomService.removeUserPermanently(roomId, user.id);
       socket.leave(roomId);
       socket.to(roomId).emit("dsa-user-left", {
@@ -0,0 +1,33 @@
+const executor = require("../services/executors");
+const clusterService = require("../services/ClusterService");
+const logger = require("../utils/logger");
+
+const CALLBACK_EVENT = "judge0:callback";
+
+/**
+ * Judge0 calls back whichever node the load balancer picks, not the one
+ * that submitted the code. Callbacks nobody on the receiving node waits
+ * for are relayed to the other nodes through the Socket.IO adapter, and
+ * the node holding the token takes them.
+ * @param {object} io - The namespace whose adapter carries the relay.
+ */
+const registerJudge0CallbackRelay = (io) => {
+  // The local executor has no callbacks
+  if (typeof executor.handleCallback !== "function") return;
+
+  executor.on("unclaimed-callback", (payload) => {
+    if (clusterService.isClustered()) {
+      io.serverSideEmit(CALLBACK_EVENT, payload);
+    }
+  });
+
+  io.on(CALLBACK_EVENT, (payload) => {
+    try {
+      executor.handleCallback(payload, { relayed: true });
+    } catch (error) {
+      logger.error("Failed to handle relayed Judge0 callback:", error);
+    }
+  });
+};
+
+module.exports = registerJudge0CallbackRelay;
@@ -0,0 +1,81 @@
+const matchmakingService = require("../services/MatchmakingService");
+const logger = require("../utils/logger");
+
+/**
+ * Registers the matchmaking events of one `/dsa` socket:
+ * `matchmaking-join` with { difficulty, topic, language, size } and
+ * `matchmaking-cancel`. A player who disconnects leaves the queue, or the
+ * match being set up for them.
+ * @param {object} socket - The connected socket.
+ */
+const registerMatchmakingHandlers = (socket) => {
+  socket.on("matchmaking-join", async (data) => {
+    try {
+      await matchmakingService.enqueue(
+        { auth: socket.data.auth, socketId: socket.id },
+        data || {}
+      );
+    } catch (error) {
+      socket.emit("matchmaking-error", { message: error.message });
+    }
+  });
+
+  socket.on("matchmaking-cancel", () => {
+    matchmakingService.cancel(socket.data.auth.id);
+  });
+
+  socket.on("disconnect", () => {
+    const entry = matchmakingService.entryOf(socket.data.auth.id);
+    if (entry && entry.socketId === socket.id) {
+      matchmakingService.cancel(entry.authId, "disconnected");
+    }
+  });
+};
+
+/**
+ * Relays MatchmakingService to the queued players' sockets. Matched
+ * players get the room to join with `join-dsa-room`.
+ * @param {object} io - The `/dsa` namespace.
+ */
+const registerMatchmakingEvents = (io) => {
+  matchmakingService.setConnectionCheck((socketId) => {
+    const socket = io.sockets.get(socketId);
+    return Boolean(socket && socket.connected);
+  });
+
+  matchmakingService.on("queued", ({ entry, queueSize }) => {
+    io.to(entry.socketId).emit("matchmaking-queued", {
+      difficulty: entry.difficulty,
+      topic: entry.topic,
+      size: entry.size,
+      rating: entry.rating,
+      queueSize,
+    });
+  });
+
+  matchmakingService.on("cancelled", ({ entry, reason }) => {
+    io.to(entry.socketId).emit("matchmaking-cancelled", { reason });
+  });
+
+  matchmakingService.on("timed-out", ({ entry }) => {
+    io.to(entry.socketId).emit("matchmaking-timeout", {
+      message: "No opponents found. Please try again.",
+    });
+  });
+
+  matchmakingService.on("matched", ({ roomId, room, group }) => {
+    for (const member of group) {
+      io.to(member.socketId).emit("match-found", {
+        roomId,
+        room: room.toJSON(),
+        language: member.language,
+        opponents: group
+          .filter((other) => other !== member)
+          .map((other) => ({ name: other.name, rating: other.rating })),
+      });
+    }
+    logger.log(`Sent match-found for DSA room ${roomId}`);
+  });
+};
+
+module.exports = { registerMatchmakingHandlers, registerMatchmakingEvents };
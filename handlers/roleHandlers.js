@@ -0,0 +1,167 @@
+const {
+  ROLES,
+  canAssignRole,
+  outranks,
+  stepRole,
+} = require("../utils/roomRoles");
+const logger = require("../utils/logger");
+
+/**
+ * Registers the moderation events shared by the `/main` and `/dsa`
+ * namespaces: promote-user, demote-user, kick-user, mute-user, unmute-user
+ * and transfer-ownership.
+ * @param {object} io - The namespace.
+ * @param {object} socket - The connected socket.
+ * @param {object} roomService - RoomService or DSAChallengeRoomService.
+ */
+const registerRoleHandlers = (io, socket, roomService) => {
+  // Resolves the acting user, the room and the user being acted on
+  const getContext = (roomId, targetUserId) => {
+    const actor = roomService.getUserBySocketId(socket.id);
+    const room = roomService.getRoom(roomId);
+    if (!actor || !room) throw new Error("Room not found");
+    if (!room.hasMember(actor)) throw new Error("You are not in this room");
+
+    const target = room.users.find((u) => u.id === targetUserId);
+    if (!target) throw new Error("User not found in room");
+    return { actor, room, target };
+  };
+
+  const deny = (message) => {
+    socket.emit("error", { message, code: "FORBIDDEN" });
+  };
+
+  const usersOf = (room) => room.users.map((u) => u.toJSON());
+
+  const handle = (eventName, handler) => {
+    socket.on(eventName, (data) => {
+      try {
+        handler(data || {});
+      } catch (error) {
+        logger.error(`Error in ${eventName}:`, error);
+        socket.emit("error", { message: error.message });
+      }
+    });
+  };
+
+  const changeRole =
+    (direction) =>
+    ({ roomId, userId }) => {
+      const { actor, room, target } = getContext(roomId, userId);
+      const currentRole = room.getRole(target);
+      const newRole = stepRole(currentRole, direction);
+
+      if (
+        !newRole ||
+        !canAssignRole(room.getRole(actor), currentRole, newRole)
+      ) {
+        deny("You are not allowed to change this user's role");
+        return;
+      }
+
+      room.setRole(target.authId, newRole);
+      roomService.scheduleSnapshot(roomId);
+
+      io.to(roomId).emit("user-role-changed", {
+        userId: target.id,
+        userName: target.name,
+        role: newRole,
+        changedBy: actor.name,
+        users: usersOf(room),
+      });
+      logger.log(
+        `${actor.name} changed ${target.name}'s role to ${newRole} in room ${roomId}`
+      );
+    };
+
+  const setMuted =
+    (muted) =>
+    ({ roomId, userId }) => {
+      const { actor, room, target } = getContext(roomId, userId);
+      const actorRole = room.getRole(actor);
+
+      if (
+        !room.can(actor, "mute") ||
+        !outranks(actorRole, room.getRole(target))
+      ) {
+        deny("You are not allowed to mute this user");
+        return;
+      }
+
+      room.setMuted(target.authId, muted);
+      roomService.scheduleSnapshot(roomId);
+
+      io.to(roomId).emit("user-muted", {
+        userId: target.id,
+        userName: target.name,
+        muted,
+        changedBy: actor.name,
+        users: usersOf(room),
+      });
+    };
+
+  handle("promote-user", changeRole(1));
+  handle("demote-user", changeRole(-1));
+  handle("mute-user", setMuted(true));
+  handle("unmute-user", setMuted(false));
+
+  handle("kick-user", ({ roomId, userId }) => {
+    const { actor, room, target } = getContext(roomId, userId);
+    const actorRole = room.getRole(actor);
+
+    if (
+      !room.can(actor, "kick") ||
+      !outranks(actorRole, room.getRole(target))
+    ) {
+      deny("You are not allowed to kick this user");
+      return;
+    }
+
+    // Kicked users stay out until the owner lifts the ban, and need a fresh
+    // credential for a private room even then
+    if (target.authId) room.setBanned(target.authId, true);
+    room.access.forget(target.authId);
+    roomService.removeUserPermanently(roomId, target.id);
+    if (target.socketId) {
+      io.to(target.socketId).emit("kicked", { roomId, kickedBy: actor.name });
+      io.in(target.socketId).socketsLeave(roomId);
+    }
+
+    io.to(roomId).emit("user-kicked", {
+      userId: target.id,
+      userName: target.name,
+      kickedBy: actor.name,
+      users: usersOf(room),
+    });
+    logger.log(`${actor.name} kicked ${target.name} from room ${roomId}`);
+  });
+
+  handle("transfer-ownership", ({ roomId, userId }) => {
+    const { actor, room, target } = getContext(roomId, userId);
+
+    if (!room.can(actor, "transfer-ownership")) {
+      deny("Only the room owner can transfer ownership");
+      return;
+    }
+    if (target.id === actor.id || !target.authId) {
+      deny("Ownership can only be transferred to another signed-in user");
+      return;
+    }
+
+    room.transferOwnership(target.authId);
+    roomService.scheduleSnapshot(roomId);
+
+    io.to(roomId).emit("ownership-transferred", {
+      userId: target.id,
+      userName: target.name,
+      previousOwner: actor.name,
+      role: ROLES.OWNER,
+      users: usersOf(room),
+    });
+    logger.log(
+      `${actor.name} transferred ownership of room ${roomId} to ${target.name}`
+    );
+  });
+};
+
+module.exports = registerRoleHandlers;
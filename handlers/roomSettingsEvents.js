@@ -0,0 +1,40 @@
+const dsaRoomService = require("../services/DSAChallengeRoomService");
+
+/**
+ * Tells the clients in a DSA room about changes made through the REST API:
+ * settings updates and the room being closed by its owner.
+ * @param {object} io - The `/dsa` namespace.
+ */
+const registerRoomSettingsEvents = (io) => {
+  dsaRoomService.on(
+    "room-settings-updated",
+    ({ roomId, updates, updatedBy }) => {
+      const room = dsaRoomService.getRoom(roomId);
+      if (!room) return;
+
+      io.to(roomId).emit("room-settings-updated", {
+        room: room.toJSON(),
+        updates,
+        updatedBy,
+      });
+      // Clients that only know the older topic event
+      if (updates.topic !== undefined) {
+        io.to(roomId).emit("room-topic-updated", {
+          topic: updates.topic,
+          updatedBy,
+        });
+      }
+      io.to(roomId).emit("notification", {
+        type: "info",
+        message: `Room settings updated by ${updatedBy}.`,
+      });
+    }
+  );
+
+  dsaRoomService.on("room-closed", ({ roomId, closedBy }) => {
+    io.to(roomId).emit("room-closed", { roomId, closedBy });
+    io.in(roomId).socketsLeave(roomId);
+  });
+};
+
+module.exports = registerRoomSettingsEvents;
@@ -1,14 +1,52 @@
 const { v4: uuidv4 } = require("uuid");
 const User = require("../models/User");
 const roomService = require("../services/RoomService");
+const STATUS = require("../services/executors/status");
+const registerRoleHandlers = require("./roleHandlers");
 const logger = require("../utils/logger");
 
+// The main tab is shared by everyone, so it has its own permission
+const editPermissionFor = (tabId) =>
+  tabId === "main" ? "edit-main-tab" : "edit";
+
 const handleConnection = (io, socket) => {
   logger.log("User connected:", socket.id);
 
+  // Checks a room permission for the user behind this socket and tells the
+  // client when it is missing
+  const isAllowed = (roomId, user, permission) => {
+    const room = roomService.getRoom(roomId);
+    if (room && room.can(user, permission)) return true;
+    socket.emit("error", {
+      message: "You do not have permission to do that",
+      code: "FORBIDDEN",
+    });
+    return false;
+  };
+
+  // The user behind this socket, as long as they are in `roomId`. Room
+  // events name their room themselves, so without this a socket could act
+  // on any room it knows the id of.
+  const getMember = (roomId) => {
+    const user = roomService.getUserBySocketId(socket.id);
+    if (!user) return null;
+    const room = roomService.getRoom(roomId);
+    if (!room || !room.hasMember(user)) {
+      socket.emit("error", {
+        message: "You are not in this room",
+        code: "FORBIDDEN",
+      });
+      return null;
+    }
+    return user;
+  };
+
+  registerRoleHandlers(io, socket, roomService);
+
   socket.on("join-room", async (data) => {
     try {
-      const { roomId, userName, sessionId } = data;
+      const { roomId, sessionId, spectate, password, inviteToken } = data;
+      const { id: authId, name: userName } = socket.data.auth;
       const room = roomService.getRoom(roomId);
 
       if (!room) {
@@ -23,7 +61,8 @@ const handleConnection = (io, socket) => {
         const reconnectedUser = roomService.reconnectUser(
           roomId,
           sessionId,
-          socket.id
+          socket.id,
+          authId
         );
         if (reconnectedUser) {
           user = reconnectedUser;
@@ -33,9 +72,15 @@ const handleConnection = (io, socket) => {
       }
 
       if (!isReconnecting) {
+        const access = room.authorizeJoin(authId, { password, inviteToken });
+        if (!access.allowed) {
+          socket.emit("error", { message: access.message, code: access.code });
+          return;
+        }
         const newSessionId = uuidv4();
         const newUserId = uuidv4();
-        user = new User(newUserId, userName, socket.id, newSessionId);
+        if (spectate) room.markSpectator(authId);
+        user = new User(newUserId, userName, socket.id, newSessionId, authId);
         roomService.addUserToRoom(roomId, user);
         logger.log(`${userName} joined room ${roomId} for the first time`);
       }
@@ -77,23 +122,64 @@ const handleConnection = (io, socket) => {
   });
 
   socket.on("code-change", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, code, tabId } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-    const { roomId, code, tabId } = data;
+    if (!isAllowed(roomId, user, editPermissionFor(tabId))) return;
     const success = roomService.updateTabCode(roomId, tabId, code);
     if (!success) return;
+    const tab = roomService.getTabFromRoom(roomId, tabId);
     socket.to(roomId).emit("code-update", {
       code,
       tabId,
+      revision: tab.revision,
+      userId: user.id,
+      userName: user.name,
+    });
+  });
+
+  // Delta-based editing: the client sends the operation together with the
+  // tab revision it was made against and waits for the ack before sending
+  // the next one.
+  socket.on("code-operation", (data) => {
+    const { roomId, tabId, revision, operation, selection } = data || {};
+    const user = getMember(roomId);
+    if (!user) return;
+    const room = roomService.getRoom(roomId);
+    const result =
+      room && !room.can(user, editPermissionFor(tabId))
+        ? { success: false, reason: "You do not have permission to edit" }
+        : roomService.applyTabOperation(roomId, tabId, revision, operation);
+
+    if (!result.success) {
+      // The client is too far behind or sent a broken operation; give it
+      // the authoritative buffer to start over from.
+      const tab = roomService.getTabFromRoom(roomId, tabId);
+      socket.emit("tab-resync", {
+        tabId,
+        code: tab ? tab.code : "",
+        revision: tab ? tab.revision : 0,
+        reason: result.reason,
+      });
+      return;
+    }
+
+    socket.emit("operation-ack", { tabId, revision: result.revision });
+    socket.to(roomId).emit("code-operation", {
+      tabId,
+      revision: result.revision,
+      operation: result.operation,
+      selection,
       userId: user.id,
       userName: user.name,
     });
   });
 
   socket.on("create-tab", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, tab } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-    const { roomId, tab } = data;
+    if (!isAllowed(roomId, user, "edit")) return;
     // Assign the creator to the tab and set as private by default
     const newTab = { ...tab, createdBy: user.id, isPublic: false };
     const success = roomService.addTabToRoom(roomId, newTab);
@@ -107,9 +193,9 @@ const handleConnection = (io, socket) => {
   });
 
   socket.on("delete-tab", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, tabId } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-    const { roomId, tabId } = data;
     // Pass userId to check for ownership
     const result = roomService.deleteTabFromRoom(roomId, tabId, user.id);
     if (result && result.success) {
@@ -121,10 +207,9 @@ const handleConnection = (io, socket) => {
   });
 
   socket.on("share-tab", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, tabId, isPublic } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-
-    const { roomId, tabId, isPublic } = data;
     const result = roomService.setTabPublicInRoom(
       roomId,
       tabId,
@@ -159,9 +244,9 @@ const handleConnection = (io, socket) => {
   });
 
   socket.on("switch-tab", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, tabId } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-    const { roomId, tabId } = data;
     user.switchTab(tabId);
     const tab = roomService.getTabFromRoom(roomId, tabId);
     if (tab) {
@@ -169,6 +254,7 @@ const handleConnection = (io, socket) => {
         tabId,
         code: tab.code,
         language: tab.language,
+        revision: tab.revision,
       });
     }
     const currentUsers = roomService.getAllUsersInRoom(roomId);
@@ -180,10 +266,89 @@ const handleConnection = (io, socket) => {
     });
   });
 
+  // Runs a tab's code and streams its output to everyone looking at the tab
+  socket.on("run-tab", (data) => {
+    const { roomId, tabId, stdin } = data || {};
+    const user = getMember(roomId);
+    if (!user) return;
+    if (!isAllowed(roomId, user, "run-code")) return;
+
+    const room = roomService.getRoom(roomId);
+    const tab = room.getTab(tabId);
+    const canSee = (roomUser) =>
+      tab.isPublic ||
+      tab.createdBy === "system" ||
+      tab.createdBy === roomUser.id;
+    if (!tab || !canSee(user)) {
+      socket.emit("error", { message: "Tab not found" });
+      return;
+    }
+
+    // Whoever started the run follows it even if they switched away
+    const emitToViewers = (event, payload) => {
+      room.users.forEach((roomUser) => {
+        if (roomUser.disconnected || !canSee(roomUser)) return;
+        if (roomUser.activeTab === tabId || roomUser.id === user.id) {
+          io.to(roomUser.socketId).emit(event, payload);
+        }
+      });
+    };
+
+    let started;
+    try {
+      started = roomService.startTabRun(roomId, tabId, {
+        stdin: stdin || "",
+        startedBy: user.id,
+        onOutput: (chunk) => emitToViewers("tab-run-output", chunk),
+      });
+    } catch (error) {
+      socket.emit("error", { message: error.message, code: "RUN_ERROR" });
+      return;
+    }
+
+    const { run, finished } = started;
+    emitToViewers("tab-run-started", {
+      ...run,
+      startedByName: user.name,
+    });
+
+    finished
+      .then((result) => {
+        emitToViewers("tab-run-finished", {
+          runId: run.runId,
+          tabId,
+          status: result.status,
+          cancelled: result.status.id === STATUS.cancelled.id,
+          compilationError: result.compileOutput,
+          time: result.time,
+          memory: result.memory,
+        });
+      })
+      .catch((error) => {
+        logger.error(`Run of tab ${tabId} in room ${roomId} failed:`, error);
+        emitToViewers("tab-run-finished", {
+          runId: run.runId,
+          tabId,
+          error: error.message || "Code execution failed",
+        });
+      });
+  });
+
+  socket.on("cancel-tab-run", (data) => {
+    const { roomId, tabId } = data || {};
+    const user = getMember(roomId);
+    if (!user) return;
+    if (!isAllowed(roomId, user, "run-code")) return;
+    if (!roomService.cancelTabRun(roomId, tabId)) {
+      socket.emit("error", { message: "Nothing is running on this tab" });
+    }
+  });
+
   socket.on("language-change", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, language, tabId } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-    const { roomId, language, tabId } = data;
+    if (!isAllowed(roomId, user, editPermissionFor(tabId))) return;
     const success = roomService.updateTabLanguage(roomId, tabId, language);
     if (!success) return;
     socket.to(roomId).emit("language-changed", {
@@ -195,9 +360,10 @@ const handleConnection = (io, socket) => {
   });
 
   socket.on("chat-message", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, message } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-    const { roomId, message } = data;
+    if (!isAllowed(roomId, user, "chat")) return;
     const timestamp = new Date();
     io.to(roomId).emit("chat-message", {
       id: uuidv4(),
@@ -210,9 +376,9 @@ const handleConnection = (io, socket) => {
   });
 
   socket.on("leave-room", (data) => {
-    const user = roomService.getUserBySocketId(socket.id);
+    const { roomId, userId } = data || {};
+    const user = getMember(roomId);
     if (!user) return;
-    const { roomId, userId } = data;
     if (user.id !== userId) return;
     roomService.removeUserPermanently(roomId, userId);
     const currentUsers = roomService.getAllUsersInRoom(roomId);
@@ -0,0 +1,28 @@
+const { createClient } = require("redis");
+const logger = require("../utils/logger");
+
+/**
+ * Opens the Redis connections used in cluster mode: one for commands and a
+ * publisher/subscriber pair for the Socket.IO adapter.
+ * @param {string} url
+ * @returns {Promise<{client: object, pubClient: object, subClient: object}>}
+ */
+const connectToRedis = async (url) => {
+  const client = createClient({ url });
+  const pubClient = client.duplicate();
+  const subClient = client.duplicate();
+
+  [client, pubClient, subClient].forEach((connection) =>
+    connection.on("error", (error) => logger.error("Redis error:", error))
+  );
+
+  await Promise.all([
+    client.connect(),
+    pubClient.connect(),
+    subClient.connect(),
+  ]);
+  console.log("✅ Redis connected");
+  return { client, pubClient, subClient };
+};
+
+module.exports = connectToRedis;
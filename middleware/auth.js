@@ -0,0 +1,86 @@
+const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+
+/**
+ * Verifies a signed JWT and returns the identity it carries. `roles` are
+ * application-wide (e.g. "admin"), unlike the per-room roles.
+ * @param {string} token
+ * @returns {{id: string, email: string, name: string, roles: string[]}}
+ */
+const verifyToken = (token) => {
+  const { jwtSecret, issuer, audience, algorithms } = config.auth;
+  if (!jwtSecret) {
+    throw new Error("Authentication is not configured");
+  }
+  if (!token) {
+    throw new Error("Authentication required");
+  }
+
+  const payload = jwt.verify(token, jwtSecret, {
+    algorithms,
+    issuer: issuer || undefined,
+    audience: audience || undefined,
+  });
+
+  const id = payload.sub || payload.email;
+  if (!id) {
+    throw new Error("Token does not identify a user");
+  }
+
+  return {
+    id: String(id),
+    email: payload.email || null,
+    name: payload.name || payload.email || String(id),
+    roles: Array.isArray(payload.roles) ? payload.roles.map(String) : [],
+  };
+};
+
+const extractBearerToken = (header) => {
+  if (!header || typeof header !== "string") return null;
+  const [scheme, token] = header.split(" ");
+  return scheme && scheme.toLowerCase() === "bearer" ? token : null;
+};
+
+// Express middleware: attaches the verified identity as `req.auth`
+const authenticateRequest = (req, res, next) => {
+  try {
+    req.auth = verifyToken(extractBearerToken(req.headers.authorization));
+    next();
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+};
+
+// Express middleware: lets the request through only when the verified
+// identity holds one of `roles`. Use after authenticateRequest.
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    const granted = (req.auth && req.auth.roles) || [];
+    if (roles.some((role) => granted.includes(role))) return next();
+    res.status(403).json({
+      success: false,
+      message: "You do not have access to this resource",
+    });
+  };
+
+// Socket.IO middleware: attaches the verified identity as `socket.data.auth`.
+// Clients pass the token as `auth: { token }` or an Authorization header.
+const authenticateSocket = (socket, next) => {
+  try {
+    const token =
+      (socket.handshake.auth && socket.handshake.auth.token) ||
+      extractBearerToken(socket.handshake.headers.authorization);
+    socket.data.auth = verifyToken(token);
+    next();
+  } catch (error) {
+    next(new Error(error.message));
+  }
+};
+
+module.exports = {
+  verifyToken,
+  authenticateRequest,
+  requireRole,
+  authenticateSocket,
+};
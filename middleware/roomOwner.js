@@ -0,0 +1,57 @@
+const axios = require("axios");
+const config = require("../config/config");
+const clusterService = require("../services/ClusterService");
+const logger = require("../utils/logger");
+
+const FORWARDED_HEADER = "x-codeion-forwarded-by";
+
+/**
+ * Sends room-scoped requests (`:roomId` in the path) to the node that owns
+ * the room. Rooms owned here, or owned by nobody and taken over on the spot,
+ * are served by the local routes. Requests are forwarded at most once.
+ * @param {"main"|"dsa"} kind
+ * @param {object} roomService - RoomService or DSAChallengeRoomService.
+ */
+const forwardToRoomOwner = (kind, roomService) => async (req, res, next) => {
+  const { roomId } = req.params;
+  if (roomService.getRoom(roomId) || req.get(FORWARDED_HEADER)) return next();
+
+  try {
+    const nodeId = await clusterService.getRoomOwner(kind, roomId);
+    if (!nodeId) {
+      await roomService.loadRoom(roomId);
+      return next();
+    }
+    if (nodeId === clusterService.nodeId) return next();
+
+    const baseURL = await clusterService.getNodeURL(nodeId);
+    if (!baseURL) {
+      return res.status(503).json({
+        success: false,
+        message: "The server hosting this room cannot be reached",
+      });
+    }
+
+    const response = await axios.request({
+      method: req.method,
+      url: new URL(req.originalUrl, baseURL).toString(),
+      data: ["GET", "HEAD"].includes(req.method) ? undefined : req.body,
+      headers: {
+        Authorization: req.get("authorization"),
+        "Content-Type": "application/json",
+        [FORWARDED_HEADER]: clusterService.nodeId,
+      },
+      timeout: config.cluster.forwardTimeout,
+      validateStatus: () => true,
+    });
+    res.status(response.status).json(response.data);
+  } catch (error) {
+    logger.error(`Failed to forward request for room ${roomId}:`, error);
+    res.status(502).json({
+      success: false,
+      message: "The server hosting this room did not respond",
+    });
+  }
+};
+
+module.exports = forwardToRoomOwner;
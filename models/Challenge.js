@@ -38,12 +38,46 @@ const challengeSchema = new mongoose.Schema({
     {
       input: mongoose.Schema.Types.Mixed,
       output: mongoose.Schema.Types.Mixed,
+      // Sample tests (hidden: false) are shown to players; all tests judge
+      hidden: {
+        type: Boolean,
+        default: true,
+      },
     },
   ],
   functionName: {
     type: String,
     required: true,
   },
+  // Parameter and return types, e.g. { params: [{ name: "nums", type:
+  // "int[]" }], returnType: "int" }. Older challenges have none and get one
+  // inferred from their test cases.
+  signature: {
+    params: [{ _id: false, name: String, type: { type: String } }],
+    returnType: String,
+  },
+  // How outputs are judged; see services/checkers.js. Challenges without
+  // one compare JSON values.
+  checker: {
+    type: {
+      type: String,
+      enum: ["exact", "json", "unordered", "float", "custom"],
+    },
+    tolerance: Number,
+    nested: Boolean,
+    code: String,
+  },
+  // Per test case; config.dsaChallenge applies when unset
+  limits: {
+    timeLimit: Number, // CPU seconds
+    memoryLimit: Number, // KB
+  },
+  // Known-good solution the test cases were verified against; never sent
+  // to players
+  referenceSolution: {
+    language: String,
+    code: String,
+  },
   topic: {
     type: String,
     required: true,
@@ -66,6 +100,19 @@ const challengeSchema = new mongoose.Schema({
     },
   ],
   embedding: [Number], // Gemini embedding vector
+  source: {
+    type: String,
+    enum: ["generated", "manual"],
+    default: "generated",
+  },
+  createdBy: String, // Author of manually written challenges
+  // Retired challenges stay in MongoDB but are never handed out again
+  retired: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  retiredAt: Date,
   usageCount: {
     type: Number,
     default: 0,
@@ -79,6 +126,7 @@ const challengeSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  updatedAt: Date,
 });
 
 // Compound indexes for efficient querying
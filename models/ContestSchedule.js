@@ -0,0 +1,233 @@
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const { DIFFICULTIES } = require("../utils/challengeValidation");
+
+// scheduled -> ready once the problems are generated -> running -> finished.
+// A contest can be cancelled before it runs, and fails when its problems
+// are not ready in time or the server was down for its whole window.
+const STATUSES = [
+  "scheduled",
+  "ready",
+  "running",
+  "finished",
+  "cancelled",
+  "failed",
+];
+const UPCOMING = ["scheduled", "ready", "running"];
+
+const toDate = (value, name) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * A contest round set to start at a fixed time in a DSA room. Players
+ * register during the registration window; the problems are generated
+ * ahead of time and stay hidden until the round starts.
+ */
+class ContestSchedule {
+  constructor() {
+    this.id = uuidv4();
+    this.status = "scheduled";
+    this.startsAt = null;
+    this.duration = null; // ms
+    this.registrationOpensAt = null;
+    this.registrationClosesAt = null;
+    this.problems = []; // { difficulty, topic } per problem
+    this.challenges = []; // Generated problems, never sent before the start
+    this.registrants = new Set(); // authIds
+    this.createdBy = null; // { id, name, email }
+    this.failureReason = null;
+  }
+
+  /**
+   * Validates and builds a schedule. Registration opens now and closes at
+   * the start unless given.
+   * @param {object} options
+   * @param {Date|string} options.startsAt
+   * @param {number} options.duration - In ms.
+   * @param {Date|string} [options.registrationOpensAt]
+   * @param {Date|string} [options.registrationClosesAt]
+   * @param {{difficulty: string, topic: string}[]} options.problems
+   * @param {{id: string, name: string, email: string}} options.createdBy
+   * @returns {ContestSchedule}
+   */
+  static create(options, now = new Date()) {
+    const { minLeadTime, maxLeadTime } = config.contests;
+    const { minTimeLimit, maxTimeLimit, maxRoundProblems } =
+      config.dsaChallenge;
+
+    const startsAt = toDate(options.startsAt, "startsAt");
+    if (startsAt - now < minLeadTime || startsAt - now > maxLeadTime) {
+      throw new Error(
+        `startsAt must be between ${minLeadTime / 60000} minutes and ${
+          maxLeadTime / 86400000
+        } days from now`
+      );
+    }
+
+    const duration = Number(options.duration);
+    if (
+      !Number.isFinite(duration) ||
+      duration < minTimeLimit ||
+      duration > maxTimeLimit
+    ) {
+      throw new Error(
+        `Duration must be between ${minTimeLimit / 60000} and ${
+          maxTimeLimit / 60000
+        } minutes`
+      );
+    }
+
+    const registrationOpensAt =
+      options.registrationOpensAt !== undefined
+        ? toDate(options.registrationOpensAt, "registrationOpensAt")
+        : now;
+    const registrationClosesAt =
+      options.registrationClosesAt !== undefined
+        ? toDate(options.registrationClosesAt, "registrationClosesAt")
+        : startsAt;
+    if (
+      registrationOpensAt >= registrationClosesAt ||
+      registrationClosesAt > startsAt
+    ) {
+      throw new Error(
+        "Registration must open before it closes, and close by the start"
+      );
+    }
+
+    const { problems } = options;
+    if (
+      !Array.isArray(problems) ||
+      problems.length === 0 ||
+      problems.length > maxRoundProblems
+    ) {
+      throw new Error(`A contest needs 1 to ${maxRoundProblems} problems`);
+    }
+    if (
+      problems.some(
+        (problem) =>
+          !problem ||
+          !DIFFICULTIES.includes(problem.difficulty) ||
+          typeof problem.topic !== "string" ||
+          !problem.topic.trim()
+      )
+    ) {
+      throw new Error("Every problem needs a valid difficulty and a topic");
+    }
+
+    const schedule = new ContestSchedule();
+    schedule.startsAt = startsAt;
+    schedule.duration = duration;
+    schedule.registrationOpensAt = registrationOpensAt;
+    schedule.registrationClosesAt = registrationClosesAt;
+    schedule.problems = problems.map(({ difficulty, topic }) => ({
+      difficulty,
+      topic: topic.trim(),
+    }));
+    schedule.createdBy = options.createdBy;
+    return schedule;
+  }
+
+  get endsAt() {
+    return new Date(this.startsAt.getTime() + this.duration);
+  }
+
+  isUpcoming() {
+    return UPCOMING.includes(this.status);
+  }
+
+  isRegistrationOpen(now = new Date()) {
+    return (
+      ["scheduled", "ready"].includes(this.status) &&
+      now >= this.registrationOpensAt &&
+      now < this.registrationClosesAt
+    );
+  }
+
+  isRegistered(authId) {
+    return this.registrants.has(authId);
+  }
+
+  register(authId, now = new Date()) {
+    if (!this.isRegistrationOpen(now)) {
+      throw new Error("Registration for this contest is closed");
+    }
+    this.registrants.add(authId);
+  }
+
+  unregister(authId, now = new Date()) {
+    if (!this.isRegistrationOpen(now)) {
+      throw new Error("Registration for this contest is closed");
+    }
+    this.registrants.delete(authId);
+  }
+
+  setStatus(status, failureReason = null) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown contest status: ${status}`);
+    }
+    this.status = status;
+    this.failureReason = failureReason;
+  }
+
+  /**
+   * What anyone may see before the start: the schedule and the shape of
+   * the problem set, but not the problems.
+   * @param {string} [authId] - Adds whether this identity registered.
+   */
+  toPublic(authId) {
+    return {
+      id: this.id,
+      status: this.status,
+      startsAt: this.startsAt,
+      endsAt: this.endsAt,
+      duration: this.duration,
+      registrationOpensAt: this.registrationOpensAt,
+      registrationClosesAt: this.registrationClosesAt,
+      registrationOpen: this.isRegistrationOpen(),
+      problems: this.problems,
+      registrantCount: this.registrants.size,
+      registered: authId ? this.isRegistered(authId) : undefined,
+      createdBy: this.createdBy && this.createdBy.name,
+      failureReason: this.failureReason,
+    };
+  }
+
+  toSnapshot() {
+    return {
+      id: this.id,
+      status: this.status,
+      startsAt: this.startsAt,
+      duration: this.duration,
+      registrationOpensAt: this.registrationOpensAt,
+      registrationClosesAt: this.registrationClosesAt,
+      problems: this.problems,
+      challenges: this.challenges,
+      registrants: Array.from(this.registrants),
+      createdBy: this.createdBy,
+      failureReason: this.failureReason,
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    const schedule = new ContestSchedule();
+    schedule.id = snapshot.id;
+    schedule.status = snapshot.status;
+    schedule.startsAt = new Date(snapshot.startsAt);
+    schedule.duration = snapshot.duration;
+    schedule.registrationOpensAt = new Date(snapshot.registrationOpensAt);
+    schedule.registrationClosesAt = new Date(snapshot.registrationClosesAt);
+    schedule.problems = snapshot.problems || [];
+    schedule.challenges = snapshot.challenges || [];
+    schedule.registrants = new Set(snapshot.registrants || []);
+    schedule.createdBy = snapshot.createdBy || null;
+    schedule.failureReason = snapshot.failureReason || null;
+    return schedule;
+  }
+}
+
+module.exports = ContestSchedule;
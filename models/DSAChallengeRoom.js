@@ -1,22 +1,82 @@
 const { v4: uuidv4 } = require("uuid");
 const config = require("../config/config");
+const DSAUser = require("./DSAUser");
+const RoomAccess = require("./RoomAccess");
+const ContestSchedule = require("./ContestSchedule");
+const { ROLES, roomRoleMethods } = require("../utils/roomRoles");
+const { isHiddenTestCase } = require("../utils/challengeValidation");
+const { scoreSubmission, resolveMaxScore } = require("../utils/scoring");
+
+const MINUTE = 60 * 1000;
+
+// Tiebreakers per scoring mode, most significant first; players equal on
+// every key share a rank
+const LEADERBOARD_ORDER = {
+  points: [
+    ["score", "desc"],
+    ["lastSolvedAt", "asc"],
+  ],
+  icpc: [
+    ["solved", "desc"],
+    ["penalty", "asc"],
+    ["lastSolvedAt", "asc"],
+  ],
+  "first-blood": [
+    ["score", "desc"],
+    ["firstSolves", "desc"],
+    ["lastSolvedAt", "asc"],
+  ],
+};
+
+// Everything on a playable challenge is broadcast, so the answer stays out
+const toPlayable = (challenge, startTime, endTime) => {
+  const { referenceSolution, ...playable } = challenge;
+  return { id: uuidv4(), ...playable, startTime, endTime };
+};
+
+// Players who never solved anything rank after those who did
+const sortValue = (entry, key) =>
+  key === "lastSolvedAt"
+    ? entry.lastSolvedAt
+      ? new Date(entry.lastSolvedAt).getTime()
+      : Infinity
+    : entry[key];
+
+const compareEntries = (order) => (a, b) => {
+  for (const [key, direction] of order) {
+    const difference = sortValue(a, key) - sortValue(b, key);
+    if (difference) return direction === "asc" ? difference : -difference;
+  }
+  return 0;
+};
 
 class DSAChallengeRoom {
-  constructor(id, name, difficulty, isPrivate, createdBy) {
+  constructor(id, name, difficulty, isPrivate, createdBy, timeLimit, ownerId) {
     this.id = id;
     this.name = name;
     this.difficulty = difficulty;
     this.isPrivate = isPrivate;
-    this.createdBy = createdBy;
+    this.createdBy = createdBy; // Display name of the creator
+    this.ownerId = ownerId; // Verified identity of the creator
     this.users = [];
+    this.roles = new Map(); // authId -> role, the owner is implied by ownerId
+    this.mutedUsers = new Set(); // authIds
+    this.bannedUsers = new Set(); // authIds kicked until the owner lets them back
+    this.access = new RoomAccess(); // Password and invites for private rooms
     this.topic = "any";
     this.currentChallenge = null;
+    this.round = null; // { id, problems } in contest mode, on the room clock
+    this.schedule = null; // ContestSchedule of the next or last contest
     this.challengeHistory = [];
     this.userSubmissions = new Map();
-    this.leaderboard = new Map();
+    // userId -> { id, name, email, color } of players who left mid-challenge;
+    // their submissions stay until the next challenge so they are still rated
+    this.departedUsers = new Map();
+    this.leaderboard = new Map(); // userId -> points, best per challenge
+    this.scoringMode = config.scoring.defaultMode;
     this.userCodes = new Map();
     this.status = "waiting";
-    this.timeLimit = 30 * 60 * 1000;
+    this.timeLimit = timeLimit || config.dsaChallenge.defaultTimeLimit;
     this.startTime = null;
     this.endTime = null;
     this.createdAt = new Date();
@@ -28,29 +88,62 @@ class DSAChallengeRoom {
       throw new Error("Room is full");
     }
     this.users.push(user);
+    this.refreshUserRoles();
     this.leaderboard.set(user.id, 0);
     this.userSubmissions.set(user.id, []);
     this.lastActivity = new Date();
   }
 
   removeUser(userId) {
-    this.users = this.users.filter((user) => user.id !== userId);
+    const user = this.users.find((u) => u.id === userId);
+    this.users = this.users.filter((u) => u.id !== userId);
     this.leaderboard.delete(userId);
-    this.userSubmissions.delete(userId);
+    if (
+      user &&
+      this.status === "active" &&
+      this.getUserSubmissions(userId).length > 0
+    ) {
+      const { id, name, email, color } = user;
+      this.departedUsers.set(userId, { id, name, email, color });
+    } else {
+      this.userSubmissions.delete(userId);
+    }
     this.lastActivity = new Date();
   }
 
+  /**
+   * A player in the room, or one who left during the current challenge.
+   * @returns {object|null}
+   */
+  getPlayer(userId) {
+    return (
+      this.users.find((u) => u.id === userId) ||
+      this.departedUsers.get(userId) ||
+      null
+    );
+  }
+
+  // A new challenge only ranks the players who are still here
+  clearDepartedUsers() {
+    for (const userId of this.departedUsers.keys()) {
+      this.userSubmissions.delete(userId);
+    }
+    this.departedUsers.clear();
+  }
+
   isFull() {
     return this.users.length >= config.appSettings.maxUsersPerRoom;
   }
 
   setCurrentChallenge(challenge) {
-    this.currentChallenge = {
-      id: uuidv4(),
-      ...challenge,
-      startTime: new Date(),
-      endTime: new Date(Date.now() + this.timeLimit),
-    };
+    // A single challenge replaces any round in progress
+    this.round = null;
+    this.clearDepartedUsers();
+    this.currentChallenge = toPlayable(
+      challenge,
+      new Date(),
+      new Date(Date.now() + this.timeLimit)
+    );
     this.challengeHistory.push(this.currentChallenge);
     this.status = "active";
     this.startTime = new Date();
@@ -58,15 +151,103 @@ class DSAChallengeRoom {
     this.lastActivity = new Date();
   }
 
-  submitSolution(userId, solution) {
+  /**
+   * Starts a contest round: several problems on one clock, labelled A, B,
+   * C... Players choose which problem each submission is for. The first
+   * problem doubles as `currentChallenge` for clients that only know single
+   * challenges.
+   * @param {object[]} challenges
+   * @param {number} [duration] - In ms; the room's time limit by default.
+   */
+  startRound(challenges, duration = this.timeLimit) {
+    const startTime = new Date();
+    const endTime = new Date(Date.now() + duration);
+    const problems = challenges.map((challenge, index) => ({
+      ...toPlayable(challenge, startTime, endTime),
+      label: String.fromCharCode(65 + index),
+    }));
+
+    this.round = { id: uuidv4(), problems };
+    this.clearDepartedUsers();
+    this.challengeHistory.push(...problems);
+    this.currentChallenge = problems[0];
+    this.status = "active";
+    this.startTime = startTime;
+    this.endTime = endTime;
+    this.lastActivity = new Date();
+  }
+
+  /**
+   * A problem that can be played right now: one of the round's problems,
+   * or the current challenge. Without an id, the current challenge.
+   * @returns {object|null}
+   */
+  getProblem(problemId) {
+    if (!problemId) return this.currentChallenge;
+    if (this.round) {
+      return this.round.problems.find((p) => p.id === problemId) || null;
+    }
+    return this.currentChallenge && this.currentChallenge.id === problemId
+      ? this.currentChallenge
+      : null;
+  }
+
+  /**
+   * A challenge as players may see it, the current one by default: sample
+   * tests only, plus how many hidden tests the judging uses.
+   */
+  getPublicChallenge(current = this.currentChallenge) {
+    if (!current) return null;
+    const { testCases = [], checker, ...challenge } = current;
+    return {
+      ...challenge,
+      // A custom checker's code can give the answers away
+      checker: checker && { ...checker, code: undefined },
+      testCases: testCases.filter((testCase) => !isHiddenTestCase(testCase)),
+      hiddenTestCount: testCases.filter(isHiddenTestCase).length,
+    };
+  }
+
+  getPublicRound() {
+    if (!this.round) return null;
+    return {
+      id: this.round.id,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      problems: this.round.problems.map((problem) =>
+        this.getPublicChallenge(problem)
+      ),
+    };
+  }
+
+  submitSolution(userId, solution, problemId) {
     if (!this.currentChallenge || this.status !== "active") {
       return { success: false, message: "No active challenge" };
     }
 
+    if (this.isTimeUp()) {
+      return { success: false, message: "Time is up for this challenge" };
+    }
+
+    const problem = this.getProblem(problemId);
+    if (!problem) {
+      return { success: false, message: "Problem not found" };
+    }
+
+    if (this.schedule && this.schedule.status === "running") {
+      const user = this.users.find((u) => u.id === userId);
+      if (!user || !this.schedule.isRegistered(user.authId)) {
+        return {
+          success: false,
+          message: "Only registered players can submit in this contest",
+        };
+      }
+    }
+
     const submission = {
       id: uuidv4(),
       userId,
-      challengeId: this.currentChallenge.id,
+      challengeId: problem.id,
       solution,
       language: solution.language,
       code: solution.code,
@@ -84,17 +265,64 @@ class DSAChallengeRoom {
     return { success: true, submission };
   }
 
+  /**
+   * Records a judged submission and scores it against the challenge it was
+   * made for. Only a player's best accepted submission per challenge counts
+   * towards the leaderboard.
+   */
   updateSubmissionResult(submissionId, result) {
     for (const [userId, submissions] of this.userSubmissions.entries()) {
       const submission = submissions.find((s) => s.id === submissionId);
       if (submission) {
+        const others = submissions.filter(
+          (s) => s !== submission && s.challengeId === submission.challengeId
+        );
+        const earlier = others.filter(
+          (s) => new Date(s.submittedAt) <= new Date(submission.submittedAt)
+        );
+        const previousBest = Math.max(
+          0,
+          ...others
+            .filter((s) => s.status === "accepted")
+            .map((s) => s.score || 0)
+        );
+
         submission.status = result.status;
+        submission.verdict = result.verdict || null;
         submission.testResults = result.testResults;
-        submission.score = result.score;
+        submission.maxTime = result.maxTime ?? null;
+        submission.maxMemory = result.maxMemory ?? null;
+        submission.score = 0;
 
-        if (result.status === "accepted") {
+        if (result.status === "accepted" || result.status === "rejected") {
+          const challenge = this.findChallenge(submission.challengeId);
+          const startTime = challenge && new Date(challenge.startTime);
+          const { score, breakdown } = scoreSubmission({
+            challenge,
+            result,
+            accepted: result.status === "accepted",
+            solveTime: startTime
+              ? new Date(submission.submittedAt) - startTime
+              : 0,
+            timeLimit: challenge
+              ? new Date(challenge.endTime) - startTime
+              : this.timeLimit,
+            // Code that doesn't compile costs nothing
+            wrongAttempts: earlier.filter(
+              (s) =>
+                s.status === "rejected" && s.verdict !== "compilation_error"
+            ).length,
+          });
+          submission.score = score;
+          submission.scoreBreakdown = breakdown;
+        }
+
+        if (result.status === "accepted" && submission.score > previousBest) {
           const currentScore = this.leaderboard.get(userId) || 0;
-          this.leaderboard.set(userId, currentScore + result.score);
+          this.leaderboard.set(
+            userId,
+            currentScore + submission.score - previousBest
+          );
         }
 
         this.lastActivity = new Date();
@@ -104,35 +332,217 @@ class DSAChallengeRoom {
     return { success: false, message: "Submission not found" };
   }
 
-  getLeaderboard() {
-    return Array.from(this.leaderboard.entries())
-      .map(([userId, score]) => {
-        const user = this.users.find((u) => u.id === userId);
-        return {
-          userId,
-          userName: user ? user.name : "Unknown",
-          userColor: user ? user.color : "#000000",
-          score,
-          submissions: this.userSubmissions.get(userId)?.length || 0,
-          acceptedSubmissions:
-            this.userSubmissions
-              .get(userId)
-              ?.filter((s) => s.status === "accepted").length || 0,
-        };
-      })
-      .sort((a, b) => b.score - a.score);
+  /**
+   * A player's solved challenges, each judged by its earliest accepted
+   * submission, with the rejected attempts that came before it. Code that
+   * doesn't compile is not counted as an attempt.
+   * @param {string} userId
+   * @param {string[]} [problemIds] - Only these problems; all by default.
+   * @returns {{challengeId: string, solvedAt: Date, wrongAttempts: number}[]}
+   */
+  getSolves(userId, problemIds) {
+    const byChallenge = new Map();
+    for (const submission of this.getSubmissionsFor(userId, problemIds)) {
+      const list = byChallenge.get(submission.challengeId) || [];
+      list.push(submission);
+      byChallenge.set(submission.challengeId, list);
+    }
+
+    const solves = [];
+    for (const [challengeId, submissions] of byChallenge.entries()) {
+      submissions.sort(
+        (a, b) => new Date(a.submittedAt) - new Date(b.submittedAt)
+      );
+      const firstAccepted = submissions.findIndex(
+        (s) => s.status === "accepted"
+      );
+      if (firstAccepted === -1) continue;
+      solves.push({
+        challengeId,
+        solvedAt: new Date(submissions[firstAccepted].submittedAt),
+        wrongAttempts: submissions
+          .slice(0, firstAccepted)
+          .filter(
+            (s) => s.status === "rejected" && s.verdict !== "compilation_error"
+          ).length,
+      });
+    }
+    return solves;
+  }
+
+  /**
+   * Ranked players with the columns of the room's scoring mode: `score`
+   * for points, `solved` and `penalty` (minutes) for icpc, and
+   * `firstSolves` for first-blood. During a round each entry also has one
+   * scoreboard cell per problem. Spectators watch the leaderboard but are
+   * not ranked on it.
+   * @param {object} [options]
+   * @param {string[]} [options.problemIds] - Standings of these problems
+   * alone, e.g. the round that just ended, which also rank the players who
+   * left during it. By default everything played in the room counts.
+   */
+  getLeaderboard({ problemIds } = {}) {
+    const mode = LEADERBOARD_ORDER[this.scoringMode]
+      ? this.scoringMode
+      : "points";
+    const players = problemIds
+      ? [...this.leaderboard.keys(), ...this.departedUsers.keys()]
+      : Array.from(this.leaderboard.keys());
+    const ranked = players.filter((userId) => {
+      const user = this.users.find((u) => u.id === userId);
+      return !user || this.getRole(user) !== ROLES.SPECTATOR;
+    });
+    const solvesByUser = new Map(
+      ranked.map((userId) => [userId, this.getSolves(userId, problemIds)])
+    );
+
+    // First to submit a passing solution, not first to be judged
+    const firstSolvers = new Map();
+    for (const [userId, solves] of solvesByUser.entries()) {
+      for (const { challengeId, solvedAt } of solves) {
+        const first = firstSolvers.get(challengeId);
+        if (!first || solvedAt < first.solvedAt) {
+          firstSolvers.set(challengeId, { userId, solvedAt });
+        }
+      }
+    }
+
+    const entries = ranked.map((userId) => {
+      const user = this.getPlayer(userId);
+      const submissions = this.getSubmissionsFor(userId, problemIds);
+      const solves = solvesByUser.get(userId);
+      const lastSolvedAt = solves.length
+        ? new Date(Math.max(...solves.map((s) => s.solvedAt.getTime())))
+        : null;
+      const entry = {
+        userId,
+        userName: user ? user.name : "Unknown",
+        userColor: user ? user.color : "#000000",
+        score: problemIds
+          ? this.getBestScore(userId, problemIds)
+          : this.leaderboard.get(userId) || 0,
+        solved: solves.length,
+        lastSolvedAt,
+        submissions: submissions.length,
+        acceptedSubmissions: submissions.filter((s) => s.status === "accepted")
+          .length,
+      };
+
+      if (mode === "icpc") {
+        entry.penalty = solves.reduce((total, solve) => {
+          const challenge = this.findChallenge(solve.challengeId);
+          const elapsed = challenge
+            ? Math.floor(
+                (solve.solvedAt - new Date(challenge.startTime)) / MINUTE
+              )
+            : 0;
+          return (
+            total +
+            elapsed +
+            solve.wrongAttempts * config.scoring.icpcPenaltyMinutes
+          );
+        }, 0);
+      }
+
+      if (mode === "first-blood") {
+        const firsts = solves.filter(
+          (solve) => firstSolvers.get(solve.challengeId).userId === userId
+        );
+        entry.firstSolves = firsts.length;
+        entry.score += firsts.reduce(
+          (total, solve) =>
+            total +
+            Math.round(
+              resolveMaxScore(this.findChallenge(solve.challengeId)) *
+                config.scoring.firstSolveBonus
+            ),
+          0
+        );
+      }
+
+      if (this.round) {
+        entry.problems = this.round.problems.map((problem) =>
+          this.getProblemStatus(userId, problem, solves, firstSolvers)
+        );
+      }
+
+      return entry;
+    });
+
+    const compare = compareEntries(LEADERBOARD_ORDER[mode]);
+    entries.sort(compare);
+    entries.forEach((entry, index) => {
+      const previous = entries[index - 1];
+      entry.rank =
+        previous && compare(previous, entry) === 0 ? previous.rank : index + 1;
+    });
+    return entries;
+  }
+
+  /**
+   * One scoreboard cell: whether a player solved a round problem, after
+   * how many minutes and wrong attempts, and whether they solved it first.
+   */
+  getProblemStatus(userId, problem, solves, firstSolvers) {
+    const solve = solves.find((s) => s.challengeId === problem.id);
+    const submissions = this.getUserSubmissions(userId).filter(
+      (s) => s.challengeId === problem.id
+    );
+    return {
+      problemId: problem.id,
+      label: problem.label,
+      solved: Boolean(solve),
+      solvedAt: solve
+        ? Math.floor((solve.solvedAt - new Date(problem.startTime)) / MINUTE)
+        : null,
+      wrongAttempts: solve
+        ? solve.wrongAttempts
+        : submissions.filter(
+            (s) => s.status === "rejected" && s.verdict !== "compilation_error"
+          ).length,
+      pending: submissions.some((s) => s.status === "pending"),
+      firstSolve: Boolean(
+        solve && firstSolvers.get(problem.id).userId === userId
+      ),
+    };
+  }
+
+  findChallenge(challengeId) {
+    return this.challengeHistory.find((c) => c.id === challengeId) || null;
   }
 
   getUserSubmissions(userId) {
     return this.userSubmissions.get(userId) || [];
   }
 
+  getSubmissionsFor(userId, problemIds) {
+    const submissions = this.getUserSubmissions(userId);
+    return problemIds
+      ? submissions.filter((s) => problemIds.includes(s.challengeId))
+      : submissions;
+  }
+
+  // Best accepted score per problem, added up; the leaderboard's score
+  // limited to these problems
+  getBestScore(userId, problemIds) {
+    const best = new Map();
+    for (const submission of this.getSubmissionsFor(userId, problemIds)) {
+      if (submission.status !== "accepted") continue;
+      best.set(
+        submission.challengeId,
+        Math.max(best.get(submission.challengeId) || 0, submission.score || 0)
+      );
+    }
+    return Array.from(best.values()).reduce((total, score) => total + score, 0);
+  }
+
   endChallenge() {
     this.status = "completed";
     this.endTime = new Date();
     this.lastActivity = new Date();
   }
 
+  // The last round's problems stay for the final scoreboard
   resetChallenge() {
     this.currentChallenge = null;
     this.status = "waiting";
@@ -141,6 +551,11 @@ class DSAChallengeRoom {
     this.lastActivity = new Date();
   }
 
+  // Rooms waiting for a contest are kept even when nobody is in them
+  hasUpcomingContest() {
+    return Boolean(this.schedule && this.schedule.isUpcoming());
+  }
+
   isTimeUp() {
     if (!this.endTime || this.status !== "active") return false;
     return new Date() > this.endTime;
@@ -165,18 +580,164 @@ class DSAChallengeRoom {
     this.userCodes.set(userId, code);
   }
 
+  /**
+   * Plain representation stored by the persistence layer.
+   */
+  toSnapshot() {
+    const submissions = [];
+    for (const userSubmissions of this.userSubmissions.values()) {
+      for (const submission of userSubmissions) {
+        submissions.push({
+          id: submission.id,
+          userId: submission.userId,
+          challengeId: submission.challengeId,
+          language: submission.language,
+          code: submission.code,
+          submittedAt: submission.submittedAt,
+          status: submission.status,
+          verdict: submission.verdict,
+          testResults: submission.testResults,
+          maxTime: submission.maxTime,
+          maxMemory: submission.maxMemory,
+          score: submission.score,
+          scoreBreakdown: submission.scoreBreakdown,
+        });
+      }
+    }
+
+    return {
+      roomId: this.id,
+      name: this.name,
+      difficulty: this.difficulty,
+      isPrivate: this.isPrivate,
+      createdBy: this.createdBy,
+      ownerId: this.ownerId,
+      roles: Array.from(this.roles.entries()).map(([authId, role]) => ({
+        authId,
+        role,
+      })),
+      mutedUsers: Array.from(this.mutedUsers),
+      bannedUsers: Array.from(this.bannedUsers),
+      access: this.access.toSnapshot(),
+      topic: this.topic,
+      scoringMode: this.scoringMode,
+      status: this.status,
+      timeLimit: this.timeLimit,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      currentChallenge: this.currentChallenge,
+      // Problems are kept once, in the history
+      round: this.round && {
+        id: this.round.id,
+        problemIds: this.round.problems.map((problem) => problem.id),
+      },
+      challengeHistory: this.challengeHistory,
+      schedule: this.schedule && this.schedule.toSnapshot(),
+      users: this.users.map((user) => user.toSnapshot()),
+      departedUsers: Array.from(this.departedUsers.values()),
+      submissions,
+      leaderboard: Array.from(this.leaderboard.entries()).map(
+        ([userId, score]) => ({ userId, score })
+      ),
+      userCodes: Array.from(this.userCodes.entries()).map(([userId, code]) => ({
+        userId,
+        code,
+      })),
+      createdAt: this.createdAt,
+      lastActivity: this.lastActivity,
+    };
+  }
+
+  /**
+   * Rebuilds a room from a stored snapshot. An active challenge keeps its
+   * end time, so the downtime counts against it, and restored users
+   * come back disconnected until they rejoin with their sessionId.
+   * @param {object} snapshot - A DSARoomSnapshot document or its plain object.
+   * @returns {DSAChallengeRoom}
+   */
+  static fromSnapshot(snapshot) {
+    const room = new DSAChallengeRoom(
+      snapshot.roomId,
+      snapshot.name,
+      snapshot.difficulty,
+      snapshot.isPrivate,
+      snapshot.createdBy,
+      snapshot.timeLimit,
+      snapshot.ownerId
+    );
+    room.topic = snapshot.topic || "any";
+    room.scoringMode = snapshot.scoringMode || "points";
+    room.status = snapshot.status || "waiting";
+    room.currentChallenge = snapshot.currentChallenge || null;
+    room.challengeHistory = snapshot.challengeHistory || [];
+    room.schedule = snapshot.schedule
+      ? ContestSchedule.fromSnapshot(snapshot.schedule)
+      : null;
+    if (snapshot.round) {
+      const { id, problemIds = [] } = snapshot.round;
+      room.round = {
+        id,
+        problems: problemIds
+          .map((id) => room.findChallenge(id))
+          .filter(Boolean),
+      };
+      room.currentChallenge = room.round.problems[0] || room.currentChallenge;
+    }
+    room.startTime = snapshot.startTime ? new Date(snapshot.startTime) : null;
+    room.endTime = snapshot.endTime ? new Date(snapshot.endTime) : null;
+
+    room.users = (snapshot.users || []).map((user) =>
+      DSAUser.fromSnapshot(user)
+    );
+    room.users.forEach((user) => room.userSubmissions.set(user.id, []));
+    (snapshot.departedUsers || []).forEach(({ id, name, email, color }) =>
+      room.departedUsers.set(id, { id, name, email, color })
+    );
+    (snapshot.roles || []).forEach(({ authId, role }) =>
+      room.roles.set(authId, role)
+    );
+    room.mutedUsers = new Set(snapshot.mutedUsers || []);
+    room.bannedUsers = new Set(snapshot.bannedUsers || []);
+    room.access = RoomAccess.fromSnapshot(snapshot.access || {});
+    room.refreshUserRoles();
+    (snapshot.submissions || []).forEach((submission) => {
+      const restored = {
+        ...submission,
+        solution: { language: submission.language, code: submission.code },
+      };
+      const userSubmissions = room.userSubmissions.get(submission.userId) || [];
+      userSubmissions.push(restored);
+      room.userSubmissions.set(submission.userId, userSubmissions);
+    });
+    (snapshot.leaderboard || []).forEach(({ userId, score }) =>
+      room.leaderboard.set(userId, score)
+    );
+    (snapshot.userCodes || []).forEach(({ userId, code }) =>
+      room.userCodes.set(userId, code)
+    );
+
+    room.createdAt = new Date(snapshot.createdAt);
+    room.lastActivity = new Date(snapshot.lastActivity);
+    return room;
+  }
+
   toJSON() {
     return {
       id: this.id,
       name: this.name,
       difficulty: this.difficulty,
       isPrivate: this.isPrivate,
+      requiresPassword: this.isPrivate && this.access.hasPassword(),
       createdBy: this.createdBy,
       userCount: this.users.length,
+      topic: this.topic,
+      scoringMode: this.scoringMode,
       status: this.status,
       timeLimit: this.timeLimit,
       remainingTime: this.getRemainingTime(),
-      currentChallenge: this.currentChallenge,
+      currentChallenge: this.getPublicChallenge(),
+      round: this.getPublicRound(),
+      contest: this.schedule && this.schedule.toPublic(),
       leaderboard: this.getLeaderboard(),
       createdAt: this.createdAt,
       lastActivity: this.lastActivity,
@@ -184,10 +745,13 @@ class DSAChallengeRoom {
         id: user.id,
         name: user.name,
         color: user.color,
+        role: user.role,
         disconnected: user.disconnected,
       })),
     };
   }
 }
 
+Object.assign(DSAChallengeRoom.prototype, roomRoleMethods);
+
 module.exports = DSAChallengeRoom;
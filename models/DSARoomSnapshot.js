@@ -0,0 +1,145 @@
+// models/DSARoomSnapshot.js
+const mongoose = require("mongoose");
+
+const submissionSchema = new mongoose.Schema(
+  {
+    id: String,
+    userId: String,
+    challengeId: String,
+    language: String,
+    code: String,
+    submittedAt: Date,
+    status: String,
+    verdict: String,
+    testResults: mongoose.Schema.Types.Mixed,
+    maxTime: Number, // Seconds
+    maxMemory: Number, // KB
+    score: {
+      type: Number,
+      default: 0,
+    },
+    scoreBreakdown: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// Durable copy of an in-memory DSAChallengeRoom, written behind by
+// DSAChallengeRoomService and read back on boot.
+const dsaRoomSnapshotSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  name: String,
+  difficulty: String,
+  isPrivate: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: String,
+  ownerId: String,
+  roles: [
+    {
+      _id: false,
+      authId: String,
+      role: String,
+    },
+  ],
+  mutedUsers: [String],
+  bannedUsers: [String],
+  access: {
+    passwordHash: String,
+    invites: [
+      {
+        _id: false,
+        token: String,
+        createdBy: String,
+        createdAt: Date,
+        expiresAt: Date,
+        maxUses: Number,
+        uses: {
+          type: Number,
+          default: 0,
+        },
+        revokedAt: Date,
+      },
+    ],
+    admitted: [String],
+  },
+  topic: {
+    type: String,
+    default: "any",
+  },
+  scoringMode: {
+    type: String,
+    default: "points",
+  },
+  status: {
+    type: String,
+    default: "waiting",
+  },
+  timeLimit: Number,
+  startTime: Date,
+  // When the active challenge ends; the time left is worked out from it on
+  // restore, so a snapshot taken long ago is never behind
+  endTime: Date,
+  currentChallenge: mongoose.Schema.Types.Mixed,
+  challengeHistory: [mongoose.Schema.Types.Mixed],
+  round: {
+    id: String,
+    problemIds: [String], // Entries of challengeHistory
+  },
+  // ContestSchedule, including its pre-generated problems
+  schedule: mongoose.Schema.Types.Mixed,
+  users: [
+    {
+      _id: false,
+      id: String,
+      name: String,
+      email: String,
+      authId: String,
+      sessionId: String,
+      color: String,
+      currentLanguage: String,
+      stats: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  // Left during the challenge; their submissions are still in the standings
+  departedUsers: [
+    {
+      _id: false,
+      id: String,
+      name: String,
+      email: String,
+      color: String,
+    },
+  ],
+  submissions: [submissionSchema],
+  leaderboard: [
+    {
+      _id: false,
+      userId: String,
+      score: Number,
+    },
+  ],
+  userCodes: [
+    {
+      _id: false,
+      userId: String,
+      code: String,
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+module.exports = mongoose.model("DSARoomSnapshot", dsaRoomSnapshotSchema);
@@ -1,12 +1,15 @@
 class DSAUser {
-  constructor(id, name, socketId, sessionId, email) {
+  constructor(id, name, socketId, sessionId, email, authId) {
     this.id = id;
     this.name = name;
     this.email = email;
+    this.authId = authId; // Verified identity from the auth token
     this.socketId = socketId;
     this.sessionId = sessionId;
     this.color = this.generateColor();
     this.currentLanguage = "javascript";
+    this.role = "participant"; // Mirrors the role held in the room
+    this.muted = false;
     this.disconnected = false;
     this.disconnectedAt = null;
     this.stats = {
@@ -82,6 +85,41 @@ class DSAUser {
     this.disconnectedAt = null;
   }
 
+  toSnapshot() {
+    return {
+      id: this.id,
+      name: this.name,
+      email: this.email,
+      authId: this.authId,
+      sessionId: this.sessionId,
+      color: this.color,
+      currentLanguage: this.currentLanguage,
+      stats: this.stats,
+    };
+  }
+
+  /**
+   * Rebuilds a user from a stored snapshot. The user has no live socket, so
+   * it starts out disconnected until it rejoins with its sessionId.
+   * @param {object} snapshot - Stored user fields.
+   * @returns {DSAUser}
+   */
+  static fromSnapshot(snapshot) {
+    const user = new DSAUser(
+      snapshot.id,
+      snapshot.name,
+      null,
+      snapshot.sessionId,
+      snapshot.email,
+      snapshot.authId
+    );
+    user.color = snapshot.color || user.color;
+    user.currentLanguage = snapshot.currentLanguage || user.currentLanguage;
+    user.stats = { ...user.stats, ...snapshot.stats };
+    user.markAsDisconnected();
+    return user;
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -89,6 +127,8 @@ class DSAUser {
       email: this.email,
       color: this.color,
       currentLanguage: this.currentLanguage,
+      role: this.role,
+      muted: this.muted,
       disconnected: this.disconnected,
       stats: this.stats,
       acceptanceRate: this.getAcceptanceRate(),
@@ -0,0 +1,20 @@
+// models/RatedRound.js
+const mongoose = require("mongoose");
+
+// Marks a round whose ratings were applied, so it is never rated twice
+const ratedRoundSchema = new mongoose.Schema({
+  // `${roomId}:${roundId}`
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  roomId: String,
+  roundId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("RatedRound", ratedRoundSchema);
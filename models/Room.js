@@ -1,11 +1,22 @@
+const config = require("../config/config");
+const textOperation = require("../utils/textOperation");
+const User = require("./User");
+const RoomAccess = require("./RoomAccess");
+const { roomRoleMethods } = require("../utils/roomRoles");
+
 class Room {
-  constructor(id, name, language, isPrivate, createdBy) {
+  constructor(id, name, language, isPrivate, createdBy, ownerId) {
     this.id = id;
     this.name = name;
     this.language = language;
     this.isPrivate = isPrivate;
-    this.createdBy = createdBy;
+    this.createdBy = createdBy; // Display name of the creator
+    this.ownerId = ownerId; // Verified identity of the creator
     this.users = [];
+    this.roles = new Map(); // authId -> role, the owner is implied by ownerId
+    this.mutedUsers = new Set(); // authIds
+    this.bannedUsers = new Set(); // authIds kicked until the owner lets them back
+    this.access = new RoomAccess(); // Password and invites for private rooms
     this.tabs = [
       {
         id: "main",
@@ -14,8 +25,11 @@ class Room {
         language: language,
         isPublic: true, // Main tab is always public
         createdBy: "system", // Belongs to the system
+        revision: 0,
       },
     ];
+    // Applied operations per tab, used to transform stale client operations
+    this.tabHistories = new Map([["main", []]]);
     this.activeTab = "main";
     this.createdAt = new Date();
     this.lastActivity = new Date();
@@ -36,6 +50,7 @@ class Room {
 
   addUser(user) {
     this.users.push(user);
+    this.refreshUserRoles();
     this.lastActivity = new Date();
   }
 
@@ -50,14 +65,22 @@ class Room {
       ...tab,
       isPublic: false,
       createdBy: tab.createdBy || "system",
+      revision: 0,
     };
     this.tabs.push(newTab);
+    this.tabHistories.set(newTab.id, []);
     this.lastActivity = new Date();
   }
 
+  /**
+   * Replaces the whole buffer of a tab. The change is recorded as an
+   * operation so clients using `applyTabOperation` stay in sync.
+   */
   updateTabCode(tabId, code) {
     const tab = this.tabs.find((t) => t.id === tabId);
     if (tab) {
+      const operation = textOperation.fromDiff(tab.code || "", code);
+      this.recordTabOperation(tab, operation);
       tab.code = code;
       this.lastActivity = new Date();
       return true;
@@ -65,6 +88,57 @@ class Room {
     return false;
   }
 
+  /**
+   * Applies a client operation made against `revision` of a tab. Operations
+   * the client has not seen yet are transformed into it first, so concurrent
+   * edits converge instead of overwriting each other.
+   * @param {string} tabId
+   * @param {number} revision - Tab revision the operation was based on.
+   * @param {Array<number|string>} operation
+   * @returns {{success: boolean, operation?: Array, revision?: number, reason?: string}}
+   */
+  applyTabOperation(tabId, revision, operation) {
+    const tab = this.getTab(tabId);
+    if (!tab) return { success: false, reason: "Tab not found" };
+    if (!textOperation.isValid(operation)) {
+      return { success: false, reason: "Invalid operation" };
+    }
+
+    const history = this.tabHistories.get(tabId) || [];
+    const firstRevision = tab.revision - history.length;
+    if (
+      !Number.isInteger(revision) ||
+      revision < firstRevision ||
+      revision > tab.revision
+    ) {
+      return { success: false, reason: "Revision out of range" };
+    }
+
+    let transformed = textOperation.normalize(operation);
+    try {
+      for (const concurrent of history.slice(revision - firstRevision)) {
+        transformed = textOperation.transform(transformed, concurrent)[0];
+      }
+      tab.code = textOperation.apply(tab.code || "", transformed);
+    } catch (error) {
+      return { success: false, reason: error.message };
+    }
+
+    this.recordTabOperation(tab, transformed);
+    this.lastActivity = new Date();
+    return { success: true, operation: transformed, revision: tab.revision };
+  }
+
+  recordTabOperation(tab, operation) {
+    const history = this.tabHistories.get(tab.id) || [];
+    history.push(operation);
+    if (history.length > config.room.maxOperationHistory) {
+      history.splice(0, history.length - config.room.maxOperationHistory);
+    }
+    this.tabHistories.set(tab.id, history);
+    tab.revision = (tab.revision || 0) + 1;
+  }
+
   updateTabLanguage(tabId, language) {
     const tab = this.tabs.find((t) => t.id === tabId);
     if (tab) {
@@ -94,6 +168,7 @@ class Room {
     const index = this.tabs.findIndex((t) => t.id === tabId);
     if (index !== -1) {
       this.tabs.splice(index, 1);
+      this.tabHistories.delete(tabId);
       let newActiveTab = this.activeTab;
       if (this.activeTab === tabId) {
         newActiveTab = this.tabs[0].id;
@@ -116,21 +191,101 @@ class Room {
     return { success: false, reason: "Not authorized or main tab" };
   }
 
+  /**
+   * Plain representation stored by the persistence layer. Operation
+   * histories are not kept; clients on an older revision get a resync.
+   */
+  toSnapshot() {
+    return {
+      roomId: this.id,
+      name: this.name,
+      language: this.language,
+      isPrivate: this.isPrivate,
+      createdBy: this.createdBy,
+      ownerId: this.ownerId,
+      roles: Array.from(this.roles.entries()).map(([authId, role]) => ({
+        authId,
+        role,
+      })),
+      mutedUsers: Array.from(this.mutedUsers),
+      bannedUsers: Array.from(this.bannedUsers),
+      access: this.access.toSnapshot(),
+      tabs: this.tabs.map((tab) => ({
+        id: tab.id,
+        name: tab.name,
+        code: tab.code,
+        language: tab.language,
+        isPublic: tab.isPublic,
+        createdBy: tab.createdBy,
+        revision: tab.revision || 0,
+      })),
+      activeTab: this.activeTab,
+      users: this.users.map((user) => user.toSnapshot()),
+      createdAt: this.createdAt,
+      lastActivity: this.lastActivity,
+    };
+  }
+
+  /**
+   * Rebuilds a room from a stored snapshot. Restored users have no socket
+   * yet, so they come back disconnected and can rejoin with their sessionId.
+   * @param {object} snapshot - A RoomSnapshot document or its plain object.
+   * @returns {Room}
+   */
+  static fromSnapshot(snapshot) {
+    const room = new Room(
+      snapshot.roomId,
+      snapshot.name,
+      snapshot.language,
+      snapshot.isPrivate,
+      snapshot.createdBy,
+      snapshot.ownerId
+    );
+    if (snapshot.tabs && snapshot.tabs.length > 0) {
+      room.tabs = snapshot.tabs.map((tab) => ({
+        id: tab.id,
+        name: tab.name,
+        code: tab.code,
+        language: tab.language,
+        isPublic: tab.isPublic,
+        createdBy: tab.createdBy,
+        revision: tab.revision || 0,
+      }));
+      room.tabHistories = new Map(room.tabs.map((tab) => [tab.id, []]));
+    }
+    room.activeTab = snapshot.activeTab || room.tabs[0].id;
+    room.users = (snapshot.users || []).map((user) => User.fromSnapshot(user));
+    (snapshot.roles || []).forEach(({ authId, role }) =>
+      room.roles.set(authId, role)
+    );
+    room.mutedUsers = new Set(snapshot.mutedUsers || []);
+    room.bannedUsers = new Set(snapshot.bannedUsers || []);
+    room.access = RoomAccess.fromSnapshot(snapshot.access || {});
+    room.refreshUserRoles();
+    room.createdAt = new Date(snapshot.createdAt);
+    room.lastActivity = new Date(snapshot.lastActivity);
+    return room;
+  }
+
   toJSON() {
     return {
       id: this.id,
       name: this.name,
       language: this.language,
       isPrivate: this.isPrivate,
+      requiresPassword: this.isPrivate && this.access.hasPassword(),
       userCount: this.users.length,
       lastActivity: this.lastActivity,
       users: this.users.map((user) => ({
         id: user.id,
         name: user.name,
         color: user.color,
+        role: user.role,
       })),
     };
   }
 }
 
+Object.assign(Room.prototype, roomRoleMethods);
+
 module.exports = Room;
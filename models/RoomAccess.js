@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+
+const hashPassword = (password, salt = crypto.randomBytes(16)) => {
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `${salt.toString("hex")}:${hash.toString("hex")}`;
+};
+
+const verifyPasswordHash = (password, stored) => {
+  const [saltHex, hashHex] = stored.split(":");
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, "hex"), 64);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const validatePassword = (password) => {
+  const { minPasswordLength } = config.roomAccess;
+  if (typeof password !== "string" || password.length < minPasswordLength) {
+    throw new Error(
+      `Password must be at least ${minPasswordLength} characters long`
+    );
+  }
+};
+
+/**
+ * Join credentials for a private room: an optional password and any number
+ * of invite tokens. Identities that got in once are remembered, so
+ * reconnecting or rejoining does not ask for the credential again.
+ */
+class RoomAccess {
+  constructor() {
+    this.passwordHash = null;
+    this.invites = new Map(); // token -> invite
+    this.admitted = new Set(); // authIds
+  }
+
+  hasPassword() {
+    return Boolean(this.passwordHash);
+  }
+
+  setPassword(password) {
+    validatePassword(password);
+    this.passwordHash = hashPassword(password);
+  }
+
+  clearPassword() {
+    this.passwordHash = null;
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.createdBy - authId of the creator.
+   * @param {number} [options.expiresIn] - Lifetime in milliseconds.
+   * @param {number} [options.maxUses] - Unlimited when omitted.
+   * @returns {object} The new invite.
+   */
+  createInvite({ createdBy, expiresIn, maxUses } = {}) {
+    const { defaultInviteTTL, maxInviteTTL, maxInvitesPerRoom } =
+      config.roomAccess;
+    if (this.invites.size >= maxInvitesPerRoom) {
+      throw new Error("This room has too many invites; revoke some first");
+    }
+    if (
+      maxUses !== undefined &&
+      maxUses !== null &&
+      (!Number.isInteger(maxUses) || maxUses < 1)
+    ) {
+      throw new Error("maxUses must be a positive integer");
+    }
+
+    const invite = {
+      token: crypto.randomBytes(18).toString("base64url"),
+      createdBy,
+      createdAt: new Date(),
+      expiresAt: null,
+      maxUses: maxUses || null,
+      uses: 0,
+      revokedAt: null,
+    };
+    this.setInviteExpiry(invite, expiresIn ?? defaultInviteTTL, maxInviteTTL);
+    this.invites.set(invite.token, invite);
+    return invite;
+  }
+
+  setInviteExpiry(
+    invite,
+    expiresIn,
+    maxInviteTTL = config.roomAccess.maxInviteTTL
+  ) {
+    if (!Number.isFinite(expiresIn) || expiresIn < 0) {
+      throw new Error("expiresIn must be a non-negative number");
+    }
+    if (expiresIn > maxInviteTTL) {
+      throw new Error(
+        `Invites can last at most ${maxInviteTTL / 60000} minutes`
+      );
+    }
+    invite.expiresAt = new Date(Date.now() + expiresIn);
+  }
+
+  /**
+   * Moves an invite's expiry; `expiresIn` of 0 expires it right away.
+   * @returns {object|null} The updated invite, or null if unknown.
+   */
+  expireInvite(token, expiresIn = 0) {
+    const invite = this.invites.get(token);
+    if (!invite) return null;
+    this.setInviteExpiry(invite, expiresIn);
+    return invite;
+  }
+
+  revokeInvite(token) {
+    const invite = this.invites.get(token);
+    if (!invite) return null;
+    if (!invite.revokedAt) invite.revokedAt = new Date();
+    return invite;
+  }
+
+  getInviteStatus(invite) {
+    if (invite.revokedAt) return "revoked";
+    if (invite.expiresAt && invite.expiresAt <= new Date()) return "expired";
+    if (invite.maxUses && invite.uses >= invite.maxUses) return "exhausted";
+    return "active";
+  }
+
+  listInvites() {
+    return Array.from(this.invites.values()).map((invite) =>
+      this.serializeInvite(invite)
+    );
+  }
+
+  serializeInvite(invite) {
+    return { ...invite, status: this.getInviteStatus(invite) };
+  }
+
+  isAdmitted(authId) {
+    return this.admitted.has(authId);
+  }
+
+  // Lets an identity in without credentials, e.g. a matched player
+  grant(authId) {
+    this.admitted.add(authId);
+  }
+
+  // Kicked users have to present a credential again
+  forget(authId) {
+    this.admitted.delete(authId);
+  }
+
+  /**
+   * Checks the credentials an identity presented when joining. On success
+   * the identity is remembered and a used invite is counted.
+   * @param {string} authId
+   * @param {{password?: string, inviteToken?: string}} credentials
+   * @returns {{allowed: boolean, code?: string, message?: string}}
+   */
+  admit(authId, { password, inviteToken } = {}) {
+    if (this.isAdmitted(authId)) return { allowed: true };
+
+    if (inviteToken) {
+      const invite = this.invites.get(inviteToken);
+      const status = invite ? this.getInviteStatus(invite) : "invalid";
+      if (status !== "active") {
+        return {
+          allowed: false,
+          code: `INVITE_${status.toUpperCase()}`,
+          message: `This invite link is ${status}`,
+        };
+      }
+      invite.uses++;
+      this.admitted.add(authId);
+      return { allowed: true };
+    }
+
+    if (password && this.hasPassword()) {
+      if (!verifyPasswordHash(String(password), this.passwordHash)) {
+        return {
+          allowed: false,
+          code: "INVALID_PASSWORD",
+          message: "Incorrect room password",
+        };
+      }
+      this.admitted.add(authId);
+      return { allowed: true };
+    }
+
+    return {
+      allowed: false,
+      code: this.hasPassword() ? "PASSWORD_REQUIRED" : "INVITE_REQUIRED",
+      message: this.hasPassword()
+        ? "This room is private; enter the room password or use an invite link"
+        : "This room is private; you need an invite link to join",
+    };
+  }
+
+  toSnapshot() {
+    return {
+      passwordHash: this.passwordHash,
+      invites: Array.from(this.invites.values()),
+      admitted: Array.from(this.admitted),
+    };
+  }
+
+  static validatePassword(password) {
+    validatePassword(password);
+  }
+
+  static fromSnapshot(snapshot = {}) {
+    const access = new RoomAccess();
+    access.passwordHash = snapshot.passwordHash || null;
+    (snapshot.invites || []).forEach((invite) => {
+      access.invites.set(invite.token, {
+        token: invite.token,
+        createdBy: invite.createdBy,
+        createdAt: new Date(invite.createdAt),
+        expiresAt: invite.expiresAt ? new Date(invite.expiresAt) : null,
+        maxUses: invite.maxUses || null,
+        uses: invite.uses || 0,
+        revokedAt: invite.revokedAt ? new Date(invite.revokedAt) : null,
+      });
+    });
+    access.admitted = new Set(snapshot.admitted || []);
+    return access;
+  }
+}
+
+module.exports = RoomAccess;
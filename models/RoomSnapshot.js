@@ -0,0 +1,90 @@
+// models/RoomSnapshot.js
+const mongoose = require("mongoose");
+
+// Durable copy of an in-memory collaborative Room, written behind by
+// RoomService and read back on boot.
+const roomSnapshotSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  name: String,
+  language: String,
+  isPrivate: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: String,
+  ownerId: String,
+  roles: [
+    {
+      _id: false,
+      authId: String,
+      role: String,
+    },
+  ],
+  mutedUsers: [String],
+  bannedUsers: [String],
+  access: {
+    passwordHash: String,
+    invites: [
+      {
+        _id: false,
+        token: String,
+        createdBy: String,
+        createdAt: Date,
+        expiresAt: Date,
+        maxUses: Number,
+        uses: {
+          type: Number,
+          default: 0,
+        },
+        revokedAt: Date,
+      },
+    ],
+    admitted: [String],
+  },
+  tabs: [
+    {
+      _id: false,
+      id: String,
+      name: String,
+      code: String,
+      language: String,
+      isPublic: Boolean,
+      createdBy: String,
+      revision: {
+        type: Number,
+        default: 0,
+      },
+    },
+  ],
+  activeTab: {
+    type: String,
+    default: "main",
+  },
+  users: [
+    {
+      _id: false,
+      id: String,
+      name: String,
+      authId: String,
+      sessionId: String,
+      color: String,
+      activeTab: String,
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+module.exports = mongoose.model("RoomSnapshot", roomSnapshotSchema);
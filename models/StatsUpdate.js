@@ -0,0 +1,58 @@
+// models/StatsUpdate.js
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+// pending -> delivering -> delivered, or back to pending to retry; dead
+// once it ran out of attempts or was refused outright
+const STATUSES = ["pending", "delivering", "delivered", "dead"];
+
+// Outbox entry: one player's stats from one finished challenge, waiting to
+// be posted to the frontend's update-stats API
+const statsUpdateSchema = new mongoose.Schema({
+  // `${roomId}:${roundId}:${email}`; sent along so the receiver can drop
+  // repeats
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  roomId: String,
+  roundId: String,
+  email: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: Date, // While a worker is delivering it
+  lastError: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  deliveredAt: Date,
+});
+
+statsUpdateSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivered updates are only kept for a while; dead ones stay until handled
+statsUpdateSchema.index(
+  { deliveredAt: 1 },
+  { expireAfterSeconds: config.statsOutbox.deliveredRetention / 1000 }
+);
+
+module.exports = mongoose.model("StatsUpdate", statsUpdateSchema);
@@ -1,12 +1,15 @@
 class User {
-  constructor(id, name, socketId, sessionId) {
+  constructor(id, name, socketId, sessionId, authId) {
     this.id = id;
     this.name = name;
+    this.authId = authId; // Verified identity from the auth token
     this.socketId = socketId;
     this.sessionId = sessionId; // Unique ID for session persistence
     this.cursor = { line: 0, ch: 0 };
     this.color = this.generateColor();
     this.activeTab = "main"; // Track user's active tab
+    this.role = "participant"; // Mirrors the role held in the room
+    this.muted = false;
     this.disconnected = false;
     this.disconnectedAt = null;
   }
@@ -53,12 +56,45 @@ class User {
     this.disconnectedAt = null;
   }
 
+  toSnapshot() {
+    return {
+      id: this.id,
+      name: this.name,
+      authId: this.authId,
+      sessionId: this.sessionId,
+      color: this.color,
+      activeTab: this.activeTab,
+    };
+  }
+
+  /**
+   * Rebuilds a user from a stored snapshot. The user has no live socket, so
+   * it starts out disconnected until it rejoins with its sessionId.
+   * @param {object} snapshot - Stored user fields.
+   * @returns {User}
+   */
+  static fromSnapshot(snapshot) {
+    const user = new User(
+      snapshot.id,
+      snapshot.name,
+      null,
+      snapshot.sessionId,
+      snapshot.authId
+    );
+    user.color = snapshot.color || user.color;
+    user.activeTab = snapshot.activeTab || "main";
+    user.markAsDisconnected();
+    return user;
+  }
+
   toJSON() {
     return {
       id: this.id,
       name: this.name,
       color: this.color,
       activeTab: this.activeTab,
+      role: this.role,
+      muted: this.muted,
       disconnected: this.disconnected,
     };
   }
@@ -0,0 +1,47 @@
+// models/UserRating.js
+const mongoose = require("mongoose");
+
+// One rated challenge, as seen by one player
+const ratingEntrySchema = new mongoose.Schema(
+  {
+    roomId: String,
+    roundId: String,
+    challengeIds: [String],
+    difficulties: [String],
+    rank: Number,
+    players: Number,
+    ratingBefore: Number,
+    rating: Number,
+    change: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A player's current rating and recent history, by account email
+const userRatingSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+  },
+  gamesPlayed: {
+    type: Number,
+    default: 0,
+  },
+  history: [ratingEntrySchema], // Oldest first
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("UserRating", userRatingSchema);
@@ -0,0 +1,130 @@
+const express = require("express");
+const challengeBankService = require("../services/ChallengeBankService");
+const { DIFFICULTIES } = require("../utils/challengeValidation");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { parsePositiveInt } = require("../utils/query");
+
+const router = express.Router();
+
+// Bad input (ours or Mongoose's) is the client's fault; the rest is ours
+const sendError = (res, error, action) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`Error trying to ${action}:`, error);
+  res.status(500).json({ success: false, message: error.message });
+};
+
+const notFound = (res) =>
+  res.status(404).json({ success: false, message: "Challenge not found" });
+
+// List challenges: ?topic=&difficulty=&search=&includeRetired=&page=&limit=
+router.get("/", async (req, res) => {
+  try {
+    const { topic, difficulty, search, includeRetired } = req.query;
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid difficulty level",
+      });
+    }
+
+    const { defaultPageSize, maxPageSize } = config.challengeBank;
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit, defaultPageSize),
+      maxPageSize
+    );
+
+    const { challenges, total } = await challengeBankService.listChallenges({
+      topic,
+      difficulty,
+      search: search ? String(search).trim() : undefined,
+      includeRetired: includeRetired === "true",
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      challenges,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "list challenges");
+  }
+});
+
+// Full challenge, including test cases and templates
+router.get("/:challengeId", async (req, res) => {
+  try {
+    const challenge = await challengeBankService.getChallenge(
+      req.params.challengeId
+    );
+    if (!challenge) return notFound(res);
+    res.json({ success: true, challenge });
+  } catch (error) {
+    sendError(res, error, "fetch challenge");
+  }
+});
+
+// Author a new challenge
+router.post("/", async (req, res) => {
+  try {
+    const result = await challengeBankService.createChallenge(
+      req.body || {},
+      req.auth.email || req.auth.id
+    );
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "create challenge");
+  }
+});
+
+// Edit a challenge; text changes are re-embedded
+router.patch("/:challengeId", async (req, res) => {
+  try {
+    const result = await challengeBankService.updateChallenge(
+      req.params.challengeId,
+      req.body || {}
+    );
+    if (!result) return notFound(res);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "update challenge");
+  }
+});
+
+// Retire a challenge; it is kept but no longer handed out
+router.delete("/:challengeId", async (req, res) => {
+  try {
+    const challenge = await challengeBankService.retireChallenge(
+      req.params.challengeId
+    );
+    if (!challenge) return notFound(res);
+    res.json({ success: true, challenge });
+  } catch (error) {
+    sendError(res, error, "retire challenge");
+  }
+});
+
+// Bring a retired challenge back
+router.post("/:challengeId/restore", async (req, res) => {
+  try {
+    const result = await challengeBankService.restoreChallenge(
+      req.params.challengeId
+    );
+    if (!result) return notFound(res);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "restore challenge");
+  }
+});
+
+module.exports = router;
@@ -1,39 +1,135 @@
 const express = require("express");
 const { v4: uuidv4 } = require("uuid");
 const dsaRoomService = require("../services/DSAChallengeRoomService");
+const RoomAccess = require("../models/RoomAccess");
+const createRoomAccessRouter = require("./roomAccess");
+const forwardToRoomOwner = require("../middleware/roomOwner");
+const config = require("../config/config");
 const logger = require("../utils/logger");
+const { parsePositiveInt } = require("../utils/query");
+const { DIFFICULTIES } = require("../utils/challengeValidation");
+const { SCORING_MODES } = require("../utils/scoring");
 
 const router = express.Router();
 
+const validStatuses = ["waiting", "active", "completed"];
+const maxNameLength = 100;
+
+/**
+ * Converts a time limit given in minutes to milliseconds.
+ * @returns {{timeLimitMs?: number, error?: string}}
+ */
+const parseTimeLimit = (timeLimit) => {
+  const timeLimitMs = Number(timeLimit) * 60 * 1000;
+  const { minTimeLimit, maxTimeLimit } = config.dsaChallenge;
+  if (
+    !Number.isFinite(timeLimitMs) ||
+    timeLimitMs < minTimeLimit ||
+    timeLimitMs > maxTimeLimit
+  ) {
+    return {
+      error: `Time limit must be between ${minTimeLimit / 60000} and ${
+        maxTimeLimit / 60000
+      } minutes`,
+    };
+  }
+  return { timeLimitMs };
+};
+
+// The room member behind the verified identity, if they joined
+const findMember = (room, authId) =>
+  room.users.find((user) => user.authId === authId);
+
+// Private rooms are only shown to their members, identities already let in
+// and whoever manages their invites
+const canView = (room, authId) =>
+  !room.isPrivate ||
+  Boolean(findMember(room, authId)) ||
+  room.access.isAdmitted(authId) ||
+  room.can({ authId }, "manage-invites");
+
 // Create new DSA challenge room
 router.post("/create", async (req, res) => {
   try {
-    const { roomName, difficulty, isPrivate, userName } = req.body;
+    const {
+      roomName,
+      difficulty,
+      isPrivate,
+      timeLimit,
+      password,
+      scoringMode,
+    } = req.body;
 
     // Validation
-    if (!roomName || !difficulty || !userName) {
+    if (!roomName || !difficulty) {
       return res.status(400).json({
         success: false,
-        message: "Room name, difficulty, and user name are required",
+        message: "Room name and difficulty are required",
       });
     }
 
-    const validDifficulties = ["easy", "medium", "hard"];
-    if (!validDifficulties.includes(difficulty)) {
+    if (!DIFFICULTIES.includes(difficulty)) {
       return res.status(400).json({
         success: false,
         message: "Invalid difficulty level",
       });
     }
 
+    // timeLimit is given in minutes
+    let timeLimitMs;
+    if (timeLimit !== undefined && timeLimit !== null) {
+      const parsed = parseTimeLimit(timeLimit);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      timeLimitMs = parsed.timeLimitMs;
+    }
+
+    if (scoringMode !== undefined && !SCORING_MODES.includes(scoringMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scoring mode must be one of: ${SCORING_MODES.join(", ")}`,
+      });
+    }
+
+    if (password !== undefined) {
+      if (!isPrivate) {
+        return res.status(400).json({
+          success: false,
+          message: "Only private rooms can have a password",
+        });
+      }
+      try {
+        RoomAccess.validatePassword(password);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
     const roomId = uuidv4();
-    const room = dsaRoomService.createRoom(
+    const room = await dsaRoomService.createRoom(
       roomId,
       roomName,
       difficulty,
       isPrivate || false,
-      userName
+      req.auth.name,
+      timeLimitMs,
+      req.auth.id
     );
+    if (scoringMode !== undefined) {
+      room.scoringMode = scoringMode;
+      dsaRoomService.scheduleSnapshot(roomId);
+    }
+    if (password !== undefined) {
+      room.access.setPassword(password);
+      dsaRoomService.scheduleSnapshot(roomId);
+    }
 
     res.status(201).json({
       success: true,
@@ -49,4 +145,424 @@ router.post("/create", async (req, res) => {
   }
 });
 
+// List public rooms, optionally filtered by difficulty, status and topic
+router.get("/", async (req, res) => {
+  try {
+    const { difficulty, status, topic } = req.query;
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(parsePositiveInt(req.query.limit, 20), 100);
+
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid difficulty level",
+      });
+    }
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid room status",
+      });
+    }
+
+    const rooms = (await dsaRoomService.getRoomsList())
+      .filter((room) => !difficulty || room.difficulty === difficulty)
+      .filter((room) => !status || room.status === status)
+      .filter(
+        (room) =>
+          !topic || (room.topic || "").toLowerCase() === topic.toLowerCase()
+      )
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+
+    const total = rooms.length;
+    res.json({
+      success: true,
+      rooms: rooms.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    logger.error("Error listing rooms:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Requests about one room are served by the node that owns it
+router.use("/:roomId", forwardToRoomOwner("dsa", dsaRoomService));
+
+// Room details
+router.get("/:roomId", (req, res) => {
+  const room = dsaRoomService.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: "Room not found",
+    });
+  }
+  if (!canView(room, req.auth.id)) {
+    return res.status(403).json({
+      success: false,
+      message: "This room is private",
+    });
+  }
+  res.json({ success: true, room: room.toJSON() });
+});
+
+// Update name, difficulty, topic, time limit (in minutes) or scoring mode
+router.patch("/:roomId", (req, res) => {
+  try {
+    const room = dsaRoomService.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "Room not found",
+      });
+    }
+    if (!room.can({ authId: req.auth.id }, "update-settings")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the room owner or a moderator can change settings",
+      });
+    }
+
+    const { name, difficulty, topic, timeLimit, scoringMode } = req.body || {};
+    const updates = {};
+
+    if (name !== undefined) {
+      const trimmed = typeof name === "string" ? name.trim() : "";
+      if (!trimmed || trimmed.length > maxNameLength) {
+        return res.status(400).json({
+          success: false,
+          message: `Room name must be 1 to ${maxNameLength} characters`,
+        });
+      }
+      updates.name = trimmed;
+    }
+    if (difficulty !== undefined) {
+      if (!DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid difficulty level",
+        });
+      }
+      updates.difficulty = difficulty;
+    }
+    if (topic !== undefined) {
+      const trimmed = typeof topic === "string" ? topic.trim() : "";
+      if (!trimmed || trimmed.length > maxNameLength) {
+        return res.status(400).json({
+          success: false,
+          message: `Topic must be 1 to ${maxNameLength} characters`,
+        });
+      }
+      updates.topic = trimmed;
+    }
+    if (timeLimit !== undefined) {
+      const parsed = parseTimeLimit(timeLimit);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      updates.timeLimit = parsed.timeLimitMs;
+    }
+    if (scoringMode !== undefined) {
+      if (!SCORING_MODES.includes(scoringMode)) {
+        return res.status(400).json({
+          success: false,
+          message: `Scoring mode must be one of: ${SCORING_MODES.join(", ")}`,
+        });
+      }
+      updates.scoringMode = scoringMode;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to update",
+      });
+    }
+    // A running challenge keeps the settings it started with
+    if (
+      room.status === "active" &&
+      (updates.difficulty !== undefined ||
+        updates.timeLimit !== undefined ||
+        updates.scoringMode !== undefined)
+    ) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Difficulty, time limit and scoring mode cannot change during a challenge",
+      });
+    }
+
+    const updatedRoom = dsaRoomService.updateRoomSettings(
+      room.id,
+      updates,
+      req.auth.name
+    );
+    res.json({ success: true, room: updatedRoom.toJSON() });
+  } catch (error) {
+    logger.error("Error updating room:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Close a room for good; owner only
+router.delete("/:roomId", (req, res) => {
+  try {
+    const room = dsaRoomService.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "Room not found",
+      });
+    }
+    if (!room.can({ authId: req.auth.id }, "delete-room")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the room owner can delete the room",
+      });
+    }
+
+    dsaRoomService.closeRoom(room.id, req.auth.name);
+    res.json({ success: true, message: "Room deleted" });
+  } catch (error) {
+    logger.error("Error deleting room:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Current leaderboard
+router.get("/:roomId/leaderboard", (req, res) => {
+  const room = dsaRoomService.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: "Room not found",
+    });
+  }
+  if (!canView(room, req.auth.id)) {
+    return res.status(403).json({
+      success: false,
+      message: "This room is private",
+    });
+  }
+  res.json({
+    success: true,
+    leaderboard: room.getLeaderboard(),
+    status: room.status,
+    currentChallengeId: room.currentChallenge?.id || null,
+  });
+});
+
+// Submissions: members see their own, the owner and moderators see
+// everyone's or one user's with ?userId=
+router.get("/:roomId/submissions", (req, res) => {
+  const room = dsaRoomService.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: "Room not found",
+    });
+  }
+
+  const caller = { authId: req.auth.id };
+  const canSeeAll = room.can(caller, "view-submissions");
+  const member = findMember(room, req.auth.id);
+  if (!canSeeAll && !member) {
+    return res.status(403).json({
+      success: false,
+      message: "Join the room to see its submissions",
+    });
+  }
+
+  const { userId } = req.query;
+  let userIds;
+  if (canSeeAll) {
+    userIds = userId ? [userId] : Array.from(room.userSubmissions.keys());
+  } else {
+    if (userId && userId !== member.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only see your own submissions",
+      });
+    }
+    userIds = [member.id];
+  }
+
+  const submissions = userIds
+    .flatMap((id) => room.getUserSubmissions(id))
+    .map((submission) => ({
+      id: submission.id,
+      userId: submission.userId,
+      challengeId: submission.challengeId,
+      language: submission.language,
+      code: submission.code,
+      submittedAt: submission.submittedAt,
+      status: submission.status,
+      verdict: submission.verdict,
+      score: submission.score,
+      scoreBreakdown: submission.scoreBreakdown,
+      maxTime: submission.maxTime,
+      maxMemory: submission.maxMemory,
+      testResults: submission.testResults,
+    }))
+    .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+
+  res.json({ success: true, submissions });
+});
+
+// The room's scheduled contest, if it has one
+router.get("/:roomId/contest", (req, res) => {
+  const room = dsaRoomService.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: "Room not found",
+    });
+  }
+  if (!canView(room, req.auth.id)) {
+    return res.status(403).json({
+      success: false,
+      message: "This room is private",
+    });
+  }
+  res.json({
+    success: true,
+    contest: room.schedule ? room.schedule.toPublic(req.auth.id) : null,
+  });
+});
+
+// Schedule a contest. startsAt and the registration window are dates,
+// duration is in minutes like timeLimit, and problems lists one
+// { difficulty, topic } per problem.
+router.post("/:roomId/contest", (req, res) => {
+  const room = dsaRoomService.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: "Room not found",
+    });
+  }
+  if (!room.can({ authId: req.auth.id }, "update-settings")) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the room owner or a moderator can schedule a contest",
+    });
+  }
+  if (room.hasUpcomingContest()) {
+    return res.status(409).json({
+      success: false,
+      message: "This room already has a contest scheduled",
+    });
+  }
+
+  const {
+    startsAt,
+    duration,
+    registrationOpensAt,
+    registrationClosesAt,
+    problems,
+  } = req.body || {};
+  try {
+    const schedule = dsaRoomService.scheduleContest(
+      room.id,
+      {
+        startsAt,
+        duration: Number(duration) * 60 * 1000,
+        registrationOpensAt,
+        registrationClosesAt,
+        problems,
+      },
+      { id: req.auth.id, name: req.auth.name, email: req.auth.email }
+    );
+    res.status(201).json({
+      success: true,
+      contest: schedule.toPublic(req.auth.id),
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Cancel the contest before it starts
+router.delete("/:roomId/contest", (req, res) => {
+  const room = dsaRoomService.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: "Room not found",
+    });
+  }
+  if (!room.can({ authId: req.auth.id }, "update-settings")) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the room owner or a moderator can cancel a contest",
+    });
+  }
+
+  try {
+    const schedule = dsaRoomService.cancelContest(room.id, req.auth.name);
+    res.json({ success: true, contest: schedule.toPublic() });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Register or unregister the caller while registration is open
+const updateRegistration = (register) => (req, res) => {
+  const room = dsaRoomService.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: "Room not found",
+    });
+  }
+  if (!canView(room, req.auth.id)) {
+    return res.status(403).json({
+      success: false,
+      message: "This room is private",
+    });
+  }
+  if (!room.schedule) {
+    return res.status(404).json({
+      success: false,
+      message: "This room has no contest",
+    });
+  }
+
+  try {
+    if (register) {
+      room.schedule.register(req.auth.id);
+    } else {
+      room.schedule.unregister(req.auth.id);
+    }
+    dsaRoomService.scheduleSnapshot(room.id);
+    res.json({ success: true, contest: room.schedule.toPublic(req.auth.id) });
+  } catch (error) {
+    res.status(409).json({ success: false, message: error.message });
+  }
+};
+
+router.post("/:roomId/contest/register", updateRegistration(true));
+router.delete("/:roomId/contest/register", updateRegistration(false));
+
+// Invites and password for private rooms
+router.use("/:roomId", createRoomAccessRouter(dsaRoomService));
+
 module.exports = router;
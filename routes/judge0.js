@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const express = require("express");
+const config = require("../config/config");
+const executor = require("../services/executors");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const isValidSecret = (given, secret) => {
+  if (typeof given !== "string") return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Judge0 reports each finished submission here when callbacks are enabled.
+// Mounted ahead of the app-wide JSON parser, whose limit is too small for
+// a program's output.
+router.put(
+  "/callback",
+  express.json({ limit: config.judge0.callbackBodyLimit }),
+  (req, res) => {
+    try {
+      const { callbackBaseURL, callbackSecret } = config.judge0;
+      if (
+        !callbackBaseURL ||
+        !callbackSecret ||
+        typeof executor.handleCallback !== "function"
+      ) {
+        return res.status(404).json({ error: "Callbacks are not enabled" });
+      }
+      if (!isValidSecret(req.query.secret, callbackSecret)) {
+        return res.status(403).json({ error: "Invalid callback secret" });
+      }
+
+      const accepted = executor.handleCallback(req.body);
+      res.status(accepted ? 204 : 400).end();
+    } catch (error) {
+      logger.error("Error handling Judge0 callback:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require("express");
+const logger = require("../utils/logger");
+
+const MINUTE = 60 * 1000;
+
+// Durations are given in minutes, like a DSA room's timeLimit
+const parseMinutes = (value) =>
+  value === undefined || value === null ? undefined : Number(value) * MINUTE;
+
+/**
+ * Invite and password management for private rooms, shared by collaborative
+ * rooms and DSA challenge rooms. Mount it under a path with a `:roomId`
+ * parameter. Only the owner and moderators may use it, and only the owner
+ * may lift the ban on a kicked user.
+ * @param {object} roomService - RoomService or DSAChallengeRoomService.
+ * @returns {express.Router}
+ */
+const createRoomAccessRouter = (roomService) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Loads the room and checks the caller may manage its access
+  const authorize = (req, res, next) => {
+    const room = roomService.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "Room not found",
+      });
+    }
+    if (!room.can({ authId: req.auth.id }, "manage-invites")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the room owner or a moderator can manage access",
+      });
+    }
+    req.room = room;
+    next();
+  };
+
+  const authorizeOwner = (req, res, next) => {
+    if (!req.room.isOwner({ authId: req.auth.id })) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the room owner can lift a ban",
+      });
+    }
+    next();
+  };
+
+  const handle = (handler) => (req, res) => {
+    try {
+      handler(req, res);
+    } catch (error) {
+      logger.error("Room access request failed:", error);
+      res.status(400).json({ success: false, message: error.message });
+    }
+  };
+
+  // List invites, including expired and revoked ones
+  router.get(
+    "/invites",
+    authorize,
+    handle((req, res) => {
+      res.json({ success: true, invites: req.room.access.listInvites() });
+    })
+  );
+
+  // Generate an invite; expiresIn is in minutes
+  router.post(
+    "/invites",
+    authorize,
+    handle((req, res) => {
+      const { expiresIn, maxUses } = req.body || {};
+      const invite = req.room.access.createInvite({
+        createdBy: req.auth.id,
+        expiresIn: parseMinutes(expiresIn),
+        maxUses: maxUses === undefined ? undefined : Number(maxUses),
+      });
+      roomService.scheduleSnapshot(req.room.id);
+
+      res.status(201).json({
+        success: true,
+        invite: req.room.access.serializeInvite(invite),
+      });
+    })
+  );
+
+  // Change when an invite expires; an expiresIn of 0 expires it now
+  router.patch(
+    "/invites/:token",
+    authorize,
+    handle((req, res) => {
+      const { expiresIn = 0 } = req.body || {};
+      const invite = req.room.access.expireInvite(
+        req.params.token,
+        parseMinutes(expiresIn)
+      );
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: "Invite not found",
+        });
+      }
+      roomService.scheduleSnapshot(req.room.id);
+
+      res.json({
+        success: true,
+        invite: req.room.access.serializeInvite(invite),
+      });
+    })
+  );
+
+  // Revoke an invite
+  router.delete(
+    "/invites/:token",
+    authorize,
+    handle((req, res) => {
+      const invite = req.room.access.revokeInvite(req.params.token);
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: "Invite not found",
+        });
+      }
+      roomService.scheduleSnapshot(req.room.id);
+
+      res.json({
+        success: true,
+        invite: req.room.access.serializeInvite(invite),
+      });
+    })
+  );
+
+  // Set or replace the room password
+  router.put(
+    "/password",
+    authorize,
+    handle((req, res) => {
+      if (!req.room.isPrivate) {
+        return res.status(400).json({
+          success: false,
+          message: "Only private rooms can have a password",
+        });
+      }
+      req.room.access.setPassword((req.body || {}).password);
+      roomService.scheduleSnapshot(req.room.id);
+      res.json({ success: true });
+    })
+  );
+
+  // Remove the password; invites keep working
+  router.delete(
+    "/password",
+    authorize,
+    handle((req, res) => {
+      req.room.access.clearPassword();
+      roomService.scheduleSnapshot(req.room.id);
+      res.json({ success: true });
+    })
+  );
+
+  // Identities kicked from the room
+  router.get(
+    "/bans",
+    authorize,
+    handle((req, res) => {
+      res.json({ success: true, bans: Array.from(req.room.bannedUsers) });
+    })
+  );
+
+  // Let a kicked identity join again
+  router.delete(
+    "/bans/:authId",
+    authorize,
+    authorizeOwner,
+    handle((req, res) => {
+      if (!req.room.isBanned(req.params.authId)) {
+        return res.status(404).json({
+          success: false,
+          message: "This user is not banned",
+        });
+      }
+      req.room.setBanned(req.params.authId, false);
+      roomService.scheduleSnapshot(req.room.id);
+      res.json({ success: true });
+    })
+  );
+
+  return router;
+};
+
+module.exports = createRoomAccessRouter;
@@ -1,20 +1,37 @@
 const express = require("express");
 const roomService = require("../services/RoomService");
+const RoomAccess = require("../models/RoomAccess");
+const createRoomAccessRouter = require("./roomAccess");
+const forwardToRoomOwner = require("../middleware/roomOwner");
 
 const router = express.Router();
 
 // Create a new room
-router.post("/rooms", (req, res) => {
+router.post("/rooms", async (req, res) => {
   try {
-    const { roomId, roomName, language, isPrivate, userName } = req.body;
+    const { roomId, roomName, language, isPrivate, password } = req.body;
+    if (password !== undefined) {
+      if (!isPrivate) {
+        return res
+          .status(400)
+          .json({ error: "Only private rooms can have a password" });
+      }
+      RoomAccess.validatePassword(password);
+    }
 
-    const room = roomService.createRoom(
+    // The creator is whoever the verified token says it is
+    const room = await roomService.createRoom(
       roomId,
       roomName,
       language,
       isPrivate,
-      userName
+      req.auth.name,
+      req.auth.id
     );
+    if (password !== undefined) {
+      room.access.setPassword(password);
+      roomService.scheduleSnapshot(room.id);
+    }
 
     res.json({
       success: true,
@@ -23,6 +40,7 @@ router.post("/rooms", (req, res) => {
         name: room.name,
         language: room.language,
         isPrivate: room.isPrivate,
+        requiresPassword: room.isPrivate && room.access.hasPassword(),
         userCount: room.users.length,
       },
     });
@@ -31,6 +49,9 @@ router.post("/rooms", (req, res) => {
   }
 });
 
+// Requests about one room are served by the node that owns it
+router.use("/rooms/:roomId", forwardToRoomOwner("main", roomService));
+
 // Get room details
 router.get("/rooms/:roomId", (req, res) => {
   try {
@@ -48,13 +69,16 @@ router.get("/rooms/:roomId", (req, res) => {
 });
 
 // Get list of public rooms
-router.get("/rooms", (req, res) => {
+router.get("/rooms", async (req, res) => {
   try {
-    const publicRooms = roomService.getRoomsList();
+    const publicRooms = await roomService.getRoomsList();
     res.json(publicRooms);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Invites and password for private rooms
+router.use("/rooms/:roomId", createRoomAccessRouter(roomService));
+
 module.exports = router;
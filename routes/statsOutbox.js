@@ -0,0 +1,51 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const statsOutboxService = require("../services/StatsOutboxService");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { parsePositiveInt } = require("../utils/query");
+
+const router = express.Router();
+
+// Stats updates that ran out of attempts or were refused: ?email=&page=&limit=
+router.get("/dead-letters", async (req, res) => {
+  try {
+    const { defaultPageSize, maxPageSize } = config.statsOutbox;
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit, defaultPageSize),
+      maxPageSize
+    );
+
+    const { updates, total } = await statsOutboxService.listDeadLetters({
+      email: req.query.email,
+      page,
+      limit,
+    });
+    res.json({ success: true, updates, total, page, limit });
+  } catch (error) {
+    logger.error("Error listing dead-lettered stats:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Send a dead-lettered update again
+router.post("/dead-letters/:id/retry", async (req, res) => {
+  try {
+    const update = mongoose.isValidObjectId(req.params.id)
+      ? await statsOutboxService.retryDeadLetter(req.params.id)
+      : null;
+    if (!update) {
+      return res.status(404).json({
+        success: false,
+        message: "Dead-lettered update not found",
+      });
+    }
+    res.json({ success: true, update });
+  } catch (error) {
+    logger.error("Error retrying dead-lettered stats:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
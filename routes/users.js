@@ -0,0 +1,28 @@
+const express = require("express");
+const ratingService = require("../services/RatingService");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { parsePositiveInt } = require("../utils/query");
+
+const router = express.Router();
+
+// A player's current rating and how it got there, newest first: ?limit=
+router.get("/:email/rating-history", async (req, res) => {
+  try {
+    const { historyLimit } = config.rating;
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit, historyLimit),
+      historyLimit
+    );
+    const ratings = await ratingService.getHistory(req.params.email, limit);
+    res.json({ success: true, ...ratings });
+  } catch (error) {
+    logger.error("Error fetching rating history:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -3,14 +3,37 @@ require("dotenv").config();
 const express = require("express");
 const http = require("http");
 const socketIo = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const cors = require("cors");
 const logger = require("./utils/logger");
 const dsaRoomRoutes = require("./routes/dsaRooms");
 const handleDSAConnection = require("./handlers/handleDSAConnection");
+const {
+  registerChallengeTimerEvents,
+} = require("./handlers/challengeCompletion");
+const registerEvaluationEvents = require("./handlers/evaluationEvents");
+const registerRoomSettingsEvents = require("./handlers/roomSettingsEvents");
+const registerContestEvents = require("./handlers/contestEvents");
+const { registerMatchmakingEvents } = require("./handlers/matchmaking");
+const registerJudge0CallbackRelay = require("./handlers/judge0Callbacks");
 const config = require("./config/config");
 const roomRoutes = require("./routes/roomRoutes");
+const judge0Routes = require("./routes/judge0");
+const challengeRoutes = require("./routes/challenges");
+const userRoutes = require("./routes/users");
+const statsOutboxRoutes = require("./routes/statsOutbox");
+const statsOutboxService = require("./services/StatsOutboxService");
 const handleConnection = require("./handlers/socketHandlers");
+const createClusterRouter = require("./handlers/clusterRouting");
 const connectToDatabase = require("./lib/mongoose"); // ✅ NEW
+const {
+  authenticateRequest,
+  requireRole,
+  authenticateSocket,
+} = require("./middleware/auth");
+const roomService = require("./services/RoomService");
+const dsaRoomService = require("./services/DSAChallengeRoomService");
+const clusterService = require("./services/ClusterService");
 
 const app = express();
 const server = http.createServer(app);
@@ -18,16 +41,13 @@ const io = socketIo(server, {
   cors: config.server.cors,
 });
 
-// Connect MongoDB before server starts
-connectToDatabase(); // ✅ MONGO CONNECT
-
 app.use(cors(config.server.cors));
 app.options("*", cors(config.server.cors));
+// Public endpoints: Judge0 callbacks (secret-checked, with their own body
+// limit) and health checks
+app.use("/api/judge0", judge0Routes);
 app.use(express.json());
 
-app.use("/api", roomRoutes);
-app.use("/api/dsa-rooms", dsaRoomRoutes);
-
 app.get("/api/health", (req, res) => {
   const healthData = {
     status: "OK",
@@ -40,13 +60,54 @@ app.get("/api/health", (req, res) => {
   res.status(200).json(healthData);
 });
 
+// Everything else under /api needs a verified identity
+app.use("/api", authenticateRequest);
+app.use("/api", roomRoutes);
+app.use("/api/dsa-rooms", dsaRoomRoutes);
+app.use("/api/users", userRoutes);
+app.use(
+  "/api/challenges",
+  requireRole(...config.challengeBank.editorRoles),
+  challengeRoutes
+);
+app.use(
+  "/api/stats-outbox",
+  requireRole(...config.statsOutbox.adminRoles),
+  statsOutboxRoutes
+);
+
 // === Setup namespaces ===
 const mainNamespace = io.of("/main");
 const dsaNamespace = io.of("/dsa");
 
+mainNamespace.use(authenticateSocket);
+dsaNamespace.use(authenticateSocket);
+
+// Events for rooms owned by another instance are relayed to it
+const routeMainSocket = createClusterRouter(
+  mainNamespace,
+  "main",
+  roomService,
+  handleConnection
+);
+const routeDSASocket = createClusterRouter(
+  dsaNamespace,
+  "dsa",
+  dsaRoomService,
+  handleDSAConnection
+);
+
+registerChallengeTimerEvents(dsaNamespace);
+registerEvaluationEvents(dsaNamespace);
+registerRoomSettingsEvents(dsaNamespace);
+registerContestEvents(dsaNamespace);
+registerMatchmakingEvents(dsaNamespace);
+registerJudge0CallbackRelay(dsaNamespace);
+
 mainNamespace.on("connection", (socket) => {
   logger.log("New client connected to MAIN namespace:", socket.id);
   handleConnection(mainNamespace, socket);
+  routeMainSocket(socket);
 
   socket.on("disconnect", (reason) => {
     logger.log("Client disconnected from MAIN:", socket.id, "Reason:", reason);
@@ -56,6 +117,7 @@ mainNamespace.on("connection", (socket) => {
 dsaNamespace.on("connection", (socket) => {
   logger.log("New client connected to DSA namespace:", socket.id);
   handleDSAConnection(dsaNamespace, socket);
+  routeDSASocket(socket);
 
   socket.on("disconnect", (reason) => {
     logger.log("Client disconnected from DSA:", socket.id, "Reason:", reason);
@@ -68,6 +130,58 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  logger.log(`Server running on port ${PORT}`);
-});
+
+// Connect MongoDB and restore persisted rooms before accepting connections
+const start = async () => {
+  await connectToDatabase();
+
+  // With Redis configured, broadcasts reach clients on every instance
+  let adapterClients;
+  try {
+    adapterClients = await clusterService.start();
+  } catch (error) {
+    logger.error("Failed to join the cluster:", error);
+    process.exit(1);
+  }
+  if (adapterClients) {
+    io.adapter(
+      createAdapter(adapterClients.pubClient, adapterClients.subClient)
+    );
+  }
+
+  // Each kind of room is restored on its own, so one failing to load does
+  // not keep the other away
+  try {
+    await roomService.restoreRooms();
+  } catch (error) {
+    logger.error("Failed to restore rooms:", error);
+  }
+  try {
+    await dsaRoomService.restoreRooms();
+  } catch (error) {
+    logger.error("Failed to restore DSA rooms:", error);
+  }
+  // Delivers stats left in the outbox by the last run, then new ones
+  statsOutboxService.start();
+
+  server.listen(PORT, () => {
+    logger.log(`Server running on port ${PORT}`);
+  });
+};
+
+// Write out pending room snapshots before the process goes away
+const shutdown = async (signal) => {
+  logger.log(`${signal} received, saving room state...`);
+  await Promise.all([
+    roomService.flushSnapshots(),
+    dsaRoomService.flushSnapshots(),
+  ]);
+  statsOutboxService.stop();
+  await clusterService.stop();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+start();
@@ -0,0 +1,234 @@
+const { v4: uuidv4 } = require("uuid");
+const Challenge = require("../models/Challenge");
+const vectorDBService = require("./vectorDBService");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { validateAuthoredChallenge } = require("../utils/challengeValidation");
+
+// Fields an author may set; the rest is bookkeeping owned by the server
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "examples",
+  "constraints",
+  "template",
+  "testCases",
+  "functionName",
+  "signature",
+  "checker",
+  "limits",
+  "topic",
+  "difficulty",
+  "maxScore",
+];
+
+const pickEditable = (data) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => data[field] !== undefined).map(
+      (field) => [field, data[field]]
+    )
+  );
+
+// What the listing shows; test cases and templates only come with the
+// full challenge
+const toSummary = (challenge) => ({
+  challengeId: challenge.challengeId,
+  title: challenge.title,
+  topic: challenge.topic,
+  difficulty: challenge.difficulty,
+  maxScore: challenge.maxScore,
+  source: challenge.source || "generated",
+  retired: Boolean(challenge.retired),
+  usageCount: challenge.usageCount || 0,
+  solvedCount: (challenge.solvedBy || []).length,
+  createdAt: challenge.createdAt,
+  updatedAt: challenge.updatedAt || null,
+  lastUsed: challenge.lastUsed,
+});
+
+const toDetail = (challenge) => {
+  const { _id, __v, embedding, solvedBy, ...rest } = challenge;
+  return { ...rest, ...toSummary(challenge) };
+};
+
+/**
+ * Browsing and hand-editing of the challenge bank. MongoDB is the source of
+ * truth; every change that affects matching is mirrored to Pinecone so the
+ * similarity search keeps handing out the current version.
+ */
+class ChallengeBankService {
+  /**
+   * @param {object} options
+   * @param {string} [options.topic]
+   * @param {string} [options.difficulty]
+   * @param {string} [options.search] - Full-text search on questionText.
+   * @param {boolean} [options.includeRetired]
+   * @param {number} [options.page] - 1-based.
+   * @param {number} [options.limit]
+   * @returns {Promise<{challenges: object[], total: number}>}
+   */
+  async listChallenges({
+    topic,
+    difficulty,
+    search,
+    includeRetired = false,
+    page = 1,
+    limit = config.challengeBank.defaultPageSize,
+  } = {}) {
+    const query = {};
+    if (topic) query.topic = topic;
+    if (difficulty) query.difficulty = difficulty;
+    if (!includeRetired) query.retired = { $ne: true };
+    if (search) query.$text = { $search: search };
+
+    const projection = { embedding: 0, testCases: 0, template: 0 };
+    if (search) projection.score = { $meta: "textScore" };
+    const sort = search ? { score: { $meta: "textScore" } } : { createdAt: -1 };
+
+    const [challenges, total] = await Promise.all([
+      Challenge.find(query, projection)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Challenge.countDocuments(query),
+    ]);
+
+    return { challenges: challenges.map(toSummary), total };
+  }
+
+  /**
+   * @returns {Promise<object|null>} The full challenge, without its
+   * embedding, or null if unknown.
+   */
+  async getChallenge(challengeId) {
+    const challenge = await Challenge.findOne({ challengeId }).lean();
+    return challenge ? toDetail(challenge) : null;
+  }
+
+  /**
+   * Adds a hand-written challenge. Throws on invalid data.
+   * @param {object} data - The editable challenge fields.
+   * @param {string} author - Identity of the author.
+   * @returns {Promise<{challenge: object, indexed: boolean}>}
+   */
+  async createChallenge(data, author) {
+    const fields = pickEditable(data);
+    validateAuthoredChallenge(fields);
+
+    const challengeId = uuidv4();
+    const result = await vectorDBService.storeChallenge({
+      ...fields,
+      challengeId,
+      source: "manual",
+      createdBy: author,
+    });
+    if (!result.success) throw new Error(result.error);
+
+    const challenge = await Challenge.findOne({ challengeId }).lean();
+    return {
+      challenge: toDetail(challenge),
+      indexed: vectorDBService.initialized,
+    };
+  }
+
+  /**
+   * Applies an edit. A changed title or description is re-embedded, and
+   * the vector is re-upserted so Pinecone's metadata matches MongoDB.
+   * @returns {Promise<{challenge: object, indexed: boolean}|null>} Null if
+   * the challenge does not exist.
+   */
+  async updateChallenge(challengeId, data) {
+    const challenge = await Challenge.findOne({ challengeId });
+    if (!challenge) return null;
+
+    const updates = pickEditable(data);
+    const merged = { ...challenge.toObject(), ...updates };
+    validateAuthoredChallenge(merged);
+
+    const textChanged =
+      (updates.title !== undefined && updates.title !== challenge.title) ||
+      (updates.description !== undefined &&
+        updates.description !== challenge.description);
+
+    challenge.set(updates);
+    if (textChanged) {
+      challenge.questionText = `${challenge.title}\n\n${challenge.description}`;
+      // Embed before saving so a failed embedding leaves nothing half done
+      challenge.embedding = await vectorDBService.generateEmbedding(
+        challenge.questionText
+      );
+    }
+    challenge.updatedAt = new Date();
+    await challenge.save();
+
+    const indexed = challenge.retired
+      ? false
+      : await this.syncVector(challenge);
+    return { challenge: toDetail(challenge.toObject()), indexed };
+  }
+
+  /**
+   * Takes a challenge out of rotation without deleting it.
+   * @returns {Promise<object|null>}
+   */
+  async retireChallenge(challengeId) {
+    const challenge = await Challenge.findOne({ challengeId });
+    if (!challenge) return null;
+
+    if (!challenge.retired) {
+      challenge.retired = true;
+      challenge.retiredAt = new Date();
+      challenge.updatedAt = new Date();
+      await challenge.save();
+      try {
+        await vectorDBService.removeChallengeVector(challengeId);
+      } catch (error) {
+        // Matches are re-checked against MongoDB, so a stale vector is
+        // harmless
+        logger.error(`Failed to remove vector for ${challengeId}:`, error);
+      }
+    }
+    return toDetail(challenge.toObject());
+  }
+
+  /**
+   * Puts a retired challenge back into rotation.
+   * @returns {Promise<{challenge: object, indexed: boolean}|null>}
+   */
+  async restoreChallenge(challengeId) {
+    const challenge = await Challenge.findOne({ challengeId });
+    if (!challenge) return null;
+
+    if (challenge.retired) {
+      challenge.retired = false;
+      challenge.retiredAt = undefined;
+      challenge.updatedAt = new Date();
+      await challenge.save();
+    }
+    const indexed = await this.syncVector(challenge);
+    return { challenge: toDetail(challenge.toObject()), indexed };
+  }
+
+  // Pinecone problems are reported, not thrown: MongoDB already has the
+  // change and the next edit retries the upsert
+  async syncVector(challenge) {
+    try {
+      if (!challenge.embedding || challenge.embedding.length === 0) {
+        challenge.embedding = await vectorDBService.generateEmbedding(
+          challenge.questionText
+        );
+        await challenge.save();
+      }
+      return await vectorDBService.upsertChallengeVector(challenge);
+    } catch (error) {
+      logger.error(
+        `Failed to sync vector for challenge ${challenge.challengeId}:`,
+        error
+      );
+      return false;
+    }
+  }
+}
+
+module.exports = new ChallengeBankService();
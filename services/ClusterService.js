@@ -0,0 +1,191 @@
+const EventEmitter = require("events");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const connectToRedis = require("../lib/redis");
+const MemoryStore = require("./clusterStores/MemoryStore");
+const RedisStore = require("./clusterStores/RedisStore");
+
+const LEADER_KEY = "leader";
+const roomKey = (kind, roomId) => `room:${kind}:${roomId}`;
+const directoryKey = (kind) => `rooms:${kind}`;
+const nodeKey = (nodeId) => `node:${nodeId}`;
+
+/**
+ * Coordinates several server instances. Every room is owned by exactly one
+ * node, which holds its state, timers and cleanup; ownership is a lease
+ * renewed every `config.cluster.renewInterval`. Other nodes forward their
+ * clients' room events to the owner, and one elected leader runs the
+ * cluster-wide housekeeping.
+ *
+ * Without `config.cluster.redisUrl` the state lives in memory and this
+ * process is the only node, so it owns every room and is always the leader.
+ *
+ * Emits `room-lost` ({ kind, roomId }) when a room lease could not be
+ * renewed and another node may have taken the room over.
+ */
+class ClusterService extends EventEmitter {
+  constructor() {
+    super();
+    this.nodeId = config.cluster.nodeId || uuidv4();
+    this.store = new MemoryStore();
+    this.redis = null;
+    this.ownedRooms = new Set(); // lease keys
+    this.leader = false;
+    this.renewTimer = null;
+  }
+
+  isClustered() {
+    return Boolean(this.redis);
+  }
+
+  /**
+   * Connects to Redis when configured and starts renewing leases.
+   * @returns {Promise<{pubClient: object, subClient: object}|null>} The
+   * clients for the Socket.IO adapter, or null when running alone.
+   */
+  async start() {
+    if (config.cluster.redisUrl) {
+      this.redis = await connectToRedis(config.cluster.redisUrl);
+      this.store = new RedisStore(this.redis.client, config.cluster.keyPrefix);
+    }
+
+    await this.heartbeat();
+    this.renewTimer = setInterval(
+      () => this.heartbeat(),
+      config.cluster.renewInterval
+    );
+    logger.log(
+      `Cluster node ${this.nodeId} started (${
+        this.isClustered() ? "redis" : "standalone"
+      })`
+    );
+
+    return this.redis
+      ? { pubClient: this.redis.pubClient, subClient: this.redis.subClient }
+      : null;
+  }
+
+  /**
+   * Releases every lease so other nodes can take over right away. Used on
+   * shutdown, after room snapshots have been written.
+   */
+  async stop() {
+    clearInterval(this.renewTimer);
+    const keys = [...this.ownedRooms, LEADER_KEY, nodeKey(this.nodeId)];
+    await Promise.all(
+      keys.map((key) => this.store.release(key, this.nodeId).catch(() => false))
+    );
+    this.ownedRooms.clear();
+    this.leader = false;
+    if (this.redis) {
+      await Promise.all(
+        Object.values(this.redis).map((client) => client.quit())
+      );
+    }
+  }
+
+  async heartbeat() {
+    const { leaseTTL } = config.cluster;
+    try {
+      await this.store.set(
+        nodeKey(this.nodeId),
+        config.cluster.advertiseURL || "",
+        leaseTTL
+      );
+
+      for (const key of this.ownedRooms) {
+        if (await this.store.renew(key, this.nodeId, leaseTTL)) continue;
+        this.ownedRooms.delete(key);
+        const [, kind, ...rest] = key.split(":");
+        const roomId = rest.join(":");
+        logger.error(`Lost the lease on ${kind} room ${roomId}`);
+        this.emit("room-lost", { kind, roomId });
+      }
+
+      this.leader = await this.store.acquire(LEADER_KEY, this.nodeId, leaseTTL);
+    } catch (error) {
+      logger.error("Cluster heartbeat failed:", error);
+    }
+  }
+
+  // Leader-only tasks are best effort: leadership can change between ticks
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Takes ownership of a room. Fails when another live node owns it.
+   * @param {"main"|"dsa"} kind
+   * @param {string} roomId
+   * @returns {Promise<boolean>}
+   */
+  async claimRoom(kind, roomId) {
+    const key = roomKey(kind, roomId);
+    const claimed = await this.store.acquire(
+      key,
+      this.nodeId,
+      config.cluster.leaseTTL
+    );
+    if (claimed) this.ownedRooms.add(key);
+    return claimed;
+  }
+
+  async releaseRoom(kind, roomId) {
+    const key = roomKey(kind, roomId);
+    this.ownedRooms.delete(key);
+    try {
+      await this.store.release(key, this.nodeId);
+      await this.store.hDel(directoryKey(kind), roomId);
+    } catch (error) {
+      logger.error(`Failed to release ${kind} room ${roomId}:`, error);
+    }
+  }
+
+  ownsRoom(kind, roomId) {
+    return this.ownedRooms.has(roomKey(kind, roomId));
+  }
+
+  /**
+   * @returns {Promise<string|null>} The owning node id, or null when no
+   * live node holds the room.
+   */
+  async getRoomOwner(kind, roomId) {
+    if (this.ownsRoom(kind, roomId)) return this.nodeId;
+    return this.store.get(roomKey(kind, roomId));
+  }
+
+  // Base URL other nodes use to forward HTTP requests to `nodeId`
+  async getNodeURL(nodeId) {
+    return (await this.store.get(nodeKey(nodeId))) || null;
+  }
+
+  /**
+   * Records a room in the cluster-wide directory, which backs room lists
+   * and lets the leader find rooms whose owner went away.
+   * @param {"main"|"dsa"} kind
+   * @param {object} summary - The room's toJSON().
+   */
+  async publishRoom(kind, summary) {
+    try {
+      await this.store.hSet(
+        directoryKey(kind),
+        summary.id,
+        JSON.stringify({ ...summary, nodeId: this.nodeId })
+      );
+    } catch (error) {
+      logger.error(`Failed to publish ${kind} room ${summary.id}:`, error);
+    }
+  }
+
+  /**
+   * @param {"main"|"dsa"} kind
+   * @returns {Promise<object[]>} Directory entries from every node.
+   */
+  async listRooms(kind) {
+    const entries = await this.store.hGetAll(directoryKey(kind));
+    return Object.values(entries).map((entry) => JSON.parse(entry));
+  }
+}
+
+module.exports = new ClusterService();
@@ -1,50 +1,439 @@
 const DSAChallengeRoom = require("../models/DSAChallengeRoom");
+const ContestSchedule = require("../models/ContestSchedule");
 const config = require("../config/config");
 const axios = require("axios");
 const logger = require("../utils/logger");
 const vectorDBService = require("./vectorDBService");
 const Challenge = require("../models/Challenge");
+const DSARoomSnapshot = require("../models/DSARoomSnapshot");
+const PersistedRoomService = require("./PersistedRoomService");
+const clusterService = require("./ClusterService");
+const executor = require("./executors");
+const STATUS = require("./executors/status");
+const {
+  validateChallenge,
+  isHiddenTestCase,
+} = require("../utils/challengeValidation");
+const harness = require("./harness");
+const checkers = require("./checkers");
+const { resolveSignature } = require("./harness/types");
+const { resolveTestLimits } = require("../utils/scoring");
 const { v4: uuidv4 } = require("uuid"); // Add this import
 
-// Mapping our language names to Judge0 language IDs
-const languageToJudgeId = {
-  javascript: 93, // (ES6)
-  python: 71,
-  cpp: 54, // C++17
-  java: 62, // JDK 11
-  go: 60,
+// setTimeout fires at once past this delay; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// What runtimes print when a heap or address-space limit stops them
+const OUT_OF_MEMORY =
+  /MemoryError|std::bad_alloc|heap out of memory|OutOfMemoryError|runtime: out of memory/;
+
+// Submission verdicts by the status of the first failing test
+const VERDICTS = {
+  [STATUS.accepted.id]: "wrong_answer",
+  [STATUS.timeLimitExceeded.id]: "time_limit_exceeded",
+  [STATUS.memoryLimitExceeded.id]: "memory_limit_exceeded",
+  [STATUS.compilationError.id]: "compilation_error",
 };
 
-class DSAChallengeRoomService {
+/**
+ * The executor's status with the challenge's limits applied: a run over
+ * its memory limit, or one that died for lack of memory, is Memory Limit
+ * Exceeded, and a finished run over its time limit is Time Limit Exceeded.
+ */
+const applyLimits = (result, limits) => {
+  const { status } = result;
+  if (status.id === STATUS.compilationError.id) return status;
+  if (
+    (result.memory !== null && result.memory > limits.memoryLimit) ||
+    (status.id !== STATUS.accepted.id &&
+      OUT_OF_MEMORY.test(result.stderr || ""))
+  ) {
+    return STATUS.memoryLimitExceeded;
+  }
+  if (
+    status.id === STATUS.accepted.id &&
+    result.time !== null &&
+    result.time > limits.timeLimit
+  ) {
+    return STATUS.timeLimitExceeded;
+  }
+  return status;
+};
+
+const maxOf = (values) => {
+  const measured = values.filter((value) => typeof value === "number");
+  return measured.length > 0 ? Math.max(...measured) : null;
+};
+
+const GENERATED_CHECKER_TYPES = checkers.CHECKER_TYPES.filter(
+  (type) => type !== "custom"
+);
+
+// The returned value as shown to players; pass/fail is up to the checker
+const normalizeOutput = (stdout) => {
+  if (!stdout || !stdout.trim()) return "No output";
+  const output = checkers.parseOutput(stdout);
+  return output.parsed ? harness.toCanonicalJSON(output.value) : output.text;
+};
+
+class DSAChallengeRoomService extends PersistedRoomService {
   constructor() {
-    this.rooms = new Map();
-    this.users = new Map();
+    super({
+      kind: "dsa",
+      RoomClass: DSAChallengeRoom,
+      Snapshot: DSARoomSnapshot,
+      label: "DSA room",
+    });
+    this.challengeTimers = new Map();
+    this.contestTimers = new Map(); // roomId -> { prepare, start, countdown }
+    this.activeRuns = new Set(); // `${roomId}:${userId}` with a run-code going
     this.startCleanupTask();
   }
 
-  createRoom(roomId, roomName, difficulty, isPrivate, userName) {
+  // Restored rooms keep their clocks: an active challenge resumes with the
+  // time it had left and a scheduled contest stays armed
+  onRoomLoaded(roomId) {
+    this.scheduleChallengeTimer(roomId);
+    this.armContest(roomId);
+  }
+
+  onRoomDropped(roomId) {
+    this.clearChallengeTimer(roomId);
+    this.clearContestTimers(roomId);
+  }
+
+  /**
+   * Starts the server-side clock for the active challenge in a room. Emits
+   * `time-sync` every `config.dsaChallenge.timeSyncInterval` and
+   * `challenge-time-up` once `endTime` is reached.
+   */
+  scheduleChallengeTimer(roomId) {
+    this.clearChallengeTimer(roomId);
+    const room = this.getRoom(roomId);
+    if (!room || room.status !== "active" || !room.endTime) return;
+
+    const expiry = setTimeout(() => {
+      this.clearChallengeTimer(roomId);
+      const current = this.getRoom(roomId);
+      if (!current || current.status !== "active") return;
+      this.emit("challenge-time-up", { roomId });
+    }, room.getRemainingTime());
+
+    const ticker = setInterval(() => {
+      this.emit("time-sync", {
+        roomId,
+        remainingTime: room.getRemainingTime(),
+        endTime: room.endTime,
+      });
+    }, config.dsaChallenge.timeSyncInterval);
+
+    this.challengeTimers.set(roomId, { expiry, ticker });
+  }
+
+  clearChallengeTimer(roomId) {
+    const timers = this.challengeTimers.get(roomId);
+    if (!timers) return;
+    clearTimeout(timers.expiry);
+    clearInterval(timers.ticker);
+    this.challengeTimers.delete(roomId);
+  }
+
+  /**
+   * Schedules a contest in a room. Its problems are generated
+   * `config.contests.prepareLead` before the start and the round starts and
+   * ends on its own.
+   * @param {string} roomId
+   * @param {object} options - See ContestSchedule.create.
+   * @param {{id: string, name: string, email: string}} createdBy
+   * @returns {ContestSchedule}
+   */
+  scheduleContest(roomId, options, createdBy) {
+    const room = this.getRoom(roomId);
+    if (!room) throw new Error("Room not found");
+    if (room.hasUpcomingContest()) {
+      throw new Error("This room already has a contest scheduled");
+    }
+
+    room.schedule = ContestSchedule.create({ ...options, createdBy });
+    room.lastActivity = new Date();
+    this.armContest(roomId);
+    this.scheduleSnapshot(roomId);
+
+    this.emit("contest-scheduled", { roomId });
+    return room.schedule;
+  }
+
+  /**
+   * Cancels a contest that has not started yet.
+   */
+  cancelContest(roomId, cancelledBy) {
+    const room = this.getRoom(roomId);
+    if (!room) throw new Error("Room not found");
+    const { schedule } = room;
+    if (!schedule || !["scheduled", "ready"].includes(schedule.status)) {
+      throw new Error("There is no upcoming contest to cancel");
+    }
+
+    this.clearContestTimers(roomId);
+    schedule.setStatus("cancelled");
+    this.scheduleSnapshot(roomId);
+
+    this.emit("contest-cancelled", { roomId, cancelledBy });
+    return schedule;
+  }
+
+  /**
+   * Sets the timers that drive a room's contest from where it stands now:
+   * generating the problems, the countdown and the start. Called when a
+   * contest is scheduled and when its room is loaded; a contest whose
+   * start passed while the server was down starts late with the time it
+   * has left, or fails if its window is over.
+   */
+  armContest(roomId) {
+    this.clearContestTimers(roomId);
+    const room = this.getRoom(roomId);
+    const schedule = room && room.schedule;
+    if (!schedule || !["scheduled", "ready"].includes(schedule.status)) return;
+
+    const now = Date.now();
+    if (schedule.endsAt.getTime() <= now) {
+      this.failContest(roomId, "The server was down for the whole contest");
+      return;
+    }
+
+    const timers = {};
+    this.contestTimers.set(roomId, timers);
+
+    const startIn = schedule.startsAt.getTime() - now;
+    if (startIn > MAX_TIMER_DELAY) {
+      // Far-off contests check back once the wait fits in a timer
+      timers.start = setTimeout(() => this.armContest(roomId), MAX_TIMER_DELAY);
+      return;
+    }
+
+    const { prepareLead, countdownWindow, countdownInterval } = config.contests;
+    if (schedule.status === "scheduled") {
+      timers.prepare = setTimeout(
+        () => this.prepareContest(roomId),
+        Math.max(0, startIn - prepareLead)
+      );
+    }
+
+    const tick = () => {
+      const current = this.getRoom(roomId);
+      if (!current || !current.schedule) return;
+      this.emit("contest-countdown", {
+        roomId,
+        startsAt: current.schedule.startsAt,
+        remainingTime: Math.max(
+          0,
+          current.schedule.startsAt.getTime() - Date.now()
+        ),
+      });
+    };
+    const beginCountdown = () => {
+      tick();
+      timers.countdown = setInterval(tick, countdownInterval);
+    };
+    if (startIn > countdownWindow) {
+      timers.countdownStart = setTimeout(
+        beginCountdown,
+        startIn - countdownWindow
+      );
+    } else if (startIn > 0) {
+      beginCountdown();
+    }
+
+    timers.start = setTimeout(
+      () => this.startContest(roomId),
+      Math.max(0, startIn)
+    );
+  }
+
+  clearContestTimers(roomId) {
+    const timers = this.contestTimers.get(roomId);
+    if (!timers) return;
+    clearTimeout(timers.prepare);
+    clearTimeout(timers.countdownStart);
+    clearInterval(timers.countdown);
+    clearTimeout(timers.start);
+    this.contestTimers.delete(roomId);
+  }
+
+  /**
+   * Generates and locks a contest's problems, retrying every
+   * `config.contests.prepareRetryInterval` until the start if generation
+   * fails.
+   */
+  async prepareContest(roomId) {
+    const room = this.getRoom(roomId);
+    const schedule = room && room.schedule;
+    if (!schedule || schedule.status !== "scheduled") return;
+
+    try {
+      const challenges = [];
+      for (const { difficulty, topic } of schedule.problems) {
+        const { challenge } = await this.fetchChallenge(
+          difficulty,
+          topic,
+          schedule.createdBy && schedule.createdBy.email,
+          challenges.map((c) => c.challengeId)
+        );
+        challenges.push(challenge);
+      }
+
+      // Cancelled or rescheduled while the problems were being generated
+      if (room.schedule !== schedule || schedule.status !== "scheduled") {
+        return;
+      }
+      schedule.challenges = challenges;
+      schedule.setStatus("ready");
+      this.scheduleSnapshot(roomId);
+      logger.log(`Contest problems ready in room ${roomId}`);
+    } catch (err) {
+      logger.error(
+        `Contest preparation failed in room ${roomId}:`,
+        err.message
+      );
+      const timers = this.contestTimers.get(roomId);
+      const retryIn = config.contests.prepareRetryInterval;
+      if (timers && schedule.startsAt.getTime() - Date.now() > retryIn) {
+        timers.prepare = setTimeout(() => this.prepareContest(roomId), retryIn);
+      }
+    }
+  }
+
+  /**
+   * Opens a prepared contest: its problems become the room's round, on a
+   * clock that ends at the scheduled end. A challenge still running in the
+   * room is ended first.
+   */
+  startContest(roomId) {
+    this.clearContestTimers(roomId);
+    const room = this.getRoom(roomId);
+    const schedule = room && room.schedule;
+    if (!schedule || !["scheduled", "ready"].includes(schedule.status)) return;
+
+    if (schedule.status !== "ready") {
+      this.failContest(roomId, "The problems could not be prepared in time");
+      return;
+    }
+
+    if (room.status === "active") {
+      this.emit("challenge-time-up", { roomId });
+    }
+
+    room.startRound(
+      schedule.challenges,
+      schedule.endsAt.getTime() - Date.now()
+    );
+    schedule.setStatus("running");
+    room.lastActivity = new Date();
+    this.scheduleChallengeTimer(roomId);
+    this.scheduleSnapshot(roomId);
+
+    logger.log(`Contest started in room ${roomId}`);
+    this.emit("contest-started", { roomId });
+  }
+
+  failContest(roomId, reason) {
+    const room = this.getRoom(roomId);
+    if (!room || !room.schedule) return;
+
+    this.clearContestTimers(roomId);
+    room.schedule.setStatus("failed", reason);
+    this.scheduleSnapshot(roomId);
+
+    logger.warn(`Contest in room ${roomId} failed: ${reason}`);
+    this.emit("contest-failed", { roomId, reason });
+  }
+
+  async createRoom(
+    roomId,
+    roomName,
+    difficulty,
+    isPrivate,
+    userName,
+    timeLimit,
+    ownerId
+  ) {
     if (this.rooms.has(roomId)) {
       throw new Error("Room already exists");
     }
+    if (!(await clusterService.claimRoom("dsa", roomId))) {
+      throw new Error("Room already exists");
+    }
     const room = new DSAChallengeRoom(
       roomId,
       roomName,
       difficulty,
       isPrivate,
-      userName
+      userName,
+      timeLimit,
+      ownerId
     );
     this.rooms.set(roomId, room);
+    this.scheduleSnapshot(roomId);
     return room;
   }
 
+  /**
+   * Applies settings changed through the REST API and emits
+   * `room-settings-updated` so connected clients can be told.
+   * @param {string} roomId
+   * @param {{name?: string, difficulty?: string, topic?: string,
+   *   timeLimit?: number, scoringMode?: string}} updates - Already
+   *   validated; timeLimit in ms.
+   * @param {string} updatedBy - Display name of whoever changed them.
+   * @returns {DSAChallengeRoom}
+   */
+  updateRoomSettings(roomId, updates, updatedBy) {
+    const room = this.getRoom(roomId);
+    if (!room) throw new Error("Room not found");
+
+    Object.assign(room, updates);
+    room.lastActivity = new Date();
+    this.scheduleSnapshot(roomId);
+
+    this.emit("room-settings-updated", { roomId, updates, updatedBy });
+    return room;
+  }
+
+  /**
+   * Deletes a room on request of its owner and emits `room-closed` so
+   * connected clients can be sent away.
+   */
+  closeRoom(roomId, closedBy) {
+    if (!this.getRoom(roomId)) throw new Error("Room not found");
+
+    for (const [socketId, userInfo] of this.users.entries()) {
+      if (userInfo.roomId === roomId) this.users.delete(socketId);
+    }
+    this.deleteRoom(roomId);
+
+    this.emit("room-closed", { roomId, closedBy });
+  }
+
   getRoom(roomId) {
     return this.rooms.get(roomId);
   }
 
-  getRoomsList() {
-    return Array.from(this.rooms.values())
+  /**
+   * Public rooms on this node plus the ones other nodes have published.
+   */
+  async getRoomsList() {
+    const localRooms = Array.from(this.rooms.values())
       .filter((room) => !room.isPrivate)
       .map((room) => room.toJSON());
+    const remoteRooms = (await clusterService.listRooms("dsa"))
+      .filter(
+        (entry) =>
+          !entry.isPrivate &&
+          !this.rooms.has(entry.id) &&
+          entry.nodeId !== clusterService.nodeId
+      )
+      .map(({ nodeId, ...room }) => room);
+    return [...localRooms, ...remoteRooms];
   }
 
   addUserToRoom(roomId, user) {
@@ -57,15 +446,17 @@ class DSAChallengeRoomService {
     }
     room.addUser(user);
     this.users.set(user.socketId, { user, roomId });
+    this.scheduleSnapshot(roomId);
     return room;
   }
 
-  reconnectUser(roomId, sessionId, newSocketId) {
+  reconnectUser(roomId, sessionId, newSocketId, authId) {
     const room = this.getRoom(roomId);
     if (!room) return null;
 
+    // A session can only be resumed by the identity that started it
     const user = room.users.find(
-      (u) => u.sessionId === sessionId && u.disconnected
+      (u) => u.sessionId === sessionId && u.disconnected && u.authId === authId
     );
     if (user) {
       for (const [socketId, userInfo] of this.users.entries()) {
@@ -112,8 +503,10 @@ class DSAChallengeRoomService {
 
     room.removeUser(userId);
 
-    if (room.users.length === 0) {
-      this.rooms.delete(roomId);
+    if (room.users.length === 0 && !room.hasUpcomingContest()) {
+      this.deleteRoom(roomId);
+    } else {
+      this.scheduleSnapshot(roomId);
     }
   }
 
@@ -132,104 +525,161 @@ class DSAChallengeRoomService {
     return room ? room.users.filter((user) => !user.disconnected) : [];
   }
   validateChallenge(challengeData) {
-    const required = [
-      "title",
-      "description",
-      "examples",
-      "constraints",
-      "template",
-      "testCases",
-      "functionName",
-    ];
-    const missing = required.filter((field) => !challengeData[field]);
-
-    if (missing.length > 0) {
-      throw new Error(`Missing required fields: ${missing.join(", ")}`);
-    }
+    return validateChallenge(challengeData);
+  }
 
-    if (!challengeData.testCases || challengeData.testCases.length < 3) {
-      throw new Error("At least 3 test cases required");
-    }
+  /**
+   * Finds a challenge the user hasn't solved in the bank, or generates and
+   * stores a new one.
+   * @param {string} difficulty
+   * @param {string} topic
+   * @param {string} userEmail
+   * @param {string[]} [excludeIds] - Bank challengeIds that must not be
+   * picked, e.g. ones already in the same round.
+   * @returns {Promise<{challenge: object, cached: boolean, similarity?:
+   * number, source: string}>}
+   */
+  async fetchChallenge(difficulty, topic, userEmail, excludeIds = []) {
+    // First, try to find an unsolved cached challenge
+    const cachedResult = await vectorDBService.getUnsolvedChallenge(
+      userEmail,
+      topic,
+      difficulty
+    );
 
     if (
-      !challengeData.template ||
-      Object.keys(challengeData.template).length === 0
+      cachedResult.found &&
+      !excludeIds.includes(cachedResult.challenge.challengeId)
     ) {
-      throw new Error("Template for at least one language required");
+      logger.log(
+        `Using cached challenge: ${cachedResult.challenge.challengeId} (similarity: ${cachedResult.similarity}, source: ${cachedResult.source})`
+      );
+      return {
+        challenge: cachedResult.challenge,
+        cached: true,
+        similarity: cachedResult.similarity,
+        source: cachedResult.source,
+      };
     }
 
-    return true;
+    // No suitable cached challenge found, generate new one
+    logger.log("No suitable cached challenge found, generating new one...");
+    const newChallenge = await this.generateVerifiedChallenge(
+      difficulty,
+      topic
+    );
+    newChallenge.challengeId = uuidv4();
+
+    // Store the new challenge in vector DB
+    try {
+      const storeResult = await vectorDBService.storeChallenge(newChallenge);
+      if (
+        !storeResult.success &&
+        storeResult.error !== "Challenge already exists"
+      ) {
+        logger.warn(
+          "Failed to store challenge in vector DB:",
+          storeResult.error
+        );
+      }
+    } catch (storeError) {
+      logger.warn(
+        "Failed to store challenge in vector DB:",
+        storeError.message
+      );
+      // Continue anyway - the challenge can still be used
+    }
+
+    return { challenge: newChallenge, cached: false, source: "generated" };
   }
+
   async generateChallenge(roomId, difficulty, topic = "any", userEmail) {
     const room = this.getRoom(roomId);
     if (!room) throw new Error("Room not found");
+    if (room.schedule && room.schedule.status === "running") {
+      return { success: false, error: "A scheduled contest is running" };
+    }
 
     try {
-      // First, try to find an unsolved cached challenge
-      const cachedResult = await vectorDBService.getUnsolvedChallenge(
-        userEmail,
+      const { challenge, ...origin } = await this.fetchChallenge(
+        difficulty,
         topic,
-        difficulty
+        userEmail
       );
 
-      if (cachedResult.found) {
-        // Use cached challenge
-        const challenge = cachedResult.challenge;
-        room.setCurrentChallenge(challenge);
+      room.setCurrentChallenge(challenge);
+      this.scheduleChallengeTimer(roomId);
+      this.scheduleSnapshot(roomId);
+
+      return {
+        success: true,
+        challenge: room.getPublicChallenge(),
+        ...origin,
+      };
+    } catch (err) {
+      logger.error("Challenge generation/retrieval failed:", err.message);
+      return {
+        success: false,
+        error:
+          "Failed to generate or retrieve challenge. Please try again later.",
+        details: err.message,
+      };
+    }
+  }
+
+  /**
+   * Starts a contest round with one problem per entry of `problems`. The
+   * problems are fetched one after another so the same bank challenge is
+   * never picked twice; the room's current challenge is left alone if any
+   * of them fails.
+   * @param {string} roomId
+   * @param {{difficulty: string, topic: string}[]} problems
+   * @param {string} userEmail
+   */
+  async startRound(roomId, problems, userEmail) {
+    const room = this.getRoom(roomId);
+    if (!room) throw new Error("Room not found");
+    if (room.schedule && room.schedule.status === "running") {
+      return { success: false, error: "A scheduled contest is running" };
+    }
+    const { startTime } = room;
 
-        logger.log(
-          `Using cached challenge: ${challenge.challengeId} (similarity: ${cachedResult.similarity}, source: ${cachedResult.source})`
+    try {
+      const challenges = [];
+      for (const { difficulty, topic } of problems) {
+        const { challenge } = await this.fetchChallenge(
+          difficulty,
+          topic,
+          userEmail,
+          challenges.map((c) => c.challengeId)
         );
+        challenges.push(challenge);
+      }
 
+      // The room may have moved on while the problems were prepared
+      if (this.getRoom(roomId) !== room) {
+        return { success: false, error: "Room not found" };
+      }
+      if (room.schedule && room.schedule.status === "running") {
+        return { success: false, error: "A scheduled contest is running" };
+      }
+      if (room.status === "active" && room.startTime !== startTime) {
         return {
-          success: true,
-          challenge: room.currentChallenge,
-          cached: true,
-          similarity: cachedResult.similarity,
-          source: cachedResult.source,
+          success: false,
+          error: "Another challenge started while the round was prepared",
         };
       }
 
-      // No suitable cached challenge found, generate new one
-      logger.log("No suitable cached challenge found, generating new one...");
-      const newChallenge = await this.callGeminiAPI(difficulty, topic);
-      this.validateChallenge(newChallenge);
-      newChallenge.challengeId = uuidv4();
-
-      // Store the new challenge in vector DB
-      try {
-        const storeResult = await vectorDBService.storeChallenge(newChallenge);
-        if (
-          !storeResult.success &&
-          storeResult.error !== "Challenge already exists"
-        ) {
-          logger.warn(
-            "Failed to store challenge in vector DB:",
-            storeResult.error
-          );
-        }
-      } catch (storeError) {
-        logger.warn(
-          "Failed to store challenge in vector DB:",
-          storeError.message
-        );
-        // Continue anyway - the challenge can still be used
-      }
-
-      room.setCurrentChallenge(newChallenge);
+      room.startRound(challenges);
+      this.scheduleChallengeTimer(roomId);
+      this.scheduleSnapshot(roomId);
 
-      return {
-        success: true,
-        challenge: room.currentChallenge,
-        cached: false,
-        source: "generated",
-      };
+      return { success: true, round: room.getPublicRound() };
     } catch (err) {
-      logger.error("Challenge generation/retrieval failed:", err.message);
+      logger.error("Round generation failed:", err.message);
       return {
         success: false,
-        error:
-          "Failed to generate or retrieve challenge. Please try again later.",
+        error: "Failed to prepare the round. Please try again later.",
         details: err.message,
       };
     }
@@ -253,16 +703,91 @@ class DSAChallengeRoomService {
     }
   }
 
+  /**
+   * Asks Gemini for challenges until one passes validation and its
+   * reference solution passes every one of its test cases, so wrong
+   * expected outputs never reach players or the cache.
+   * @returns {Promise<object>} The verified challenge data.
+   */
+  async generateVerifiedChallenge(difficulty, topic) {
+    const { maxAttempts } = config.challengeGeneration;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let challengeData;
+      try {
+        challengeData = await this.callGeminiAPI(difficulty, topic);
+        this.validateChallenge(challengeData);
+      } catch (error) {
+        lastError = error;
+        logger.warn(
+          `Generated challenge rejected (attempt ${attempt}/${maxAttempts}):`,
+          error.message
+        );
+        continue;
+      }
+
+      const verification = await this.verifyReferenceSolution(challengeData);
+      if (verification.valid) return challengeData;
+
+      lastError = new Error(verification.reason);
+      logger.warn(
+        `Generated challenge "${challengeData.title}" rejected (attempt ${attempt}/${maxAttempts}):`,
+        verification.reason
+      );
+    }
+
+    throw new Error(
+      `No valid challenge after ${maxAttempts} attempts: ${lastError.message}`
+    );
+  }
+
+  /**
+   * Runs a challenge's reference solution through the evaluator against
+   * its own test cases. Throws when the executor itself fails, since
+   * asking Gemini again would not help.
+   * @returns {Promise<{valid: boolean, reason?: string}>}
+   */
+  async verifyReferenceSolution(challengeData) {
+    const { referenceSolution } = challengeData;
+    if (!referenceSolution?.code || !referenceSolution?.language) {
+      return { valid: false, reason: "Missing reference solution" };
+    }
+
+    const result = await this.evaluateWithExecutor(
+      referenceSolution,
+      challengeData
+    );
+    if (result.status === "error") {
+      throw new Error(`Could not run reference solution: ${result.message}`);
+    }
+    if (result.status !== "accepted") {
+      const failed = result.testResults
+        .filter((testResult) => !testResult.passed)
+        .map((testResult) => testResult.testCase);
+      return {
+        valid: false,
+        reason:
+          result.message ||
+          `Reference solution failed test cases ${failed.join(", ")}`,
+      };
+    }
+    return { valid: true };
+  }
+
   async callGeminiAPI(difficulty, topic) {
     const prompt = `
       Generate a data structure and algorithm challenge with the following specifications:
       - Difficulty: ${difficulty}
       - Topic: ${topic}
       - The response must be a single, minified JSON object.
-      - The JSON object must have these exact keys: "title", "description", "examples" (an array of objects with "input" and "output" strings), "constraints" (an array of strings), "template" (an object with keys "javascript", "python", "cpp", "java", "go"), "testCases" (an array of exactly 5 objects, each with "input" as a JSON object and "output" as a JSON serializable value), and "functionName" (string - the main function name to be called).
+      - The JSON object must have these exact keys: "title", "description", "examples" (an array of objects with "input" and "output" strings), "constraints" (an array of strings), "template" (an object with keys "javascript", "python", "cpp", "java", "go"), "testCases" (an array of exactly 8 objects, each with "input" as a JSON object and "output" as a JSON serializable value), "functionName" (string - the main function name to be called), "signature" (an object with "params", an array of objects with "name" and "type" listed in argument order, and "returnType"), "checker" (an object with "type" set to one of "exact", "json", "unordered" or "float"), and "referenceSolution" (an object with "language" set to "javascript" and "code" containing a complete, correct JavaScript implementation of the function).
       - The 'input' in testCases should be an object where keys are the parameter names.
       - The 'template' should contain starter code for each language with proper function signatures, parameter names, and return types.
       - The 'functionName' should be the name of the main function that will be called during execution.
+      - The 'signature' param names must be exactly the keys of every testCases 'input'. Types may only be int, long, double, bool, string, char, ListNode, TreeNode, arrays written as T[] (e.g. int[][]) and map<string,T>. ListNode and TreeNode values are written as JSON arrays, trees in level order with null for missing children.
+      - The 'checker' says how outputs are compared: "json" for a single correct answer, "unordered" when the answer is a list that may be returned in any order (add "nested": true if the lists inside it may be in any order too), "float" when the answer contains non-integer numbers (add "tolerance", e.g. 1e-6), and "exact" only when the output must match character for character.
+      - The 'referenceSolution' code must use the same signature as the JavaScript template and return the expected 'output' for every test case.
       - For templates, use realistic function signatures like LeetCode:
         * JavaScript: function functionName(param1, param2) { }
         * Python: def function_name(param1, param2):
@@ -290,11 +815,33 @@ class DSAChallengeRoomService {
       const jsonText = rawText.match(/\{[\s\S]*\}/)[0];
       const challengeData = JSON.parse(jsonText);
 
+      // Tolerate the solution coming back as bare code
+      if (typeof challengeData.referenceSolution === "string") {
+        challengeData.referenceSolution = {
+          language: "javascript",
+          code: challengeData.referenceSolution,
+        };
+      }
+
+      // Custom checkers run on this server, so only authors may write them
+      if (
+        !challengeData.checker ||
+        !GENERATED_CHECKER_TYPES.includes(challengeData.checker.type)
+      ) {
+        challengeData.checker = { ...checkers.DEFAULT_CHECKER };
+      }
+
       // Add server-side metadata
       challengeData.difficulty = difficulty;
+      // The first few tests are shown as samples, the rest only judge
+      challengeData.testCases = (challengeData.testCases || []).map(
+        (testCase, index) => ({
+          ...testCase,
+          hidden: index >= config.challengeGeneration.sampleTestCount,
+        })
+      );
       challengeData.topic = topic;
-      challengeData.maxScore =
-        difficulty === "easy" ? 100 : difficulty === "medium" ? 200 : 300;
+      challengeData.maxScore = config.scoring.defaultMaxScore[difficulty];
 
       return challengeData;
     } catch (error) {
@@ -306,23 +853,18 @@ class DSAChallengeRoomService {
     }
   }
 
-  async submitSolution(roomId, userId, solution) {
+  async submitSolution(roomId, userId, solution, problemId) {
     const room = this.getRoom(roomId);
     if (!room) throw new Error("Room not found");
 
-    const result = room.submitSolution(userId, solution);
+    const result = room.submitSolution(userId, solution, problemId);
     if (result.success) {
+      this.scheduleSnapshot(roomId);
       const user = room.users.find((u) => u.id === userId);
       if (user) {
         user.setCurrentSubmission(result.submission);
       }
-
-      // Automatically evaluate the submission
-      try {
-        await this.evaluateSubmission(roomId, result.submission.id);
-      } catch (error) {
-        logger.error("Error evaluating submission:", error);
-      }
+      // Evaluation is started by the caller through evaluateSubmission
     }
     return result;
   }
@@ -330,8 +872,7 @@ class DSAChallengeRoomService {
   async evaluateSubmission(roomId, submissionId) {
     try {
       const room = this.getRoom(roomId);
-      if (!room || !room.currentChallenge)
-        throw new Error("Room or challenge not found");
+      if (!room) throw new Error("Room not found");
 
       let submission;
       let userId;
@@ -348,18 +889,33 @@ class DSAChallengeRoomService {
 
       if (!submission) throw new Error("Submission not found");
 
-      // Get the function name from the current challenge
-      const functionName = room.currentChallenge.functionName;
-      if (!functionName) {
-        throw new Error("Function name not found in challenge");
-      }
+      // Judged against the problem it was made for, even if the room has
+      // moved on since
+      const challenge = room.findChallenge(submission.challengeId);
+      if (!challenge) throw new Error("Challenge not found");
 
-      const result = await this.evaluateWithJudge0(
+      // Report each test as soon as the executor finishes it
+      const onTestResult = (testResult) => {
+        const testResults = (submission.testResults || []).concat(testResult);
+        submission.testResults = testResults.sort(
+          (a, b) => a.testCase - b.testCase
+        );
+        this.emit("evaluation-progress", {
+          roomId,
+          userId,
+          submission,
+          testResult,
+        });
+      };
+
+      const result = await this.evaluateWithExecutor(
         submission,
-        room.currentChallenge.testCases,
-        functionName
+        challenge,
+        onTestResult
       );
-      return room.updateSubmissionResult(submissionId, result);
+      const updated = room.updateSubmissionResult(submissionId, result);
+      this.scheduleSnapshot(roomId);
+      return updated;
     } catch (error) {
       logger.error("Evaluation error:", error);
       return {
@@ -372,14 +928,24 @@ class DSAChallengeRoomService {
     }
   }
 
-  async evaluateWithJudge0(submission, testCases, functionName) {
+  /**
+   * Runs a solution against every test case of a challenge under the
+   * challenge's time and memory limits. Scoring is left to the room, which
+   * knows when and how often the player submitted.
+   * @param {{language: string, code: string}} submission
+   * @param {object} challenge - Test cases, function name, signature and
+   * limits.
+   * @param {function} [onTestResult] - Called as each test finishes.
+   */
+  async evaluateWithExecutor(submission, challenge, onTestResult) {
+    const testCases = challenge && challenge.testCases;
+    const functionName = challenge && challenge.functionName;
     try {
       if (!submission || !testCases || !functionName) {
         throw new Error("Invalid evaluation data");
       }
 
-      const languageId = languageToJudgeId[submission.language];
-      if (!languageId) {
+      if (!this.supportsLanguage(submission.language)) {
         return {
           success: false,
           status: "rejected",
@@ -389,152 +955,103 @@ class DSAChallengeRoomService {
         };
       }
 
-      const judge0BaseURL = config.judge0.baseURL;
-      const judge0ApiKey = config.judge0.apiKey;
+      const limits = resolveTestLimits(challenge);
 
-      if (!judge0BaseURL || !judge0ApiKey) {
-        throw new Error("Judge0 configuration is missing");
-      }
+      // Outputs are compared here rather than by the executor, which
+      // would only compare text
+      const sourceCode = harness.buildProgram(
+        submission.language,
+        submission.code,
+        challenge
+      );
+      const jobs = testCases.map((testCase) => ({
+        language: submission.language,
+        sourceCode,
+        stdin: harness.buildInput(challenge, testCase),
+        cpuTimeLimit: limits.timeLimit,
+        memoryLimit: limits.memoryLimit,
+      }));
+
+      const processResult = async (result, index) => {
+        const testCase = testCases[index];
+
+        if (!result.status) {
+          throw new Error("Invalid response from code executor");
+        }
 
-      // Prepare batch submissions
-      const batchSubmissions = testCases.map((testCase, index) => {
-        const wrappedCode = this.createWrappedCode(
-          submission.code,
-          submission.language,
-          testCase,
-          functionName
-        );
+        const status = applyLimits(result, limits);
+        const actualOutput = normalizeOutput(result.stdout);
+        const passed =
+          status.id === STATUS.accepted.id &&
+          (await checkers.check(challenge.checker, testCase, result.stdout));
+
+        // Output, errors and compiler messages can all echo the input, so a
+        // hidden test only reports whether it passed
+        if (isHiddenTestCase(testCase)) {
+          return {
+            testCase: index + 1,
+            passed,
+            hidden: true,
+            status: status.description,
+            statusId: status.id,
+            time: result.time,
+            memory: result.memory,
+          };
+        }
 
         return {
-          language_id: languageId,
-          source_code: Buffer.from(wrappedCode).toString("base64"),
-          stdin: "",
-          expected_output: Buffer.from(
-            JSON.stringify(testCase.output)
-          ).toString("base64"),
+          testCase: index + 1,
+          passed: passed,
+          input: testCase.input,
+          expected: testCase.output,
+          actual: actualOutput,
+          status: status.description,
+          statusId: status.id,
+          time: result.time,
+          memory: result.memory,
+          error: result.stderr,
+          compilationError: result.compileOutput,
         };
-      });
-
-      // Submit batch request
-      const batchOptions = {
-        method: "POST",
-        url: `${judge0BaseURL}/submissions/batch`,
-        params: { base64_encoded: "true" },
-        headers: {
-          "Content-Type": "application/json",
-          "X-RapidAPI-Key": judge0ApiKey,
-          "X-RapidAPI-Host": config.judge0.apiHost,
-        },
-        data: {
-          submissions: batchSubmissions,
-        },
       };
 
-      const batchResponse = await axios.request(batchOptions);
-      const tokens = batchResponse.data.map((submission) => submission.token);
-
-      // Poll for results with exponential backoff
-      let attempts = 0;
-      const maxAttempts = 10;
-      let delay = 1000; // Start with 1 second
-
-      while (attempts < maxAttempts) {
-        const resultsOptions = {
-          method: "GET",
-          url: `${judge0BaseURL}/submissions/batch`,
-          params: {
-            tokens: tokens.join(","),
-            base64_encoded: "true",
-          },
-          headers: {
-            "X-RapidAPI-Key": judge0ApiKey,
-            "X-RapidAPI-Host": config.judge0.apiHost,
-          },
-        };
-
-        const resultsResponse = await axios.request(resultsOptions);
-        const results = resultsResponse.data.submissions;
-
-        // Check if all submissions are completed
-        const allCompleted = results.every(
-          (result) => result.status && result.status.id >= 3 // 3 = Accepted, 4+ = Various error states
-        );
-
-        if (allCompleted) {
-          // Process results
-          const processedResults = results.map((result, index) => {
-            const testCase = testCases[index];
-
-            if (!result.status) {
-              throw new Error("Invalid response from Judge0");
-            }
-
-            // Process the actual output
-            let actualOutput = "No output";
-            if (result.stdout) {
-              actualOutput = Buffer.from(result.stdout, "base64")
-                .toString("utf-8")
-                .trim();
-              // Try to parse as JSON to normalize output format
-              try {
-                const parsed = JSON.parse(actualOutput);
-                actualOutput = JSON.stringify(parsed);
-              } catch (e) {
-                // If not JSON, keep as string but clean it
-                actualOutput = actualOutput.replace(/"/g, "");
-              }
-            }
-
-            // Normalize expected output
-            const expectedOutput = JSON.stringify(testCase.output);
-
-            const passed =
-              result.status.id === 3 && actualOutput === expectedOutput;
-
-            return {
-              testCase: index + 1,
-              passed: passed,
-              input: testCase.input,
-              expected: testCase.output,
-              actual: actualOutput,
-              status: result.status.description,
-              error: result.stderr
-                ? Buffer.from(result.stderr, "base64").toString("utf-8")
-                : null,
-              compilationError: result.compile_output
-                ? Buffer.from(result.compile_output, "base64").toString("utf-8")
-                : null,
-            };
-          });
-
-          const passedTests = processedResults.filter((r) => r.passed).length;
-          const allPassed = passedTests === testCases.length;
-          const score = allPassed
-            ? 100
-            : Math.round((passedTests / testCases.length) * 50);
+      // Each result is judged once, whether for progress or the total
+      const judged = [];
+      const judge = (result, index) => {
+        if (!judged[index]) judged[index] = processResult(result, index);
+        return judged[index];
+      };
 
-          return {
-            success: true,
-            status: allPassed ? "accepted" : "rejected",
-            testResults: processedResults,
-            score,
-            passedTests,
-            totalTests: testCases.length,
-          };
-        }
+      const results = await executor.executeBatch(jobs, {
+        onResult: onTestResult
+          ? (result, index) =>
+              judge(result, index)
+                .then(onTestResult)
+                .catch((error) =>
+                  logger.error("Failed to report a test result:", error)
+                )
+          : undefined,
+      });
+      const processedResults = await Promise.all(results.map(judge));
 
-        // Wait before next poll with exponential backoff
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        delay = Math.min(delay * 1.5, 5000); // Cap at 5 seconds
-        attempts++;
-      }
+      const passedTests = processedResults.filter((r) => r.passed).length;
+      const allPassed = passedTests === testCases.length;
+      const firstFailure = processedResults.find((r) => !r.passed);
 
-      // If we reach here, polling timed out
-      throw new Error(
-        "Evaluation timed out - submissions took too long to complete"
-      );
+      return {
+        success: true,
+        status: allPassed ? "accepted" : "rejected",
+        verdict: allPassed
+          ? "accepted"
+          : VERDICTS[firstFailure.statusId] || "runtime_error",
+        testResults: processedResults,
+        passedTests,
+        totalTests: testCases.length,
+        // Slowest and hungriest test, in seconds and KB
+        maxTime: maxOf(processedResults.map((r) => r.time)),
+        maxMemory: maxOf(processedResults.map((r) => r.memory)),
+      };
     } catch (error) {
-      logger.error("Judge0 batch evaluation failed:", {
+      logger.error("Code evaluation failed:", {
         error: error.message,
         stack: error.stack,
         submissionId: submission?.id,
@@ -557,134 +1074,137 @@ class DSAChallengeRoomService {
     }
   }
 
-  // Helper method to create wrapped code for different languages
-  createWrappedCode(userCode, language, testCase, functionName) {
-    const inputJson = JSON.stringify(testCase.input);
-    const inputParams = Object.keys(testCase.input);
-    const inputValues = Object.values(testCase.input);
-
-    const paramString = inputValues
-      .map((val) => JSON.stringify(val))
-      .join(", ");
-
-    switch (language) {
-      case "javascript":
-        return `
-${userCode}
-
-// Test execution
-const input = ${inputJson};
-const result = ${functionName}(${paramString});
-console.log(JSON.stringify(result));
-`;
-
-      case "python":
-        // Convert camelCase to snake_case for Python
-        const pythonFunctionName = functionName
-          .replace(/([A-Z])/g, "_$1")
-          .toLowerCase();
-        return `
-import json
-
-${userCode}
-
-# Test execution
-input_data = ${inputJson}
-result = ${pythonFunctionName}(${paramString})
-print(json.dumps(result))
-`;
-
-      case "cpp":
-        return `
-#include <iostream>
-#include <string>
-#include <vector>
-#include <algorithm>
-#include <unordered_map>
-#include <unordered_set>
-using namespace std;
-
-${userCode}
-
-int main() {
-    Solution solution;
-    auto result = solution.${functionName}(${paramString});
-    
-    // Handle different return types for output
-    if constexpr (std::is_same_v<decltype(result), std::vector<int>>) {
-        cout << "[";
-        for (size_t i = 0; i < result.size(); ++i) {
-            cout << result[i];
-            if (i < result.size() - 1) cout << ",";
-        }
-        cout << "]" << endl;
-    } else if constexpr (std::is_same_v<decltype(result), int>) {
-        cout << result << endl;
-    } else if constexpr (std::is_same_v<decltype(result), bool>) {
-        cout << (result ? "true" : "false") << endl;
-    } else if constexpr (std::is_same_v<decltype(result), std::string>) {
-        cout << "\\"" << result << "\\"" << endl;
-    } else {
-        cout << result << endl;
+  /**
+   * Executes code against a problem's sample tests, or against one custom
+   * input, without recording a submission or touching stats.
+   * @param {object} run
+   * @param {string} run.language
+   * @param {string} run.code
+   * @param {object} [run.customInput] - Arguments keyed by parameter name.
+   * @param {string} [run.problemId] - Round problem; the current challenge
+   * when left out.
+   * @returns {Promise<{custom: boolean, results: object[]}>}
+   */
+  async runCode(roomId, userId, { language, code, customInput, problemId }) {
+    const room = this.getRoom(roomId);
+    if (!room || !room.currentChallenge) {
+      throw new Error("No challenge is active");
     }
-    
-    return 0;
-}
-`;
-
-      case "java":
-        return `
-import java.util.*;
-
-${userCode}
-
-public class Main {
-    public static void main(String[] args) {
-        Solution solution = new Solution();
-        Object result = solution.${functionName}(${paramString});
-        
-        // Handle different return types
-        if (result instanceof List) {
-            System.out.println(result.toString().replace(" ", ""));
-        } else if (result instanceof int[]) {
-            System.out.println(Arrays.toString((int[]) result).replace(" ", ""));
-        } else if (result instanceof String) {
-            System.out.println("\\"" + result + "\\"");
-        } else {
-            System.out.println(result);
-        }
+    const challenge = room.getProblem(problemId);
+    if (!challenge) throw new Error("Problem not found");
+    if (!this.supportsLanguage(language)) {
+      throw new Error(`Unsupported language: ${language}`);
     }
-}
-`;
 
-      case "go":
-        return `
-package main
+    const custom = customInput !== undefined;
+    const testCases = custom
+      ? [{ input: this.parseCustomInput(challenge, customInput) }]
+      : room.getPublicChallenge(challenge).testCases;
+    if (testCases.length === 0) {
+      throw new Error(
+        "This challenge has no sample tests, run it with a custom input"
+      );
+    }
 
-import (
-    "encoding/json"
-    "fmt"
-)
+    const runKey = `${roomId}:${userId}`;
+    if (this.activeRuns.has(runKey)) {
+      throw new Error("Your previous run is still in progress");
+    }
+    this.activeRuns.add(runKey);
 
-${userCode}
+    try {
+      const limits = resolveTestLimits(challenge);
+      const sourceCode = harness.buildProgram(language, code, challenge);
+      const results = await executor.executeBatch(
+        testCases.map((testCase) => ({
+          language,
+          sourceCode,
+          stdin: harness.buildInput(challenge, testCase),
+          cpuTimeLimit: limits.timeLimit,
+          memoryLimit: limits.memoryLimit,
+        }))
+      );
 
-func main() {
-    result := ${functionName}(${paramString})
-    output, _ := json.Marshal(result)
-    fmt.Println(string(output))
-}
-`;
+      return {
+        custom,
+        results: await Promise.all(
+          results.map(async (result, index) => {
+            const testCase = testCases[index];
+            const status = applyLimits(result, limits);
+            const actual = normalizeOutput(result.stdout);
+            return {
+              testCase: index + 1,
+              input: testCase.input,
+              expected: custom ? null : testCase.output,
+              actual,
+              // A custom input has no expected output to compare with
+              passed: custom
+                ? null
+                : status.id === STATUS.accepted.id &&
+                  (await checkers.check(
+                    challenge.checker,
+                    testCase,
+                    result.stdout
+                  )),
+              status: status.description,
+              stdout: result.stdout,
+              stderr: result.stderr,
+              compilationError: result.compileOutput,
+              time: result.time,
+              memory: result.memory,
+            };
+          })
+        ),
+      };
+    } finally {
+      this.activeRuns.delete(runKey);
+    }
+  }
+
+  /**
+   * Checks a custom run-code input against the challenge's parameters.
+   */
+  parseCustomInput(challenge, customInput) {
+    if (
+      !customInput ||
+      typeof customInput !== "object" ||
+      Array.isArray(customInput)
+    ) {
+      throw new Error("Custom input must be an object of named arguments");
+    }
+    if (
+      JSON.stringify(customInput).length >
+      config.dsaChallenge.maxCustomInputSize
+    ) {
+      throw new Error("Custom input is too large");
+    }
 
-      default:
-        return userCode;
+    const missing = resolveSignature(challenge)
+      .params.map(({ name }) => name)
+      .filter((name) => !(name in customInput));
+    if (missing.length > 0) {
+      throw new Error(`Custom input is missing: ${missing.join(", ")}`);
     }
+    return customInput;
+  }
+
+  supportsLanguage(language) {
+    return (
+      executor.supportsLanguage(language) && harness.supportsLanguage(language)
+    );
   }
 
   endChallenge(roomId) {
     const room = this.getRoom(roomId);
     if (!room) throw new Error("Room not found");
+    if (room.status !== "active") throw new Error("No active challenge");
 
+    this.clearChallengeTimer(roomId);
     room.resetChallenge();
+    if (room.schedule && room.schedule.status === "running") {
+      room.schedule.setStatus("finished");
+    }
+    this.scheduleSnapshot(roomId);
 
     return room;
   }
@@ -731,13 +1251,21 @@ func main() {
 
         if (
           room.users.length === 0 &&
+          !room.hasUpcomingContest() &&
           now - room.lastActivity > maxInactiveRoomTime
         ) {
-          this.rooms.delete(roomId);
+          this.deleteRoom(roomId);
         } else if (updated) {
           room.lastActivity = new Date();
+          this.scheduleSnapshot(roomId);
         }
       }
+
+      if (clusterService.isLeader()) {
+        this.adoptOrphanedRooms().catch((error) =>
+          logger.error("Failed to adopt orphaned DSA rooms:", error)
+        );
+      }
     }, config.appSettings.cleanupInterval);
   }
 }
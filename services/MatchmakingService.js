@@ -0,0 +1,308 @@
+const EventEmitter = require("events");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const dsaRoomService = require("./DSAChallengeRoomService");
+const ratingService = require("./RatingService");
+const { DIFFICULTIES } = require("../utils/challengeValidation");
+
+/**
+ * Pairs players queued on the `/dsa` namespace into fresh private DSA rooms
+ * with a challenge already running. Players are matched with others who
+ * want the same group size and difficulty, a compatible topic ("any" fits
+ * every topic) and a rating within the tolerance, which widens the longer
+ * they wait. The queue lives on the node the players are connected to.
+ *
+ * Emits `queued`, `cancelled`, `timed-out` and `matched` for the socket
+ * handlers to relay. The handlers also tell it how to check whether a
+ * player's socket is still connected, through `setConnectionCheck`.
+ */
+class MatchmakingService extends EventEmitter {
+  constructor() {
+    super();
+    this.queue = new Map(); // authId -> entry
+    this.settingUp = new Map(); // authId -> entry, while their match is made
+    this.withdrawn = new Set(); // authIds that left during the set-up
+    this.isConnected = () => true;
+    this.matching = false;
+    this.ticker = null;
+  }
+
+  /**
+   * Adds a player to the queue.
+   * @param {object} player
+   * @param {{id: string, name: string, email: string}} player.auth
+   * @param {string} player.socketId
+   * @param {object} preferences
+   * @param {string} preferences.difficulty
+   * @param {string} [preferences.topic] - "any" by default.
+   * @param {string} [preferences.language] - Starting language in the room.
+   * @param {number} [preferences.size] - Players per match, 2 by default.
+   * @returns {object} The queue entry.
+   */
+  async enqueue({ auth, socketId }, preferences = {}) {
+    const { groupSizes } = config.matchmaking;
+    const { difficulty, topic = "any", language } = preferences;
+    const size = preferences.size === undefined ? 2 : Number(preferences.size);
+
+    if (!auth.email) {
+      throw new Error("User email is required to play");
+    }
+    if (!DIFFICULTIES.includes(difficulty)) {
+      throw new Error("Invalid difficulty level");
+    }
+    if (typeof topic !== "string" || !topic.trim()) {
+      throw new Error("Invalid topic");
+    }
+    if (!groupSizes.includes(size)) {
+      throw new Error(`Group size must be one of ${groupSizes.join(", ")}`);
+    }
+    if (language !== undefined && !dsaRoomService.supportsLanguage(language)) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+    if (this.queue.has(auth.id)) {
+      throw new Error("You are already in the matchmaking queue");
+    }
+    if (this.settingUp.has(auth.id) && !this.withdrawn.has(auth.id)) {
+      throw new Error("Your match is already being set up");
+    }
+
+    const entry = {
+      authId: auth.id,
+      name: auth.name,
+      email: auth.email,
+      socketId,
+      rating: await this.getRating(auth),
+      difficulty,
+      topic: topic.trim().toLowerCase(),
+      language,
+      size,
+      enqueuedAt: Date.now(),
+    };
+    // Queued twice while the rating was looked up
+    if (this.queue.has(auth.id)) {
+      throw new Error("You are already in the matchmaking queue");
+    }
+    this.queue.set(auth.id, entry);
+    this.startTicker();
+
+    this.emit("queued", { entry, queueSize: this.queue.size });
+    return entry;
+  }
+
+  /**
+   * Takes a player out of the queue, or out of the match being set up for
+   * them.
+   * @returns {boolean} Whether they were waiting for a match.
+   */
+  cancel(authId, reason = "cancelled") {
+    const entry = this.queue.get(authId);
+    if (entry) {
+      this.queue.delete(authId);
+    } else if (this.settingUp.has(authId) && !this.withdrawn.has(authId)) {
+      this.withdrawn.add(authId);
+    } else {
+      return false;
+    }
+    this.emit("cancelled", {
+      entry: entry || this.settingUp.get(authId),
+      reason,
+    });
+    return true;
+  }
+
+  // The player's entry, whether waiting in the queue or being matched
+  entryOf(authId) {
+    return this.queue.get(authId) || this.settingUp.get(authId) || null;
+  }
+
+  /**
+   * @param {function(string): boolean} check - Whether the socket with
+   *   this id is still connected.
+   */
+  setConnectionCheck(check) {
+    this.isConnected = check;
+  }
+
+  // Cancelled or disconnected since their match started being set up
+  hasLeft(member) {
+    return (
+      this.withdrawn.has(member.authId) || !this.isConnected(member.socketId)
+    );
+  }
+
+  async getRating(auth) {
+    return ratingService.getRating(auth.email);
+  }
+
+  /**
+   * How far apart in rating a player accepts opponents after waiting.
+   * @param {object} entry
+   * @param {number} [now]
+   */
+  toleranceOf(entry, now = Date.now()) {
+    const { initialTolerance, toleranceGrowth, toleranceStep, maxTolerance } =
+      config.matchmaking;
+    const steps = Math.floor((now - entry.enqueuedAt) / toleranceStep);
+    return Math.min(maxTolerance, initialTolerance + steps * toleranceGrowth);
+  }
+
+  // Whether two queued players may end up in the same match; the one who
+  // waited longer decides how wide the rating gap may be
+  isCompatible(a, b, now) {
+    return (
+      a.size === b.size &&
+      a.difficulty === b.difficulty &&
+      (a.topic === "any" || b.topic === "any" || a.topic === b.topic) &&
+      Math.abs(a.rating - b.rating) <=
+        Math.max(this.toleranceOf(a, now), this.toleranceOf(b, now))
+    );
+  }
+
+  /**
+   * Drops players who waited too long, then forms as many groups as the
+   * queue allows, longest-waiting players first.
+   * @returns {object[][]} The groups formed.
+   */
+  findMatches(now = Date.now()) {
+    for (const entry of Array.from(this.queue.values())) {
+      if (now - entry.enqueuedAt > config.matchmaking.queueTimeout) {
+        this.queue.delete(entry.authId);
+        this.emit("timed-out", { entry });
+      }
+    }
+
+    const waiting = Array.from(this.queue.values()).sort(
+      (a, b) => a.enqueuedAt - b.enqueuedAt
+    );
+    const taken = new Set();
+    const groups = [];
+
+    for (const anchor of waiting) {
+      if (taken.has(anchor.authId)) continue;
+
+      // Closest ratings first, and players of the same language among equals
+      const candidates = waiting
+        .filter(
+          (other) =>
+            other !== anchor &&
+            !taken.has(other.authId) &&
+            this.isCompatible(anchor, other, now)
+        )
+        .sort(
+          (a, b) =>
+            Math.abs(a.rating - anchor.rating) -
+              Math.abs(b.rating - anchor.rating) ||
+            (b.language === anchor.language) - (a.language === anchor.language)
+        );
+
+      const group = [anchor];
+      for (const candidate of candidates) {
+        if (group.length === anchor.size) break;
+        if (
+          group.every((member) => this.isCompatible(member, candidate, now))
+        ) {
+          group.push(candidate);
+        }
+      }
+      if (group.length < anchor.size) continue;
+
+      group.forEach((member) => taken.add(member.authId));
+      groups.push(group);
+    }
+
+    groups.flat().forEach((member) => this.queue.delete(member.authId));
+    return groups;
+  }
+
+  /**
+   * Creates a private room for a group, lets its players in and starts a
+   * challenge at the group's difficulty and topic. If the match could not
+   * be set up, or someone left while it was, the players still waiting go
+   * back to the front of the queue.
+   * @param {object[]} group
+   */
+  async createMatch(group) {
+    const [anchor] = group;
+    const topic = (group.find((member) => member.topic !== "any") || anchor)
+      .topic;
+    const roomId = uuidv4();
+    group.forEach((member) => this.settingUp.set(member.authId, member));
+
+    try {
+      const room = await dsaRoomService.createRoom(
+        roomId,
+        group.map((member) => member.name).join(" vs "),
+        anchor.difficulty,
+        true,
+        "Matchmaking",
+        config.matchmaking.matchTimeLimit,
+        null
+      );
+      room.topic = topic;
+      group.forEach((member) => room.access.grant(member.authId));
+
+      const result = await dsaRoomService.generateChallenge(
+        roomId,
+        anchor.difficulty,
+        topic,
+        anchor.email
+      );
+      if (!result.success) {
+        throw new Error(result.details || result.error);
+      }
+
+      const gone = group.filter((member) => this.hasLeft(member));
+      if (gone.length > 0) {
+        const names = gone.map((member) => member.name).join(", ");
+        throw new Error(`${names} left before the match started`);
+      }
+
+      logger.log(`Matched ${group.length} players into DSA room ${roomId}`);
+      this.emit("matched", { roomId, room, group });
+    } catch (error) {
+      logger.error("Failed to set up a match:", error.message);
+      if (dsaRoomService.getRoom(roomId)) dsaRoomService.deleteRoom(roomId);
+      group.forEach((member) => {
+        if (!this.hasLeft(member) && !this.queue.has(member.authId)) {
+          this.queue.set(member.authId, member);
+        }
+      });
+    } finally {
+      group.forEach((member) => {
+        this.settingUp.delete(member.authId);
+        this.withdrawn.delete(member.authId);
+      });
+    }
+  }
+
+  async tick() {
+    if (this.matching) return;
+    this.matching = true;
+    try {
+      for (const group of this.findMatches()) {
+        await this.createMatch(group);
+      }
+    } finally {
+      this.matching = false;
+      if (this.queue.size === 0) this.stopTicker();
+    }
+  }
+
+  // Runs only while someone is waiting
+  startTicker() {
+    if (this.ticker) return;
+    this.ticker = setInterval(() => {
+      this.tick().catch((error) =>
+        logger.error("Matchmaking tick failed:", error)
+      );
+    }, config.matchmaking.tickInterval);
+  }
+
+  stopTicker() {
+    clearInterval(this.ticker);
+    this.ticker = null;
+  }
+}
+
+module.exports = new MatchmakingService();
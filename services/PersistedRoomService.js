@@ -0,0 +1,181 @@
+const EventEmitter = require("events");
+const clusterService = require("./ClusterService");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+/**
+ * Base of the room services: keeps rooms in memory, writes them behind to
+ * a snapshot collection and shares them with the rest of the cluster
+ * through ClusterService's room directory. A room lives on the node that
+ * claimed it; other nodes load it from its snapshot when that node goes
+ * away.
+ *
+ * Subclasses hook into a room's life on this node through `onRoomLoaded`,
+ * called once a room is restored or taken over, and `onRoomDropped`,
+ * called once it is deleted or lost to another node.
+ */
+class PersistedRoomService extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.kind - The room directory to use, "main" or
+   *   "dsa".
+   * @param {object} options.RoomClass - With a static `fromSnapshot`.
+   * @param {object} options.Snapshot - The mongoose model of the snapshots.
+   * @param {string} options.label - What to call a room in logs.
+   */
+  constructor({ kind, RoomClass, Snapshot, label }) {
+    super();
+    this.kind = kind;
+    this.RoomClass = RoomClass;
+    this.Snapshot = Snapshot;
+    this.label = label;
+    this.rooms = new Map();
+    this.users = new Map();
+    this.pendingSnapshots = new Map();
+
+    clusterService.on("room-lost", (lost) => {
+      if (lost.kind === this.kind) this.evictRoom(lost.roomId);
+    });
+  }
+
+  onRoomLoaded() {}
+
+  onRoomDropped() {}
+
+  /**
+   * Loads stored rooms back into memory. In a cluster only the rooms this
+   * node manages to claim are loaded; the rest stay with their owners.
+   * Called once on boot after the database connection is up.
+   */
+  async restoreRooms() {
+    const snapshots = await this.Snapshot.find().lean();
+    let restored = 0;
+    for (const snapshot of snapshots) {
+      const { roomId } = snapshot;
+      if (this.rooms.has(roomId)) continue;
+      if (!(await clusterService.claimRoom(this.kind, roomId))) continue;
+      this.rooms.set(roomId, this.RoomClass.fromSnapshot(snapshot));
+      this.onRoomLoaded(roomId);
+      restored++;
+    }
+    logger.log(`Restored ${restored} ${this.label}(s)`);
+    return restored;
+  }
+
+  /**
+   * Takes over a stored room that no live node owns, e.g. after its owner
+   * went down.
+   * @returns {Promise<object|null>} The room, or null if another node owns
+   * it or it no longer exists.
+   */
+  async loadRoom(roomId) {
+    if (this.rooms.has(roomId)) return this.rooms.get(roomId);
+    if (!(await clusterService.claimRoom(this.kind, roomId))) return null;
+
+    const snapshot = await this.Snapshot.findOne({ roomId }).lean();
+    if (!snapshot) {
+      await clusterService.releaseRoom(this.kind, roomId);
+      return null;
+    }
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, this.RoomClass.fromSnapshot(snapshot));
+      this.onRoomLoaded(roomId);
+      logger.log(`Took over ${this.label} ${roomId}`);
+    }
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Drops a room whose lease went to another node, without touching its
+   * stored snapshot; the new owner has it now.
+   */
+  evictRoom(roomId) {
+    this.onRoomDropped(roomId);
+    this.cancelSnapshot(roomId);
+    for (const [socketId, userInfo] of this.users.entries()) {
+      if (userInfo.roomId === roomId) this.users.delete(socketId);
+    }
+    this.rooms.delete(roomId);
+  }
+
+  deleteRoom(roomId) {
+    this.onRoomDropped(roomId);
+    this.rooms.delete(roomId);
+    this.deleteSnapshot(roomId);
+    clusterService.releaseRoom(this.kind, roomId);
+  }
+
+  /**
+   * Picks up rooms left in the directory by a node that went away, so
+   * their timers and cleanup keep running somewhere. Run by the cluster
+   * leader.
+   */
+  async adoptOrphanedRooms() {
+    const entries = await clusterService.listRooms(this.kind);
+    for (const { id } of entries) {
+      if (this.rooms.has(id)) continue;
+      if (await clusterService.getRoomOwner(this.kind, id)) continue;
+      await this.loadRoom(id);
+    }
+  }
+
+  /**
+   * Schedules a write-behind snapshot of a room. Bursts of changes within
+   * `config.room.snapshotDelay` are folded into a single write.
+   */
+  scheduleSnapshot(roomId) {
+    if (this.pendingSnapshots.has(roomId)) return;
+    const timer = setTimeout(() => {
+      this.pendingSnapshots.delete(roomId);
+      this.saveSnapshot(roomId);
+    }, config.room.snapshotDelay);
+    this.pendingSnapshots.set(roomId, timer);
+  }
+
+  cancelSnapshot(roomId) {
+    const timer = this.pendingSnapshots.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.pendingSnapshots.delete(roomId);
+    }
+  }
+
+  async saveSnapshot(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    clusterService.publishRoom(this.kind, room.toJSON());
+    try {
+      await this.Snapshot.updateOne({ roomId }, room.toSnapshot(), {
+        upsert: true,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to save snapshot for ${this.label} ${roomId}:`,
+        error
+      );
+    }
+  }
+
+  async deleteSnapshot(roomId) {
+    this.cancelSnapshot(roomId);
+    try {
+      await this.Snapshot.deleteOne({ roomId });
+    } catch (error) {
+      logger.error(
+        `Failed to delete snapshot for ${this.label} ${roomId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Writes every pending snapshot immediately. Used on shutdown.
+   */
+  async flushSnapshots() {
+    const roomIds = Array.from(this.pendingSnapshots.keys());
+    roomIds.forEach((roomId) => this.cancelSnapshot(roomId));
+    await Promise.all(roomIds.map((roomId) => this.saveSnapshot(roomId)));
+  }
+}
+
+module.exports = PersistedRoomService;
@@ -0,0 +1,160 @@
+const UserRating = require("../models/UserRating");
+const RatedRound = require("../models/RatedRound");
+const config = require("../config/config");
+const { computeRatingChanges } = require("../utils/rating");
+
+const DUPLICATE_KEY = 11000;
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Player ratings, kept by account email. Ratings change only through
+ * recordResults, once per finished round.
+ */
+class RatingService {
+  /**
+   * @param {string} email
+   * @returns {Promise<number>} The player's rating, or the initial rating
+   * if they have none yet.
+   */
+  async getRating(email) {
+    const record = await UserRating.findOne(
+      { email: normalizeEmail(email) },
+      { rating: 1 }
+    ).lean();
+    return record ? record.rating : config.rating.initialRating;
+  }
+
+  /**
+   * Rates a finished round from its final standings and stores the new
+   * ratings with a history entry for every player. A round that was
+   * already rated is left alone.
+   * @param {object} result
+   * @param {string} result.roomId
+   * @param {string} result.roundId
+   * @param {string[]} result.challengeIds
+   * @param {string[]} result.difficulties - Of the challenges played.
+   * @param {{email: string, rank: number}[]} result.standings
+   * @returns {Promise<Map<string, {before: number, after: number,
+   *   change: number}>>} By email as given; empty with fewer than two
+   *   players or when the round was rated before.
+   */
+  async recordResults({
+    roomId,
+    roundId,
+    challengeIds,
+    difficulties,
+    standings,
+  }) {
+    const emails = standings.map(({ email }) => normalizeEmail(email));
+    const records = await UserRating.find({ email: { $in: emails } }).lean();
+    const byEmail = new Map(records.map((record) => [record.email, record]));
+
+    const rated = standings.map(({ rank }, i) => {
+      const record = byEmail.get(emails[i]);
+      return {
+        email: emails[i],
+        rank,
+        rating: record ? record.rating : config.rating.initialRating,
+        gamesPlayed: record ? record.gamesPlayed : 0,
+      };
+    });
+    const changes = computeRatingChanges(rated, difficulties);
+    if (changes.size === 0) return changes;
+
+    const key = `${roomId}:${roundId}`;
+    try {
+      await RatedRound.create({ key, roomId, roundId });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return new Map();
+      throw error;
+    }
+
+    // Ratings move by their change rather than being overwritten, so a
+    // round rated at the same time for one of these players is not lost.
+    // New players get their starting rating first for the change to add to,
+    // and a player whose history already has this round is skipped, so
+    // retrying after a partly applied write does not count it twice.
+    const now = new Date();
+    const creates = rated.map(({ email }) => ({
+      updateOne: {
+        filter: { email },
+        update: { $setOnInsert: { rating: config.rating.initialRating } },
+        upsert: true,
+      },
+    }));
+    const updates = rated.map(({ email, rank }) => {
+      const { before, after, change } = changes.get(email);
+      return {
+        updateOne: {
+          filter: {
+            email,
+            history: { $not: { $elemMatch: { roomId, roundId } } },
+          },
+          update: {
+            $set: { updatedAt: now },
+            $inc: { rating: change, gamesPlayed: 1 },
+            $push: {
+              history: {
+                $each: [
+                  {
+                    roomId,
+                    roundId,
+                    challengeIds,
+                    difficulties,
+                    rank,
+                    players: rated.length,
+                    ratingBefore: before,
+                    rating: after,
+                    change,
+                    createdAt: now,
+                  },
+                ],
+                $slice: -config.rating.historyLimit,
+              },
+            },
+          },
+        },
+      };
+    });
+    try {
+      // Ordered, so every player exists before their rating moves
+      await UserRating.bulkWrite([...creates, ...updates]);
+    } catch (error) {
+      // Let a retry rate the round
+      await RatedRound.deleteOne({ key });
+      throw error;
+    }
+
+    return new Map(
+      standings.map(({ email }, i) => [email, changes.get(emails[i])])
+    );
+  }
+
+  /**
+   * @param {string} email
+   * @param {number} [limit] - Most recent entries to return.
+   * @returns {Promise<{email: string, rating: number, gamesPlayed: number,
+   *   history: object[]}>} Newest entry first.
+   */
+  async getHistory(email, limit = config.rating.historyLimit) {
+    const normalized = normalizeEmail(email);
+    const record = await UserRating.findOne({ email: normalized }).lean();
+    if (!record) {
+      return {
+        email: normalized,
+        rating: config.rating.initialRating,
+        gamesPlayed: 0,
+        history: [],
+      };
+    }
+    return {
+      email: record.email,
+      rating: record.rating,
+      gamesPlayed: record.gamesPlayed,
+      history: record.history.slice(-limit).reverse(),
+    };
+  }
+}
+
+module.exports = new RatingService();
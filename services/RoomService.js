@@ -1,20 +1,48 @@
 const Room = require("../models/Room");
+const RoomSnapshot = require("../models/RoomSnapshot");
+const PersistedRoomService = require("./PersistedRoomService");
+const clusterService = require("./ClusterService");
+const executor = require("./executors");
+const config = require("../config/config");
 const logger = require("../utils/logger");
+const { v4: uuidv4 } = require("uuid");
 
-class RoomService {
+class RoomService extends PersistedRoomService {
   constructor() {
-    this.rooms = new Map();
-    this.users = new Map();
+    super({
+      kind: "main",
+      RoomClass: Room,
+      Snapshot: RoomSnapshot,
+      label: "room",
+    });
+    // `${roomId}:${tabId}` -> the run in progress on that tab
+    this.tabRuns = new Map();
     this.startCleanupTask();
   }
 
-  createRoom(roomId, roomName, language, isPrivate, userName) {
+  onRoomDropped(roomId) {
+    this.cancelRoomRuns(roomId);
+  }
+
+  async createRoom(roomId, roomName, language, isPrivate, userName, ownerId) {
     if (this.rooms.has(roomId)) {
       throw new Error("Room already exists");
     }
+    // The room id is chosen by the client, so another node may have it
+    if (!(await clusterService.claimRoom("main", roomId))) {
+      throw new Error("Room already exists");
+    }
 
-    const room = new Room(roomId, roomName, language, isPrivate, userName);
+    const room = new Room(
+      roomId,
+      roomName,
+      language,
+      isPrivate,
+      userName,
+      ownerId
+    );
     this.rooms.set(roomId, room);
+    this.scheduleSnapshot(roomId);
     return room;
   }
 
@@ -22,10 +50,22 @@ class RoomService {
     return this.rooms.get(roomId);
   }
 
-  getRoomsList() {
-    return Array.from(this.rooms.values())
+  /**
+   * Public rooms on this node plus the ones other nodes have published.
+   */
+  async getRoomsList() {
+    const localRooms = Array.from(this.rooms.values())
       .filter((room) => !room.isPrivate)
       .map((room) => room.toJSON());
+    const remoteRooms = (await clusterService.listRooms("main"))
+      .filter(
+        (entry) =>
+          !entry.isPrivate &&
+          !this.rooms.has(entry.id) &&
+          entry.nodeId !== clusterService.nodeId
+      )
+      .map(({ nodeId, ...room }) => room);
+    return [...localRooms, ...remoteRooms];
   }
 
   addUserToRoom(roomId, user) {
@@ -36,6 +76,7 @@ class RoomService {
 
     room.addUser(user);
     this.users.set(user.socketId, { user, roomId });
+    this.scheduleSnapshot(roomId);
     return room;
   }
 
@@ -45,12 +86,13 @@ class RoomService {
     return room.users.find((u) => u.sessionId === sessionId && u.disconnected);
   }
 
-  reconnectUser(roomId, sessionId, newSocketId) {
+  reconnectUser(roomId, sessionId, newSocketId, authId) {
     const room = this.getRoom(roomId);
     if (!room) return null;
 
+    // A session can only be resumed by the identity that started it
     const user = room.users.find(
-      (u) => u.sessionId === sessionId && u.disconnected
+      (u) => u.sessionId === sessionId && u.disconnected && u.authId === authId
     );
     if (user) {
       for (const [socketId, userInfo] of this.users.entries()) {
@@ -103,8 +145,10 @@ class RoomService {
     );
 
     if (room.users.length === 0) {
-      this.rooms.delete(roomId);
+      this.deleteRoom(roomId);
       logger.log(`Room ${roomId} deleted (empty after user left).`);
+    } else {
+      this.scheduleSnapshot(roomId);
     }
   }
 
@@ -128,32 +172,49 @@ class RoomService {
   updateTabCode(roomId, tabId, code) {
     const room = this.rooms.get(roomId);
     if (!room) return false;
-    return room.updateTabCode(tabId, code);
+    const success = room.updateTabCode(tabId, code);
+    if (success) this.scheduleSnapshot(roomId);
+    return success;
+  }
+
+  applyTabOperation(roomId, tabId, revision, operation) {
+    const room = this.rooms.get(roomId);
+    if (!room) return { success: false, reason: "Room not found" };
+    const result = room.applyTabOperation(tabId, revision, operation);
+    if (result.success) this.scheduleSnapshot(roomId);
+    return result;
   }
 
   updateTabLanguage(roomId, tabId, language) {
     const room = this.rooms.get(roomId);
     if (!room) return false;
-    return room.updateTabLanguage(tabId, language);
+    const success = room.updateTabLanguage(tabId, language);
+    if (success) this.scheduleSnapshot(roomId);
+    return success;
   }
 
   addTabToRoom(roomId, tab) {
     const room = this.rooms.get(roomId);
     if (!room) return false;
     room.addTab(tab);
+    this.scheduleSnapshot(roomId);
     return true;
   }
 
   deleteTabFromRoom(roomId, tabId, userId) {
     const room = this.getRoom(roomId);
     if (!room) return { success: false };
-    return room.deleteTab(tabId, userId);
+    const result = room.deleteTab(tabId, userId);
+    if (result.success) this.scheduleSnapshot(roomId);
+    return result;
   }
 
   setTabPublicInRoom(roomId, tabId, isPublic, userId) {
     const room = this.getRoom(roomId);
     if (!room) return { success: false };
-    return room.setTabPublic(tabId, isPublic, userId);
+    const result = room.setTabPublic(tabId, isPublic, userId);
+    if (result.success) this.scheduleSnapshot(roomId);
+    return result;
   }
 
   getTabFromRoom(roomId, tabId) {
@@ -162,6 +223,75 @@ class RoomService {
     return room.getTab(tabId);
   }
 
+  /**
+   * Starts running a tab's code on the configured executor. Only one run
+   * per tab at a time. Throws when the run cannot start.
+   * @param {object} options
+   * @param {string} [options.stdin]
+   * @param {string} options.startedBy - Id of the user who started it.
+   * @param {function} [options.onOutput] - Called with `{runId, stream,
+   * text}` as output arrives.
+   * @returns {{run: object, finished: Promise<object>}} The run's details
+   * and a promise for the executor result.
+   */
+  startTabRun(roomId, tabId, { stdin = "", startedBy, onOutput }) {
+    const tab = this.getTabFromRoom(roomId, tabId);
+    if (!tab) throw new Error("Tab not found");
+    if (!executor.supportsLanguage(tab.language)) {
+      throw new Error(`Running ${tab.language} code is not supported`);
+    }
+    if (typeof stdin !== "string") throw new Error("stdin must be a string");
+    if (Buffer.byteLength(stdin) > config.appSettings.maxRunStdinSize) {
+      throw new Error("stdin is too large");
+    }
+
+    const key = `${roomId}:${tabId}`;
+    if (this.tabRuns.has(key)) {
+      throw new Error("This tab is already running");
+    }
+
+    const run = {
+      runId: uuidv4(),
+      tabId,
+      language: tab.language,
+      startedBy,
+      startedAt: new Date(),
+    };
+    const controller = new AbortController();
+    this.tabRuns.set(key, { ...run, roomId, controller });
+
+    const finished = executor
+      .execute(
+        { language: tab.language, sourceCode: tab.code, stdin },
+        {
+          signal: controller.signal,
+          onOutput: onOutput
+            ? (stream, text) => onOutput({ runId: run.runId, stream, text })
+            : undefined,
+        }
+      )
+      .finally(() => this.tabRuns.delete(key));
+
+    return { run, finished };
+  }
+
+  /**
+   * Stops the run in progress on a tab.
+   * @returns {boolean} Whether there was one.
+   */
+  cancelTabRun(roomId, tabId) {
+    const run = this.tabRuns.get(`${roomId}:${tabId}`);
+    if (!run) return false;
+    run.controller.abort();
+    return true;
+  }
+
+  cancelRoomRuns(roomId) {
+    for (const run of this.tabRuns.values()) {
+      if (run.roomId === roomId) run.controller.abort();
+    }
+  }
+
   startCleanupTask() {
     setInterval(() => {
       const now = new Date();
@@ -179,6 +309,7 @@ class RoomService {
               `Cleaning up disconnected user ${user.name} from room ${roomId}`
             );
             room.users.splice(i, 1);
+            this.scheduleSnapshot(roomId);
           }
         }
 
@@ -186,10 +317,16 @@ class RoomService {
           room.users.length === 0 &&
           now - room.lastActivity > maxInactiveRoomTime
         ) {
-          this.rooms.delete(roomId);
+          this.deleteRoom(roomId);
           logger.log(`Cleaned up inactive empty room: ${roomId}`);
         }
       }
+
+      if (clusterService.isLeader()) {
+        this.adoptOrphanedRooms().catch((error) =>
+          logger.error("Failed to adopt orphaned rooms:", error)
+        );
+      }
     }, 30 * 1000); // Run cleanup every 30 seconds
   }
 }
@@ -0,0 +1,217 @@
+const axios = require("axios");
+const StatsUpdate = require("../models/StatsUpdate");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+const DUPLICATE_KEY = 11000;
+
+// Client errors won't go away on retry, except these
+const RETRYABLE_CLIENT_ERRORS = [408, 425, 429];
+
+const isRetryable = (error) => {
+  const status = error.response && error.response.status;
+  return !status || status >= 500 || RETRYABLE_CLIENT_ERRORS.includes(status);
+};
+
+const describeError = (error) =>
+  error.response
+    ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`
+    : error.message;
+
+/**
+ * Delivers player stats to the frontend's update-stats API through a
+ * MongoDB outbox, so a failed request or a restart doesn't lose them.
+ * Updates are written once per (room, round, player) and posted by a
+ * background worker that retries with exponential backoff; updates that
+ * keep failing are dead-lettered for inspection. Workers on several nodes
+ * can run at once: each update is claimed by one of them at a time.
+ */
+class StatsOutboxService {
+  constructor() {
+    this.worker = null;
+    this.polling = false;
+  }
+
+  /**
+   * Adds stats updates to the outbox. Updates already there under the same
+   * key are left alone, so ending the same challenge twice sends nothing
+   * new.
+   * @param {{roomId: string, roundId: string, email: string,
+   *   payload: object}[]} updates
+   */
+  async enqueue(updates) {
+    if (updates.length === 0) return;
+    const documents = updates.map(({ roomId, roundId, email, payload }) => ({
+      idempotencyKey: `${roomId}:${roundId}:${email}`,
+      roomId,
+      roundId,
+      email,
+      payload,
+    }));
+    try {
+      await StatsUpdate.insertMany(documents, { ordered: false });
+    } catch (error) {
+      const errors = error.writeErrors || [error];
+      if (errors.some((e) => e.code !== DUPLICATE_KEY)) throw error;
+    }
+    // Don't make the first attempt wait for the next poll
+    setImmediate(() => this.poll());
+  }
+
+  start() {
+    if (this.worker) return;
+    this.worker = setInterval(
+      () => this.poll(),
+      config.statsOutbox.pollInterval
+    );
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.worker);
+    this.worker = null;
+  }
+
+  // Claims the next due update, or one whose worker died mid-delivery
+  claimNext() {
+    const now = new Date();
+    return StatsUpdate.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "delivering", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "delivering",
+          lockedUntil: new Date(now.getTime() + config.statsOutbox.lockTimeout),
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ).lean();
+  }
+
+  /**
+   * Delivers up to `config.statsOutbox.batchSize` due updates, one at a
+   * time.
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      for (let i = 0; i < config.statsOutbox.batchSize; i++) {
+        const update = await this.claimNext();
+        if (!update) break;
+        await this.deliver(update);
+      }
+    } catch (error) {
+      logger.error("Stats outbox poll failed:", error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async deliver(update) {
+    // Only while this claim holds: once the lock has run out another poll
+    // may have claimed the update again, and its outcome wins
+    const claimed = {
+      _id: update._id,
+      status: "delivering",
+      lockedUntil: update.lockedUntil,
+    };
+    try {
+      await axios.post(
+        `${process.env.FRONTEND_API_URL}/api/user/update-stats`,
+        update.payload,
+        {
+          headers: {
+            "Content-Type": "application/json",
+            "x-internal-api-key": process.env.INTERNAL_API_SECRET,
+            "Idempotency-Key": update.idempotencyKey,
+          },
+          timeout: config.statsOutbox.requestTimeout,
+        }
+      );
+      await StatsUpdate.updateOne(claimed, {
+        $set: { status: "delivered", deliveredAt: new Date() },
+        $unset: { lockedUntil: 1, lastError: 1 },
+      });
+      logger.log(`Delivered stats for ${update.email}`);
+    } catch (error) {
+      const { maxAttempts, baseRetryDelay, maxRetryDelay } = config.statsOutbox;
+      const lastError = describeError(error);
+
+      if (!isRetryable(error) || update.attempts >= maxAttempts) {
+        await StatsUpdate.updateOne(claimed, {
+          $set: { status: "dead", lastError },
+          $unset: { lockedUntil: 1 },
+        });
+        logger.error(
+          `Stats for ${update.email} dead-lettered after ${update.attempts} attempt(s): ${lastError}`
+        );
+        return;
+      }
+
+      const delay = Math.min(
+        maxRetryDelay,
+        baseRetryDelay * 2 ** (update.attempts - 1)
+      );
+      await StatsUpdate.updateOne(claimed, {
+        $set: {
+          status: "pending",
+          nextAttemptAt: new Date(Date.now() + delay),
+          lastError,
+        },
+        $unset: { lockedUntil: 1 },
+      });
+      logger.warn(
+        `Stats for ${update.email} failed (attempt ${update.attempts}), retrying in ${delay}ms: ${lastError}`
+      );
+    }
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} [options.email]
+   * @param {number} [options.page] - 1-based.
+   * @param {number} [options.limit]
+   * @returns {Promise<{updates: object[], total: number}>} Newest first.
+   */
+  async listDeadLetters({
+    email,
+    page = 1,
+    limit = config.statsOutbox.defaultPageSize,
+  } = {}) {
+    const query = { status: "dead" };
+    if (email) query.email = email;
+
+    const [updates, total] = await Promise.all([
+      StatsUpdate.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      StatsUpdate.countDocuments(query),
+    ]);
+    return { updates, total };
+  }
+
+  /**
+   * Sends a dead-lettered update again with a fresh set of attempts.
+   * @returns {Promise<object|null>} The update, or null if there is no dead
+   * update with this id.
+   */
+  async retryDeadLetter(id) {
+    const update = await StatsUpdate.findOneAndUpdate(
+      { _id: id, status: "dead" },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (update) setImmediate(() => this.poll());
+    return update;
+  }
+}
+
+module.exports = new StatsOutboxService();
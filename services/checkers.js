@@ -0,0 +1,162 @@
+const { toCanonicalJSON } = require("./harness");
+const executor = require("./executors");
+const STATUS = require("./executors/status");
+const logger = require("../utils/logger");
+
+// How a solution's output is judged against a test's expected value:
+// - exact: the printed line must match the expected value's JSON exactly
+// - json: the printed value must deep-equal the expected value (default)
+// - unordered: as json, but the top-level array may come in any order,
+//   and with `nested` so may the arrays inside it
+// - float: as json, but numbers may differ by `tolerance`
+// - custom: `code` defines check(input, expected, actual) returning a
+//   boolean; only authors with challenge bank access can write one. It runs
+//   as a JavaScript program on the code executor, like a submission, never
+//   inside the server process
+const CHECKER_TYPES = ["exact", "json", "unordered", "float", "custom"];
+
+const DEFAULT_CHECKER = { type: "json" };
+const DEFAULT_TOLERANCE = 1e-6;
+// Limits of one custom checker run, in CPU seconds and KB
+const CUSTOM_CHECKER_TIME_LIMIT = 2;
+const CUSTOM_CHECKER_MEMORY_LIMIT = 128 * 1024;
+
+/**
+ * Harness programs print their return value as JSON on the last line,
+ * after anything the solution printed itself.
+ * @param {string} stdout
+ * @returns {{text: string, parsed: boolean, value: *}}
+ */
+const parseOutput = (stdout) => {
+  const text = (stdout || "").trim().split("\n").pop().trim();
+  try {
+    return { text, parsed: true, value: JSON.parse(text) };
+  } catch (e) {
+    return { text, parsed: false, value: undefined };
+  }
+};
+
+const sortedCanonical = (items, nested) =>
+  items
+    .map((item) =>
+      nested && Array.isArray(item)
+        ? sortedCanonical(item, nested)
+        : toCanonicalJSON(item)
+    )
+    .map((item) => (Array.isArray(item) ? JSON.stringify(item) : item))
+    .sort();
+
+const unorderedEqual = (expected, actual, nested) => {
+  if (!Array.isArray(expected) || !Array.isArray(actual)) {
+    return toCanonicalJSON(expected) === toCanonicalJSON(actual);
+  }
+  return (
+    JSON.stringify(sortedCanonical(expected, nested)) ===
+    JSON.stringify(sortedCanonical(actual, nested))
+  );
+};
+
+// Absolute tolerance for small values, relative for large ones
+const floatEqual = (expected, actual, tolerance) => {
+  if (typeof expected === "number" && typeof actual === "number") {
+    return (
+      Math.abs(expected - actual) <= tolerance * Math.max(1, Math.abs(expected))
+    );
+  }
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, i) => floatEqual(item, actual[i], tolerance))
+    );
+  }
+  if (expected && typeof expected === "object") {
+    if (!actual || typeof actual !== "object" || Array.isArray(actual)) {
+      return false;
+    }
+    const keys = Object.keys(expected);
+    return (
+      keys.length === Object.keys(actual).length &&
+      keys.every(
+        (key) =>
+          key in actual && floatEqual(expected[key], actual[key], tolerance)
+      )
+    );
+  }
+  return expected === actual;
+};
+
+// The checker's source followed by a call with the values read as JSON
+// from stdin; prints true or false
+const buildCheckerProgram = (code) => `${code}
+;(() => {
+  const __args = JSON.parse(require("fs").readFileSync(0, "utf8"));
+  const __passed = check(__args.input, __args.expected, __args.actual);
+  process.stdout.write(String(__passed === true));
+})();
+`;
+
+const runCustomChecker = async (code, input, expected, actual) => {
+  const result = await executor.execute({
+    language: "javascript",
+    sourceCode: buildCheckerProgram(code),
+    stdin: JSON.stringify({ input, expected, actual }),
+    cpuTimeLimit: CUSTOM_CHECKER_TIME_LIMIT,
+    memoryLimit: CUSTOM_CHECKER_MEMORY_LIMIT,
+  });
+  if (result.status.id !== STATUS.accepted.id) {
+    throw new Error(
+      `${result.status.description}: ${result.stderr || result.compileOutput}`
+    );
+  }
+  return (result.stdout || "").trim() === "true";
+};
+
+/**
+ * Decides whether one test passed. Assumes the program ran successfully.
+ * @param {object} [checker] - The challenge's checker, json when absent.
+ * @param {object} testCase - Its `input` and expected `output`.
+ * @param {string} stdout - Everything the program printed.
+ * @returns {Promise<boolean>}
+ */
+const check = async (checker, testCase, stdout) => {
+  const { type, tolerance, nested, code } = checker || DEFAULT_CHECKER;
+  const output = parseOutput(stdout);
+
+  if (type === "exact") {
+    return output.text === JSON.stringify(testCase.output);
+  }
+  if (!output.parsed) return false;
+
+  switch (type) {
+    case "unordered":
+      return unorderedEqual(testCase.output, output.value, Boolean(nested));
+    case "float":
+      return floatEqual(
+        testCase.output,
+        output.value,
+        typeof tolerance === "number" ? tolerance : DEFAULT_TOLERANCE
+      );
+    case "custom":
+      try {
+        return await runCustomChecker(
+          code,
+          testCase.input,
+          testCase.output,
+          output.value
+        );
+      } catch (error) {
+        logger.warn("Custom checker failed:", error.message);
+        return false;
+      }
+    default:
+      return toCanonicalJSON(testCase.output) === toCanonicalJSON(output.value);
+  }
+};
+
+module.exports = {
+  CHECKER_TYPES,
+  DEFAULT_CHECKER,
+  parseOutput,
+  check,
+};
@@ -0,0 +1,80 @@
+/**
+ * In-process stand-in for RedisStore. Used when no Redis URL is configured,
+ * which makes this instance the only node and the owner of every room.
+ *
+ * Every store exposes the same interface:
+ *   - acquire(key, owner, ttl) / renew(key, owner, ttl) / release(key, owner)
+ *     -> Promise<boolean>, for leases that expire after `ttl` ms
+ *   - get(key) -> Promise<string|null>, set(key, value, ttl)
+ *   - hSet(hash, field, value), hDel(hash, field),
+ *     hGetAll(hash) -> Promise<object>
+ *   - close()
+ */
+class MemoryStore {
+  constructor() {
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.hashes = new Map(); // hash -> Map(field -> value)
+  }
+
+  read(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  write(key, value, ttl) {
+    this.values.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null,
+    });
+  }
+
+  async acquire(key, owner, ttl) {
+    const current = this.read(key);
+    if (current !== null && current !== owner) return false;
+    this.write(key, owner, ttl);
+    return true;
+  }
+
+  async renew(key, owner, ttl) {
+    if (this.read(key) !== owner) return false;
+    this.write(key, owner, ttl);
+    return true;
+  }
+
+  async release(key, owner) {
+    if (this.read(key) !== owner) return false;
+    this.values.delete(key);
+    return true;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async set(key, value, ttl) {
+    this.write(key, value, ttl);
+  }
+
+  async hSet(hash, field, value) {
+    if (!this.hashes.has(hash)) this.hashes.set(hash, new Map());
+    this.hashes.get(hash).set(field, value);
+  }
+
+  async hDel(hash, field) {
+    const fields = this.hashes.get(hash);
+    if (fields) fields.delete(field);
+  }
+
+  async hGetAll(hash) {
+    return Object.fromEntries(this.hashes.get(hash) || []);
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,83 @@
+// Lease changes must only touch keys still held by the caller
+const RENEW_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+/**
+ * Cluster state kept in Redis so every instance sees the same leases and
+ * room directory. Implements the same interface as MemoryStore.
+ */
+class RedisStore {
+  /**
+   * @param {object} client - A connected node-redis client.
+   * @param {string} prefix - Prepended to every key.
+   */
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  async acquire(key, owner, ttl) {
+    const result = await this.client.set(this.key(key), owner, {
+      NX: true,
+      PX: ttl,
+    });
+    if (result === "OK") return true;
+    // Already ours, e.g. after a restart with the same node id
+    return this.renew(key, owner, ttl);
+  }
+
+  async renew(key, owner, ttl) {
+    const result = await this.client.eval(RENEW_SCRIPT, {
+      keys: [this.key(key)],
+      arguments: [owner, String(ttl)],
+    });
+    return result === 1;
+  }
+
+  async release(key, owner) {
+    const result = await this.client.eval(RELEASE_SCRIPT, {
+      keys: [this.key(key)],
+      arguments: [owner],
+    });
+    return result === 1;
+  }
+
+  async get(key) {
+    return this.client.get(this.key(key));
+  }
+
+  async set(key, value, ttl) {
+    await this.client.set(this.key(key), value, ttl ? { PX: ttl } : {});
+  }
+
+  async hSet(hash, field, value) {
+    await this.client.hSet(this.key(hash), field, value);
+  }
+
+  async hDel(hash, field) {
+    await this.client.hDel(this.key(hash), field);
+  }
+
+  async hGetAll(hash) {
+    return this.client.hGetAll(this.key(hash));
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStore;
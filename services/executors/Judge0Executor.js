@@ -0,0 +1,313 @@
+const EventEmitter = require("events");
+const axios = require("axios");
+const config = require("../../config/config");
+const STATUS = require("./status");
+
+// Mapping our language names to Judge0 language IDs
+const languageToJudgeId = {
+  javascript: 93, // (ES6)
+  python: 71,
+  cpp: 54, // C++17
+  java: 62, // JDK 11
+  go: 60,
+  typescript: 74,
+};
+
+const decode = (value) =>
+  value ? Buffer.from(value, "base64").toString("utf-8") : null;
+
+/**
+ * Runs programs on Judge0 CE, either the RapidAPI-hosted instance or a
+ * self-hosted one (`config.judge0.mode`). When `config.judge0.callbackBaseURL`
+ * is set, Judge0 reports each finished submission to
+ * `PUT /api/judge0/callback` and polling is only a fallback for results that
+ * never arrive. A callback can land on any node, so one that nobody here is
+ * waiting for is emitted as `unclaimed-callback` for the cluster to relay.
+ *
+ * Every executor exposes the same interface:
+ *   - supportsLanguage(language) -> boolean
+ *   - executeBatch(jobs, { onResult }) -> Promise<results>
+ *   - execute(job, { onOutput, signal }) -> Promise<result>
+ * where a job is `{ language, sourceCode, stdin, expectedOutput,
+ * cpuTimeLimit, memoryLimit }` (limits in seconds and KB, optional) and
+ * each result is `{ status: { id, description }, stdout, stderr,
+ * compileOutput, time, memory }` using Judge0's status ids, in the same
+ * order as the jobs. `time` is in seconds and `memory` in KB, null when
+ * unmeasured.
+ * `onResult(result, index)` is called as soon as each job finishes.
+ * `execute` runs one job, passes its output to `onOutput(stream, text)` and
+ * stops with the "Cancelled" status when `signal` aborts.
+ */
+class Judge0Executor extends EventEmitter {
+  constructor() {
+    super();
+    // Anyone could post results to an unprotected callback route
+    if (config.judge0.callbackBaseURL && !config.judge0.callbackSecret) {
+      throw new Error(
+        "JUDGE0_CALLBACK_SECRET must be set when JUDGE0_CALLBACK_BASE_URL is"
+      );
+    }
+    // token -> callback waiting for that submission's result
+    this.pendingCallbacks = new Map();
+    // Results whose callback arrived before the batch response gave us the
+    // token, keyed by token
+    this.earlyCallbacks = new Map();
+  }
+
+  supportsLanguage(language) {
+    return Boolean(languageToJudgeId[language]);
+  }
+
+  isSelfHosted() {
+    return config.judge0.mode === "self-hosted";
+  }
+
+  getHeaders() {
+    if (this.isSelfHosted()) {
+      return config.judge0.authToken
+        ? { "X-Auth-Token": config.judge0.authToken }
+        : {};
+    }
+    return {
+      "X-RapidAPI-Key": config.judge0.apiKey,
+      "X-RapidAPI-Host": config.judge0.apiHost,
+    };
+  }
+
+  getCallbackURL() {
+    const { callbackBaseURL, callbackSecret } = config.judge0;
+    if (!callbackBaseURL) return null;
+
+    const url = new URL("/api/judge0/callback", callbackBaseURL);
+    if (callbackSecret) url.searchParams.set("secret", callbackSecret);
+    return url.toString();
+  }
+
+  normalizeResult(result) {
+    return {
+      status: result.status,
+      stdout: decode(result.stdout),
+      stderr: decode(result.stderr),
+      compileOutput: decode(result.compile_output),
+      time:
+        result.time !== null && result.time !== undefined
+          ? Number(result.time)
+          : null,
+      memory: typeof result.memory === "number" ? result.memory : null,
+    };
+  }
+
+  async executeBatch(jobs, { onResult } = {}) {
+    if (jobs.length === 0) return [];
+    if (!config.judge0.baseURL) {
+      throw new Error("Judge0 configuration is missing");
+    }
+    if (!this.isSelfHosted() && !config.judge0.apiKey) {
+      throw new Error("Judge0 RapidAPI key is missing");
+    }
+
+    const callbackURL = this.getCallbackURL();
+    const batchSubmissions = jobs.map((job) => ({
+      language_id: languageToJudgeId[job.language],
+      source_code: Buffer.from(job.sourceCode).toString("base64"),
+      stdin: Buffer.from(job.stdin || "").toString("base64"),
+      expected_output:
+        job.expectedOutput !== undefined
+          ? Buffer.from(job.expectedOutput).toString("base64")
+          : undefined,
+      cpu_time_limit: job.cpuTimeLimit,
+      memory_limit: job.memoryLimit,
+      callback_url: callbackURL || undefined,
+    }));
+
+    // Submit batch request
+    const batchResponse = await axios.request({
+      method: "POST",
+      url: `${config.judge0.baseURL}/submissions/batch`,
+      params: { base64_encoded: "true" },
+      headers: {
+        "Content-Type": "application/json",
+        ...this.getHeaders(),
+      },
+      data: {
+        submissions: batchSubmissions,
+      },
+    });
+    const tokens = batchResponse.data.map((submission) => submission.token);
+
+    const results = new Array(jobs.length);
+    const report = (index, rawResult) => {
+      if (results[index]) return;
+      results[index] = this.normalizeResult(rawResult);
+      if (onResult) onResult(results[index], index);
+    };
+
+    if (callbackURL) {
+      await this.waitForCallbacks(tokens, report);
+    }
+
+    const missing = tokens
+      .map((token, index) => ({ token, index }))
+      .filter(({ index }) => !results[index]);
+    if (missing.length > 0) {
+      await this.pollResults(missing, report);
+    }
+
+    return results;
+  }
+
+  /**
+   * Runs a single job. Judge0 only hands output back once the program has
+   * finished, so `onOutput` gets it in one piece, and cancelling stops the
+   * wait for a result rather than the remote run.
+   */
+  async execute(job, { onOutput, signal } = {}) {
+    const cancelledResult = {
+      status: STATUS.cancelled,
+      stdout: null,
+      stderr: null,
+      compileOutput: null,
+      time: null,
+      memory: null,
+    };
+    if (signal && signal.aborted) return cancelledResult;
+
+    let onAbort;
+    const cancelled = new Promise((resolve) => {
+      onAbort = () => resolve(cancelledResult);
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+    const finished = this.executeBatch([job]).then(([result]) => result);
+    // A cancelled run may still fail later; nobody is waiting for it then
+    finished.catch(() => {});
+
+    try {
+      const result = await Promise.race([finished, cancelled]);
+      if (result !== cancelledResult && onOutput) {
+        if (result.stdout) onOutput("stdout", result.stdout);
+        if (result.stderr) onOutput("stderr", result.stderr);
+      }
+      return result;
+    } finally {
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Resolves once every token has been reported through handleCallback or
+   * after `config.judge0.callbackTimeout`, whichever comes first.
+   */
+  waitForCallbacks(tokens, report) {
+    return new Promise((resolve) => {
+      let remaining = tokens.length;
+
+      const finish = () => {
+        clearTimeout(timer);
+        tokens.forEach((token) => this.pendingCallbacks.delete(token));
+        resolve();
+      };
+      const timer = setTimeout(finish, config.judge0.callbackTimeout);
+
+      tokens.forEach((token, index) => {
+        const deliver = (rawResult) => {
+          this.pendingCallbacks.delete(token);
+          report(index, rawResult);
+          remaining--;
+          if (remaining === 0) finish();
+        };
+
+        const early = this.earlyCallbacks.get(token);
+        if (early) {
+          this.earlyCallbacks.delete(token);
+          deliver(early.result);
+        } else {
+          this.pendingCallbacks.set(token, deliver);
+        }
+      });
+    });
+  }
+
+  /**
+   * Accepts a submission result posted by Judge0 to the callback route, or
+   * relayed from the node that received it.
+   * @param {object} payload - Judge0 submission, base64 encoded.
+   * @param {{relayed?: boolean}} [options]
+   * @returns {boolean} Whether the payload was usable.
+   */
+  handleCallback(payload, { relayed = false } = {}) {
+    if (!payload || !payload.token || !payload.status) return false;
+    // Only final states are reported; 1 and 2 are queued/processing
+    if (payload.status.id < 3) return false;
+
+    const deliver = this.pendingCallbacks.get(payload.token);
+    if (deliver) {
+      deliver(payload);
+      return true;
+    }
+    // Another node may have submitted it
+    if (!relayed) this.emit("unclaimed-callback", payload);
+
+    // The callback beat the batch response; keep it until the batch
+    // registers its tokens
+    const now = Date.now();
+    for (const [token, entry] of this.earlyCallbacks.entries()) {
+      if (now - entry.receivedAt > config.judge0.callbackTimeout) {
+        this.earlyCallbacks.delete(token);
+      }
+    }
+    if (this.earlyCallbacks.size >= config.judge0.maxEarlyCallbacks) {
+      return false;
+    }
+    this.earlyCallbacks.set(payload.token, {
+      result: payload,
+      receivedAt: now,
+    });
+    return true;
+  }
+
+  async pollResults(entries, report) {
+    let pending = entries;
+
+    // Poll for results with exponential backoff
+    let attempts = 0;
+    const maxAttempts = 10;
+    let delay = 1000; // Start with 1 second
+
+    while (attempts < maxAttempts) {
+      const resultsResponse = await axios.request({
+        method: "GET",
+        url: `${config.judge0.baseURL}/submissions/batch`,
+        params: {
+          tokens: pending.map(({ token }) => token).join(","),
+          base64_encoded: "true",
+        },
+        headers: this.getHeaders(),
+      });
+      const results = resultsResponse.data.submissions;
+
+      // 3 = Accepted, 4+ = Various error states
+      pending = pending.filter(({ index }, position) => {
+        const result = results[position];
+        if (result && result.status && result.status.id >= 3) {
+          report(index, result);
+          return false;
+        }
+        return true;
+      });
+
+      if (pending.length === 0) return;
+
+      // Wait before next poll with exponential backoff
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      delay = Math.min(delay * 1.5, 5000); // Cap at 5 seconds
+      attempts++;
+    }
+
+    // If we reach here, polling timed out
+    throw new Error(
+      "Evaluation timed out - submissions took too long to complete"
+    );
+  }
+}
+
+module.exports = Judge0Executor;
@@ -0,0 +1,530 @@
+const { spawn } = require("child_process");
+const fs = require("fs/promises");
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../config/config");
+const logger = require("../../utils/logger");
+const STATUS = require("./status");
+const { detectLayout, createRunGroup } = require("./cgroups");
+
+const USAGE_SAMPLE_INTERVAL = 20; // ms
+// Units of the CPU times in /proc/<pid>/stat (USER_HZ)
+const CLOCK_TICKS_PER_SECOND = 100;
+
+// Where a sandboxed program finds its work directory, and the exit code of
+// a sandbox that could not be set up
+const SANDBOX_WORK_DIR = "/tmp";
+const SANDBOX_SETUP_FAILED = 125;
+const UNSHARE_NOISE = /^unshare: .*\n?/gm;
+
+// This server's own files are never visible to a sandboxed program
+const APP_ROOT = path.resolve(__dirname, "../..");
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+// Runtimes with `managedHeap` reserve far more virtual memory than they use,
+// so the address-space ulimit is replaced by their own heap size flag. In
+// the sandbox the control group's memory limit is what actually holds them.
+const languages = {
+  javascript: {
+    fileName: "main.js",
+    run: (limits) => [
+      "node",
+      `--max-old-space-size=${Math.floor(limits.memoryLimit / 1024)}`,
+      "main.js",
+    ],
+    managedHeap: true,
+  },
+  python: {
+    fileName: "main.py",
+    run: () => ["python3", "main.py"],
+  },
+  cpp: {
+    fileName: "main.cpp",
+    compile: ["g++", "-std=c++17", "-O2", "-o", "main", "main.cpp"],
+    run: () => ["./main"],
+  },
+  java: {
+    fileName: "Main.java",
+    compile: ["javac", "Main.java"],
+    run: (limits) => [
+      "java",
+      `-Xmx${Math.floor(limits.memoryLimit / 1024)}m`,
+      "-cp",
+      ".",
+      "Main",
+    ],
+    managedHeap: true,
+  },
+  go: {
+    fileName: "main.go",
+    compile: ["go", "build", "-o", "main", "main.go"],
+    run: () => ["./main"],
+    managedHeap: true, // GOMEMLIMIT keeps the collector under the limit
+  },
+};
+
+// Peak resident memory of a running process in KB, or null once it's gone
+const readPeakMemory = (pid) => {
+  try {
+    const status = fsSync.readFileSync(`/proc/${pid}/status`, "utf-8");
+    const match = status.match(/^VmHWM:\s+(\d+) kB/m);
+    return match ? Number(match[1]) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// CPU time in ms a running process and its waited-for children have used,
+// or null once it's gone
+const readCpuTime = (pid) => {
+  try {
+    const stat = fsSync.readFileSync(`/proc/${pid}/stat`, "utf-8");
+    // utime, stime, cutime and cstime, counted from the state after "(comm)"
+    const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    const ticks = fields
+      .slice(11, 15)
+      .reduce((total, value) => total + Number(value), 0);
+    return (ticks * 1000) / CLOCK_TICKS_PER_SECOND;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isSandboxFailure = (run) =>
+  run.code === SANDBOX_SETUP_FAILED &&
+  /^sandbox setup failed/.test(run.stderr || "");
+
+const killGroup = (child) => {
+  try {
+    process.kill(-child.pid, "SIGKILL");
+  } catch (error) {
+    // Already gone
+  }
+};
+
+/**
+ * The command line that runs `script` inside the sandbox: new PID, mount,
+ * network and IPC namespaces, so the program only sees its own processes
+ * and there is no network but loopback; the run's control group joined
+ * before anything else runs; the work directory mounted over /tmp; the
+ * server's files and other writable shared paths hidden under empty tmpfs
+ * mounts; and finally the script run as the sandbox user with no
+ * capabilities. The program ends up as the namespace's init, so when it
+ * exits or `unshare` is killed every process it started dies with it,
+ * however it detached.
+ */
+const buildSandboxCommand = (sandbox, group, workDir, script, command) => {
+  const hidden = [APP_ROOT, ...sandbox.hiddenPaths].filter((dir) =>
+    fsSync.existsSync(dir)
+  );
+  const setup = [
+    `fail() { echo "sandbox setup failed: $1" >&2; exit ${SANDBOX_SETUP_FAILED}; }`,
+    ...group.procsFiles.map(
+      (file) => `echo 0 > ${shellQuote(file)} || fail "control group"`
+    ),
+    'mount --make-rprivate / || fail "private mounts"',
+    `mount --bind ${shellQuote(
+      workDir
+    )} ${SANDBOX_WORK_DIR} || fail "work directory"`,
+    ...hidden.map(
+      (dir) =>
+        `mount -t tmpfs -o size=64k,mode=755 none ${shellQuote(
+          dir
+        )} || fail ${shellQuote(dir)}`
+    ),
+    `cd ${SANDBOX_WORK_DIR} || fail "work directory"`,
+    [
+      "exec setpriv",
+      `--reuid=${sandbox.uid}`,
+      `--regid=${sandbox.gid}`,
+      "--clear-groups",
+      "--no-new-privs",
+      "--inh-caps=-all",
+      "--bounding-set=-all",
+      `/bin/sh -c ${shellQuote(script)} sh "$@"`,
+    ].join(" "),
+  ].join("\n");
+
+  return [
+    "unshare",
+    "--pid",
+    "--fork",
+    "--kill-child",
+    "--mount-proc",
+    "--mount",
+    "--net",
+    "--ipc",
+    "--uts",
+    "--",
+    "/bin/sh",
+    "-c",
+    setup,
+    "sh",
+    ...command,
+  ];
+};
+
+/**
+ * Runs one command in its own process group with CPU-time, address-space
+ * and written-file-size limits applied through `ulimit`, and wall-clock and
+ * output limits enforced from here. The reported `time` is CPU time, as
+ * Judge0 reports it, so runtime startup and sandbox setup don't count
+ * against the program. With `sandbox`, it runs inside the sandbox and
+ * `group`, which holds its memory and process count and reports its CPU
+ * time and peak memory. Otherwise both are sampled from /proc while the
+ * command runs, so very short runs may report no memory and their
+ * wall-clock time. Output is passed to `onOutput(stream, text)` as it
+ * arrives; aborting `signal` kills the process group.
+ */
+const runProcess = (command, options) =>
+  new Promise((resolve) => {
+    const {
+      cwd,
+      env,
+      sandbox,
+      group,
+      stdin,
+      cpuTimeLimit,
+      wallTimeLimit,
+      memoryLimit,
+      fileSizeLimit,
+      maxOutputSize,
+      onOutput,
+      signal,
+    } = options;
+
+    const limits = [];
+    if (cpuTimeLimit) limits.push(`ulimit -t ${cpuTimeLimit}`);
+    if (memoryLimit) limits.push(`ulimit -v ${memoryLimit}`);
+    // ulimit -f counts 512-byte blocks
+    if (fileSizeLimit)
+      limits.push(`ulimit -f ${Math.ceil(fileSizeLimit / 512)}`);
+    const script = [...limits, 'exec "$@"'].join("; ");
+
+    const startedAt = Date.now();
+    let stdout = "";
+    let stderr = "";
+    let outputSize = 0;
+    let timedOut = false;
+    let outputExceeded = false;
+    let cancelled = false;
+
+    const [file, ...args] = sandbox
+      ? buildSandboxCommand(sandbox, group, cwd, script, command)
+      : ["/bin/sh", "-c", script, "sh", ...command];
+    const child = spawn(file, args, {
+      cwd,
+      env,
+      detached: true,
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup(child);
+    }, wallTimeLimit);
+
+    // Without the sandbox the shell execs the command, so it keeps the
+    // child's pid
+    let memory = null;
+    let cpuTime = null;
+    const sampleUsage = () => {
+      const peak = readPeakMemory(child.pid);
+      if (peak !== null) memory = Math.max(memory || 0, peak);
+      const used = readCpuTime(child.pid);
+      if (used !== null) cpuTime = used;
+    };
+    const sampler = sandbox
+      ? null
+      : setInterval(sampleUsage, USAGE_SAMPLE_INTERVAL);
+
+    const cancel = () => {
+      cancelled = true;
+      killGroup(child);
+    };
+    if (signal) signal.addEventListener("abort", cancel, { once: true });
+
+    const collect = (stream, append) => (chunk) => {
+      outputSize += chunk.length;
+      if (outputSize > maxOutputSize) {
+        outputExceeded = true;
+        killGroup(child);
+        return;
+      }
+      const text = chunk.toString("utf-8");
+      append(text);
+      if (onOutput) onOutput(stream, text);
+    };
+    child.stdout.on(
+      "data",
+      collect("stdout", (text) => (stdout += text))
+    );
+    child.stderr.on(
+      "data",
+      collect("stderr", (text) => (stderr += text))
+    );
+
+    const cleanUp = () => {
+      clearTimeout(timer);
+      clearInterval(sampler);
+      if (signal) signal.removeEventListener("abort", cancel);
+    };
+
+    child.on("error", (error) => {
+      cleanUp();
+      resolve({ error, stdout, stderr, time: cpuTime });
+    });
+
+    child.on("close", async (code, exitSignal) => {
+      cleanUp();
+      const elapsed = Date.now() - startedAt;
+      const usage = group
+        ? await group.readUsage()
+        : { cpuTime, memory, oomKilled: false };
+      resolve({
+        code,
+        signal: exitSignal,
+        stdout,
+        // unshare complains when the program it waits for is killed
+        stderr: sandbox ? stderr.replace(UNSHARE_NOISE, "") : stderr,
+        timedOut,
+        outputExceeded,
+        cancelled,
+        time: usage.cpuTime !== null ? usage.cpuTime : elapsed,
+        memory: usage.memory,
+        oomKilled: usage.oomKilled,
+      });
+    });
+
+    child.stdin.on("error", () => {
+      // The program exited without reading its input
+    });
+    child.stdin.end(stdin || "");
+  });
+
+/**
+ * Runs programs in child processes on this machine, for offline, CI and
+ * on-prem setups. Implements the same interface as Judge0Executor.
+ * Programs run sandboxed (see buildSandboxCommand) unless
+ * `options.sandbox.enabled` is off, which is refused in production: without
+ * it a program can read anything the server can and reach the network.
+ */
+class LocalExecutor {
+  constructor(options = config.executor.local) {
+    this.options = options;
+    this.sandbox =
+      options.sandbox && options.sandbox.enabled ? options.sandbox : null;
+    if (this.sandbox && !detectLayout(this.sandbox.cgroupRoot)) {
+      throw new Error(
+        `The local executor sandbox needs cgroups with the memory and pids controllers under ${this.sandbox.cgroupRoot}`
+      );
+    }
+    if (!this.sandbox) {
+      if (process.env.NODE_ENV === "production") {
+        throw new Error(
+          'The local executor needs its sandbox in production; set LOCAL_EXECUTOR_SANDBOX to something other than "off" or use Judge0'
+        );
+      }
+      logger.warn(
+        "Local executor sandbox is off: submitted code runs with this server's permissions"
+      );
+    }
+  }
+
+  supportsLanguage(language) {
+    return Boolean(languages[language]);
+  }
+
+  async executeBatch(jobs, { onResult } = {}) {
+    const results = new Array(jobs.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < jobs.length) {
+        const index = next++;
+        results[index] = await this.execute(jobs[index]);
+        if (onResult) onResult(results[index], index);
+      }
+    };
+
+    const concurrency = Math.max(
+      1,
+      Math.min(this.options.maxConcurrency, jobs.length)
+    );
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    return results;
+  }
+
+  /**
+   * Runs a single job. Used directly for interactive runs, which can stream
+   * their output and be cancelled.
+   * @param {object} job
+   * @param {object} [options]
+   * @param {function} [options.onOutput] - Called with (stream, text).
+   * @param {AbortSignal} [options.signal]
+   */
+  async execute(job, { onOutput, signal } = {}) {
+    if (signal && signal.aborted) return this.buildResult(STATUS.cancelled);
+    const language = languages[job.language];
+    if (!language) {
+      return this.buildResult(STATUS.internalError, {
+        stderr: `Unsupported language: ${job.language}`,
+      });
+    }
+
+    // A job's own limits replace the configured ones
+    const limits = {
+      cpuTimeLimit: job.cpuTimeLimit || this.options.cpuTimeLimit,
+      memoryLimit: job.memoryLimit || this.options.memoryLimit,
+    };
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "codeion-run-"));
+    // Inside the sandbox the work directory is seen as /tmp, and the build
+    // cache can't be shared between runs
+    const home = this.sandbox ? SANDBOX_WORK_DIR : workDir;
+    const env = {
+      PATH: process.env.PATH,
+      HOME: home,
+      TMPDIR: home,
+      LANG: "C.UTF-8",
+      GOCACHE: this.sandbox
+        ? path.join(SANDBOX_WORK_DIR, ".gocache")
+        : path.join(os.tmpdir(), "codeion-go-cache"),
+      GOMEMLIMIT: `${limits.memoryLimit}KiB`,
+    };
+
+    try {
+      const sourceFile = path.join(workDir, language.fileName);
+      await fs.writeFile(sourceFile, job.sourceCode);
+      if (this.sandbox) {
+        const { uid, gid } = this.sandbox;
+        await fs.chown(workDir, uid, gid);
+        await fs.chown(sourceFile, uid, gid);
+      }
+
+      if (language.compile) {
+        const compiled = await this.runInGroup(
+          `${path.basename(workDir)}-compile`,
+          this.options.compileMemoryLimit,
+          (group) =>
+            runProcess(language.compile, {
+              cwd: workDir,
+              env,
+              sandbox: this.sandbox,
+              group,
+              wallTimeLimit: this.options.compileTimeLimit,
+              maxOutputSize: this.options.maxOutputSize,
+              signal,
+            })
+        );
+        if (compiled.cancelled) return this.buildResult(STATUS.cancelled);
+        if (compiled.error || isSandboxFailure(compiled)) {
+          return this.buildResult(STATUS.internalError, {
+            stderr: compiled.error ? compiled.error.message : compiled.stderr,
+          });
+        }
+        if (compiled.timedOut || compiled.oomKilled || compiled.code !== 0) {
+          return this.buildResult(STATUS.compilationError, {
+            compileOutput: compiled.timedOut
+              ? "Compilation timed out"
+              : compiled.oomKilled
+              ? "Compilation ran out of memory"
+              : `${compiled.stdout}${compiled.stderr}`,
+          });
+        }
+      }
+
+      const run = await this.runInGroup(
+        `${path.basename(workDir)}-run`,
+        limits.memoryLimit +
+          (language.managedHeap && this.sandbox
+            ? this.sandbox.heapOverhead
+            : 0),
+        (group) =>
+          runProcess(language.run(limits), {
+            cwd: workDir,
+            env,
+            sandbox: this.sandbox,
+            group,
+            stdin: job.stdin,
+            // ulimit -t only takes whole seconds
+            cpuTimeLimit: Math.ceil(limits.cpuTimeLimit),
+            wallTimeLimit: Math.max(
+              this.options.wallTimeLimit,
+              limits.cpuTimeLimit * 2000
+            ),
+            memoryLimit: language.managedHeap ? null : limits.memoryLimit,
+            fileSizeLimit: this.options.maxOutputSize,
+            maxOutputSize: this.options.maxOutputSize,
+            onOutput,
+            signal,
+          })
+      );
+
+      return this.buildResult(this.getRunStatus(run), run);
+    } catch (error) {
+      logger.error("Local execution failed:", error);
+      return this.buildResult(STATUS.internalError, { stderr: error.message });
+    } finally {
+      fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Calls `run(group)` with a fresh control group holding `memoryLimit`
+   * KB, removed again afterwards; without the sandbox, with no group.
+   */
+  async runInGroup(name, memoryLimit, run) {
+    if (!this.sandbox) return run(null);
+    const { cgroupRoot, cgroupParent, maxProcesses } = this.sandbox;
+    const group = await createRunGroup({
+      root: cgroupRoot,
+      parent: cgroupParent,
+      name,
+      memoryLimit,
+      maxProcesses,
+    });
+    try {
+      return await run(group);
+    } finally {
+      await group.destroy();
+    }
+  }
+
+  getRunStatus(run) {
+    if (run.cancelled) return STATUS.cancelled;
+    if (run.error || isSandboxFailure(run)) return STATUS.internalError;
+    // The kernel kills what goes over the control group's memory limit
+    if (run.oomKilled) return STATUS.memoryLimitExceeded;
+    if (run.outputExceeded || run.signal === "SIGXFSZ") {
+      return STATUS.outputLimitExceeded;
+    }
+    // Exhausting `ulimit -t` ends in SIGXCPU or, once the hard limit is
+    // reached, SIGKILL
+    if (run.timedOut || run.signal === "SIGXCPU" || run.signal === "SIGKILL") {
+      return STATUS.timeLimitExceeded;
+    }
+    if (run.code !== 0) return STATUS.runtimeError;
+    return STATUS.accepted;
+  }
+
+  buildResult(
+    status,
+    { stdout, stderr, compileOutput, error, time, memory } = {}
+  ) {
+    return {
+      status,
+      stdout: stdout || null,
+      stderr: (error ? error.message : stderr) || null,
+      compileOutput: compileOutput || null,
+      time:
+        time !== undefined && time !== null
+          ? Number((time / 1000).toFixed(3))
+          : null,
+      memory: typeof memory === "number" ? memory : null,
+    };
+  }
+}
+
+module.exports = LocalExecutor;
@@ -0,0 +1,209 @@
+const fs = require("fs/promises");
+const fsSync = require("fs");
+const path = require("path");
+
+// Hierarchies a run needs on cgroup v1; on v2 CPU time is always counted
+const V1_CONTROLLERS = ["memory", "pids", "cpuacct"];
+const V2_CONTROLLERS = ["memory", "pids"];
+
+const REMOVE_ATTEMPTS = 50;
+const REMOVE_RETRY_DELAY = 10; // ms
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const readValue = async (file) => {
+  try {
+    return (await fs.readFile(file, "utf-8")).trim();
+  } catch (error) {
+    return null;
+  }
+};
+
+// A "key value" line of a flat-keyed file such as memory.events
+const readKey = (content, key) => {
+  const match = content && content.match(new RegExp(`^${key} (\\d+)$`, "m"));
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Which cgroup layout is mounted at `root`: "v2", "v1" when the memory,
+ * pids and cpuacct hierarchies are there, or null.
+ */
+const detectLayout = (root) => {
+  if (fsSync.existsSync(path.join(root, "cgroup.controllers"))) return "v2";
+  const v1 = V1_CONTROLLERS.every((controller) =>
+    fsSync.existsSync(path.join(root, controller, "cgroup.procs"))
+  );
+  return v1 ? "v1" : null;
+};
+
+// On v2 a group's children only get the controllers its parents hand down
+const enableV2Controllers = async (root, parent) => {
+  const control = V2_CONTROLLERS.map((c) => `+${c}`).join(" ");
+  let dir = root;
+  for (const part of parent.split("/").filter(Boolean)) {
+    await fs.writeFile(path.join(dir, "cgroup.subtree_control"), control);
+    dir = path.join(dir, part);
+    await fs.mkdir(dir, { recursive: true });
+  }
+  await fs.writeFile(path.join(dir, "cgroup.subtree_control"), control);
+};
+
+/**
+ * The control group of one sandboxed run. The run joins it by writing 0
+ * to each of `procsFiles` before it execs the program, so everything the
+ * program starts is counted and limited from the first instruction.
+ */
+class RunGroup {
+  constructor(layout, dirs) {
+    this.layout = layout;
+    this.dirs = dirs; // One per hierarchy on v1
+  }
+
+  get procsFiles() {
+    return this.dirs.map((dir) => path.join(dir, "cgroup.procs"));
+  }
+
+  dirOf(controller) {
+    return this.layout === "v2"
+      ? this.dirs[0]
+      : this.dirs[V1_CONTROLLERS.indexOf(controller)];
+  }
+
+  /**
+   * @returns {Promise<{cpuTime: number|null, memory: number|null,
+   *   oomKilled: boolean}>} CPU time in ms and peak memory in KB used by
+   *   everything that ran in the group, and whether the kernel killed any
+   *   of it for going over the memory limit.
+   */
+  async readUsage() {
+    const memoryDir = this.dirOf("memory");
+    if (this.layout === "v2") {
+      const [cpuStat, peak, current, events] = await Promise.all([
+        readValue(path.join(this.dirs[0], "cpu.stat")),
+        readValue(path.join(memoryDir, "memory.peak")),
+        readValue(path.join(memoryDir, "memory.current")),
+        readValue(path.join(memoryDir, "memory.events")),
+      ]);
+      const usage = readKey(cpuStat, "usage_usec");
+      const bytes = peak !== null ? peak : current;
+      return {
+        cpuTime: usage !== null ? usage / 1000 : null,
+        memory: bytes !== null ? Math.ceil(Number(bytes) / 1024) : null,
+        oomKilled: readKey(events, "oom_kill") > 0,
+      };
+    }
+
+    const [usage, peak, oomControl] = await Promise.all([
+      readValue(path.join(this.dirOf("cpuacct"), "cpuacct.usage")),
+      readValue(path.join(memoryDir, "memory.max_usage_in_bytes")),
+      readValue(path.join(memoryDir, "memory.oom_control")),
+    ]);
+    return {
+      cpuTime: usage !== null ? Number(usage) / 1e6 : null,
+      memory: peak !== null ? Math.ceil(Number(peak) / 1024) : null,
+      oomKilled: readKey(oomControl, "oom_kill") > 0,
+    };
+  }
+
+  // Kills whatever is left in the group and removes it
+  async destroy() {
+    for (let attempt = 0; attempt < REMOVE_ATTEMPTS; attempt++) {
+      const remaining = [];
+      for (const dir of this.dirs) {
+        const procs = await readValue(path.join(dir, "cgroup.procs"));
+        (procs ? procs.split("\n") : []).forEach((pid) => {
+          try {
+            process.kill(Number(pid), "SIGKILL");
+          } catch (error) {
+            // Already gone
+          }
+        });
+        try {
+          await fs.rmdir(dir);
+        } catch (error) {
+          if (error.code !== "ENOENT") remaining.push(dir);
+        }
+      }
+      if (remaining.length === 0) return;
+      this.dirs = remaining;
+      await sleep(REMOVE_RETRY_DELAY);
+    }
+    throw new Error(`Could not remove control group ${this.dirs.join(", ")}`);
+  }
+}
+
+/**
+ * Creates a control group for one run under `parent`, with a hard memory
+ * limit, no swap, and a cap on processes and threads.
+ * @param {object} options
+ * @param {string} options.root - Where the cgroup filesystem is mounted.
+ * @param {string} options.parent - Path of the runs' group below the root.
+ * @param {string} options.name
+ * @param {number} options.memoryLimit - In KB.
+ * @param {number} options.maxProcesses
+ * @returns {Promise<RunGroup>}
+ */
+const createRunGroup = async ({
+  root,
+  parent,
+  name,
+  memoryLimit,
+  maxProcesses,
+}) => {
+  const layout = detectLayout(root);
+  if (!layout) {
+    throw new Error(`No usable cgroup hierarchy under ${root}`);
+  }
+  const bytes = memoryLimit * 1024;
+
+  if (layout === "v2") {
+    await enableV2Controllers(root, parent);
+    const dir = path.join(root, parent, name);
+    await fs.mkdir(dir);
+    const group = new RunGroup(layout, [dir]);
+    try {
+      await fs.writeFile(path.join(dir, "memory.max"), String(bytes));
+      if (fsSync.existsSync(path.join(dir, "memory.swap.max"))) {
+        await fs.writeFile(path.join(dir, "memory.swap.max"), "0");
+      }
+      await fs.writeFile(path.join(dir, "pids.max"), String(maxProcesses));
+    } catch (error) {
+      await group.destroy().catch(() => {});
+      throw error;
+    }
+    return group;
+  }
+
+  const dirs = V1_CONTROLLERS.map((controller) =>
+    path.join(root, controller, parent, name)
+  );
+  for (const dir of dirs) await fs.mkdir(dir, { recursive: true });
+  const group = new RunGroup(layout, dirs);
+  try {
+    const memoryDir = group.dirOf("memory");
+    await fs.writeFile(
+      path.join(memoryDir, "memory.limit_in_bytes"),
+      String(bytes)
+    );
+    // Only there with swap accounting; must not be below the limit above
+    if (
+      fsSync.existsSync(path.join(memoryDir, "memory.memsw.limit_in_bytes"))
+    ) {
+      await fs.writeFile(
+        path.join(memoryDir, "memory.memsw.limit_in_bytes"),
+        String(bytes)
+      );
+    }
+    await fs.writeFile(
+      path.join(group.dirOf("pids"), "pids.max"),
+      String(maxProcesses)
+    );
+  } catch (error) {
+    await group.destroy().catch(() => {});
+    throw error;
+  }
+  return group;
+};
+
+module.exports = { detectLayout, createRunGroup };
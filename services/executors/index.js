@@ -0,0 +1,18 @@
+const config = require("../../config/config");
+const Judge0Executor = require("./Judge0Executor");
+const LocalExecutor = require("./LocalExecutor");
+
+const backends = {
+  judge0: Judge0Executor,
+  local: LocalExecutor,
+};
+
+const createExecutor = (backend) => {
+  const Executor = backends[backend];
+  if (!Executor) {
+    throw new Error(`Unknown code executor backend: ${backend}`);
+  }
+  return new Executor();
+};
+
+module.exports = createExecutor(config.executor.backend);
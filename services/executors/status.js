@@ -0,0 +1,15 @@
+// Judge0 status ids, so results look the same whichever backend ran them
+const STATUS = {
+  accepted: { id: 3, description: "Accepted" },
+  timeLimitExceeded: { id: 5, description: "Time Limit Exceeded" },
+  compilationError: { id: 6, description: "Compilation Error" },
+  outputLimitExceeded: { id: 8, description: "Runtime Error (SIGXFSZ)" },
+  runtimeError: { id: 11, description: "Runtime Error (NZEC)" },
+  internalError: { id: 13, description: "Internal Error" },
+  // Not Judge0 statuses: Judge0 reports running out of memory as a runtime
+  // error, and a run stopped on request never reaches it
+  memoryLimitExceeded: { id: 15, description: "Memory Limit Exceeded" },
+  cancelled: { id: 0, description: "Cancelled" },
+};
+
+module.exports = STATUS;
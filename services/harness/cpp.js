@@ -0,0 +1,441 @@
+const { containsKind } = require("./types");
+
+const HEADERS = `
+#include <algorithm>
+#include <climits>
+#include <cmath>
+#include <cstring>
+#include <deque>
+#include <functional>
+#include <iomanip>
+#include <iostream>
+#include <iterator>
+#include <map>
+#include <numeric>
+#include <queue>
+#include <set>
+#include <sstream>
+#include <stack>
+#include <string>
+#include <unordered_map>
+#include <unordered_set>
+#include <utility>
+#include <vector>
+using namespace std;
+`;
+
+const LIST_NODE = `
+struct ListNode {
+    int val;
+    ListNode *next;
+    ListNode() : val(0), next(nullptr) {}
+    ListNode(int x) : val(x), next(nullptr) {}
+    ListNode(int x, ListNode *next) : val(x), next(next) {}
+};
+`;
+
+const TREE_NODE = `
+struct TreeNode {
+    int val;
+    TreeNode *left;
+    TreeNode *right;
+    TreeNode() : val(0), left(nullptr), right(nullptr) {}
+    TreeNode(int x) : val(x), left(nullptr), right(nullptr) {}
+    TreeNode(int x, TreeNode *left, TreeNode *right) : val(x), left(left), right(right) {}
+};
+`;
+
+// JSON reader and writer. Conversions are templates, so nested types such
+// as vector<vector<string>> need no generated code.
+const JSON_SUPPORT = `
+namespace harness {
+
+struct Json {
+    enum Kind { Null, Bool, Number, String, Array, Object } kind = Null;
+    bool boolean = false;
+    string text; // Number literal or string contents
+    vector<Json> items;
+    vector<pair<string, Json>> fields;
+};
+
+void appendUtf8(string &out, unsigned code) {
+    if (code < 0x80) {
+        out += (char) code;
+    } else if (code < 0x800) {
+        out += (char) (0xC0 | (code >> 6));
+        out += (char) (0x80 | (code & 0x3F));
+    } else if (code < 0x10000) {
+        out += (char) (0xE0 | (code >> 12));
+        out += (char) (0x80 | ((code >> 6) & 0x3F));
+        out += (char) (0x80 | (code & 0x3F));
+    } else {
+        out += (char) (0xF0 | (code >> 18));
+        out += (char) (0x80 | ((code >> 12) & 0x3F));
+        out += (char) (0x80 | ((code >> 6) & 0x3F));
+        out += (char) (0x80 | (code & 0x3F));
+    }
+}
+
+struct Parser {
+    const string &s;
+    size_t i = 0;
+    explicit Parser(const string &s) : s(s) {}
+
+    void skipSpace() {
+        while (i < s.size() && isspace((unsigned char) s[i])) i++;
+    }
+
+    Json parse() {
+        skipSpace();
+        Json value;
+        if (s[i] == '{') {
+            i++;
+            value.kind = Json::Object;
+            skipSpace();
+            if (s[i] == '}') { i++; return value; }
+            while (true) {
+                skipSpace();
+                string key = parseString();
+                skipSpace();
+                i++; // ':'
+                value.fields.emplace_back(key, parse());
+                skipSpace();
+                if (s[i++] == '}') break;
+            }
+        } else if (s[i] == '[') {
+            i++;
+            value.kind = Json::Array;
+            skipSpace();
+            if (s[i] == ']') { i++; return value; }
+            while (true) {
+                value.items.push_back(parse());
+                skipSpace();
+                if (s[i++] == ']') break;
+            }
+        } else if (s[i] == '"') {
+            value.kind = Json::String;
+            value.text = parseString();
+        } else if (s.compare(i, 4, "true") == 0) {
+            i += 4;
+            value.kind = Json::Bool;
+            value.boolean = true;
+        } else if (s.compare(i, 5, "false") == 0) {
+            i += 5;
+            value.kind = Json::Bool;
+        } else if (s.compare(i, 4, "null") == 0) {
+            i += 4;
+        } else {
+            size_t start = i;
+            while (i < s.size() && (isdigit((unsigned char) s[i]) || strchr("+-.eE", s[i]))) i++;
+            value.kind = Json::Number;
+            value.text = s.substr(start, i - start);
+        }
+        return value;
+    }
+
+    unsigned parseHex() {
+        unsigned code = stoul(s.substr(i, 4), nullptr, 16);
+        i += 4;
+        return code;
+    }
+
+    string parseString() {
+        string out;
+        i++; // Opening quote
+        while (s[i] != '"') {
+            char c = s[i++];
+            if (c != '\\\\') { out += c; continue; }
+            char escape = s[i++];
+            switch (escape) {
+                case 'n': out += '\\n'; break;
+                case 't': out += '\\t'; break;
+                case 'r': out += '\\r'; break;
+                case 'b': out += '\\b'; break;
+                case 'f': out += '\\f'; break;
+                case 'u': {
+                    unsigned code = parseHex();
+                    if (code >= 0xD800 && code < 0xDC00 && s.compare(i, 2, "\\\\u") == 0) {
+                        i += 2;
+                        code = 0x10000 + ((code - 0xD800) << 10) + (parseHex() - 0xDC00);
+                    }
+                    appendUtf8(out, code);
+                    break;
+                }
+                default: out += escape;
+            }
+        }
+        i++; // Closing quote
+        return out;
+    }
+};
+
+long long toInteger(const Json &value) {
+    if (value.text.find_first_of(".eE") == string::npos) return stoll(value.text);
+    return (long long) stod(value.text);
+}
+
+template <typename T> struct From;
+template <> struct From<int> {
+    static int get(const Json &value) { return (int) toInteger(value); }
+};
+template <> struct From<long long> {
+    static long long get(const Json &value) { return toInteger(value); }
+};
+template <> struct From<double> {
+    static double get(const Json &value) { return stod(value.text); }
+};
+template <> struct From<bool> {
+    static bool get(const Json &value) { return value.boolean; }
+};
+template <> struct From<string> {
+    static string get(const Json &value) { return value.text; }
+};
+template <> struct From<char> {
+    static char get(const Json &value) { return value.text.empty() ? '\\0' : value.text[0]; }
+};
+template <typename T> struct From<vector<T>> {
+    static vector<T> get(const Json &value) {
+        vector<T> out;
+        for (const Json &item : value.items) out.push_back(From<T>::get(item));
+        return out;
+    }
+};
+template <typename T> struct From<unordered_map<string, T>> {
+    static unordered_map<string, T> get(const Json &value) {
+        unordered_map<string, T> out;
+        for (const auto &field : value.fields) out[field.first] = From<T>::get(field.second);
+        return out;
+    }
+};
+/*LIST_FROM*/
+/*TREE_FROM*/
+
+// Declared up front so the templates below can call each other
+void write(ostream &out, bool value);
+void write(ostream &out, char value);
+void write(ostream &out, const string &value);
+void write(ostream &out, const char *value);
+void write(ostream &out, double value);
+void write(ostream &out, float value);
+template <typename T>
+typename enable_if<is_integral<T>::value>::type write(ostream &out, T value);
+template <typename T> void write(ostream &out, const vector<T> &values);
+void write(ostream &out, const vector<bool> &values);
+template <typename T> void write(ostream &out, const unordered_map<string, T> &values);
+template <typename T> void write(ostream &out, const map<string, T> &values);
+template <typename A, typename B> void write(ostream &out, const pair<A, B> &value);
+/*LIST_WRITE_DECL*/
+/*TREE_WRITE_DECL*/
+
+void write(ostream &out, bool value) { out << (value ? "true" : "false"); }
+void write(ostream &out, const string &value) {
+    out << '"';
+    for (unsigned char c : value) {
+        switch (c) {
+            case '"': out << "\\\\\\""; break;
+            case '\\\\': out << "\\\\\\\\"; break;
+            case '\\n': out << "\\\\n"; break;
+            case '\\t': out << "\\\\t"; break;
+            case '\\r': out << "\\\\r"; break;
+            default:
+                if (c < 0x20) {
+                    out << "\\\\u" << hex << setw(4) << setfill('0') << (int) c << dec << setfill(' ');
+                } else {
+                    out << c;
+                }
+        }
+    }
+    out << '"';
+}
+void write(ostream &out, char value) { write(out, string(1, value)); }
+void write(ostream &out, const char *value) { write(out, string(value)); }
+void write(ostream &out, double value) {
+    if (!isfinite(value)) { out << "null"; return; }
+    ostringstream text;
+    text << setprecision(17) << value;
+    out << text.str();
+}
+void write(ostream &out, float value) { write(out, (double) value); }
+template <typename T>
+typename enable_if<is_integral<T>::value>::type write(ostream &out, T value) { out << value; }
+template <typename T> void write(ostream &out, const vector<T> &values) {
+    out << '[';
+    for (size_t i = 0; i < values.size(); i++) {
+        if (i > 0) out << ',';
+        write(out, values[i]);
+    }
+    out << ']';
+}
+void write(ostream &out, const vector<bool> &values) {
+    out << '[';
+    for (size_t i = 0; i < values.size(); i++) {
+        if (i > 0) out << ',';
+        write(out, (bool) values[i]);
+    }
+    out << ']';
+}
+// Keys are sorted so maps print the same whatever their iteration order
+template <typename T> void write(ostream &out, const unordered_map<string, T> &values) {
+    write(out, map<string, T>(values.begin(), values.end()));
+}
+template <typename T> void write(ostream &out, const map<string, T> &values) {
+    out << '{';
+    bool first = true;
+    for (const auto &entry : values) {
+        if (!first) out << ',';
+        first = false;
+        write(out, entry.first);
+        out << ':';
+        write(out, entry.second);
+    }
+    out << '}';
+}
+template <typename A, typename B> void write(ostream &out, const pair<A, B> &value) {
+    out << '[';
+    write(out, value.first);
+    out << ',';
+    write(out, value.second);
+    out << ']';
+}
+/*LIST_WRITE*/
+/*TREE_WRITE*/
+
+} // namespace harness
+`;
+
+const LIST_FROM = `
+template <> struct From<ListNode *> {
+    static ListNode *get(const Json &value) {
+        ListNode *head = nullptr;
+        for (size_t i = value.items.size(); i-- > 0;) {
+            head = new ListNode(From<int>::get(value.items[i]), head);
+        }
+        return head;
+    }
+};`;
+
+const TREE_FROM = `
+template <> struct From<TreeNode *> {
+    static TreeNode *get(const Json &value) {
+        const vector<Json> &items = value.items;
+        if (items.empty() || items[0].kind == Json::Null) return nullptr;
+        TreeNode *root = new TreeNode(From<int>::get(items[0]));
+        vector<TreeNode *> queue = {root};
+        size_t i = 1;
+        for (size_t head = 0; head < queue.size() && i < items.size(); head++) {
+            TreeNode *node = queue[head];
+            if (i < items.size() && items[i].kind != Json::Null) {
+                node->left = new TreeNode(From<int>::get(items[i]));
+                queue.push_back(node->left);
+            }
+            i++;
+            if (i < items.size() && items[i].kind != Json::Null) {
+                node->right = new TreeNode(From<int>::get(items[i]));
+                queue.push_back(node->right);
+            }
+            i++;
+        }
+        return root;
+    }
+};`;
+
+const LIST_WRITE_DECL = "void write(ostream &out, ListNode *head);";
+const TREE_WRITE_DECL = "void write(ostream &out, TreeNode *root);";
+
+const LIST_WRITE = `
+void write(ostream &out, ListNode *head) {
+    vector<int> values;
+    for (ListNode *node = head; node; node = node->next) values.push_back(node->val);
+    write(out, values);
+}`;
+
+const TREE_WRITE = `
+void write(ostream &out, TreeNode *root) {
+    vector<TreeNode *> queue = {root};
+    for (size_t head = 0; head < queue.size(); head++) {
+        if (queue[head]) {
+            queue.push_back(queue[head]->left);
+            queue.push_back(queue[head]->right);
+        }
+    }
+    while (!queue.empty() && !queue.back()) queue.pop_back();
+    out << '[';
+    for (size_t i = 0; i < queue.size(); i++) {
+        if (i > 0) out << ',';
+        if (queue[i]) out << queue[i]->val; else out << "null";
+    }
+    out << ']';
+}`;
+
+const cppType = (type) => {
+  switch (type.kind) {
+    case "array":
+      return `vector<${cppType(type.of)}>`;
+    case "map":
+      return `unordered_map<string, ${cppType(type.of)}>`;
+    case "long":
+      return "long long";
+    case "string":
+      return "string";
+    case "ListNode":
+      return "ListNode *";
+    case "TreeNode":
+      return "TreeNode *";
+    default:
+      return type.kind; // int, double, bool, char
+  }
+};
+
+const defines = (userCode, name) =>
+  new RegExp(`\\b(struct|class)\\s+${name}\\s*\\{`).test(userCode);
+
+/**
+ * C++17 harness: the solution is a method of a `Solution` class. Arguments
+ * are named variables so `vector<int>&` parameters bind.
+ */
+const build = ({ userCode, functionName, signature }) => {
+  const types = [...signature.params.map((p) => p.type), signature.returnType];
+  const usesList = types.some((type) => containsKind(type, "ListNode"));
+  const usesTree = types.some((type) => containsKind(type, "TreeNode"));
+
+  const support = JSON_SUPPORT.replace(
+    "/*LIST_FROM*/",
+    usesList ? LIST_FROM : ""
+  )
+    .replace("/*TREE_FROM*/", usesTree ? TREE_FROM : "")
+    .replace("/*LIST_WRITE_DECL*/", usesList ? LIST_WRITE_DECL : "")
+    .replace("/*TREE_WRITE_DECL*/", usesTree ? TREE_WRITE_DECL : "")
+    .replace("/*LIST_WRITE*/", usesList ? LIST_WRITE : "")
+    .replace("/*TREE_WRITE*/", usesTree ? TREE_WRITE : "");
+
+  const args = signature.params.map(
+    (param, index) =>
+      `    ${cppType(param.type)} arg${index} = harness::From<${cppType(
+        param.type
+      )}>::get(input.items[${index}]);`
+  );
+
+  return `${HEADERS}
+${usesList && !defines(userCode, "ListNode") ? LIST_NODE : ""}
+${usesTree && !defines(userCode, "TreeNode") ? TREE_NODE : ""}
+${userCode}
+
+// Test harness
+${support}
+
+int main() {
+    string text((istreambuf_iterator<char>(cin)), istreambuf_iterator<char>());
+    harness::Json input = harness::Parser(text).parse();
+${args.join("\n")}
+    Solution solution;
+    auto result = solution.${functionName}(${signature.params
+    .map((param, index) => `arg${index}`)
+    .join(", ")});
+    harness::write(cout, result);
+    cout << endl;
+    return 0;
+}
+`;
+};
+
+module.exports = build;
@@ -0,0 +1,274 @@
+const { containsKind, collectTypes, typeKey } = require("./types");
+
+const LIST_NODE = `
+type ListNode struct {
+	Val  int
+	Next *ListNode
+}
+`;
+
+const TREE_NODE = `
+type TreeNode struct {
+	Val   int
+	Left  *TreeNode
+	Right *TreeNode
+}
+`;
+
+// Imports are aliased so they can't clash with the solution's own
+const SUPPORT = `
+func harnessFloat(value interface{}) float64 {
+	number, _ := value.(harnessJSON.Number).Float64()
+	return number
+}
+
+func harnessInt64(value interface{}) int64 {
+	if number, err := value.(harnessJSON.Number).Int64(); err == nil {
+		return number
+	}
+	return int64(harnessFloat(value))
+}
+
+func harnessInt(value interface{}) int { return int(harnessInt64(value)) }
+
+func harnessBool(value interface{}) bool {
+	flag, _ := value.(bool)
+	return flag
+}
+
+func harnessString(value interface{}) string {
+	text, _ := value.(string)
+	return text
+}
+
+func harnessByte(value interface{}) byte {
+	text := harnessString(value)
+	if text == "" {
+		return 0
+	}
+	return text[0]
+}
+
+func harnessItems(value interface{}) []interface{} {
+	items, _ := value.([]interface{})
+	return items
+}
+`;
+
+const SCALARS = {
+  int: { goType: "int", read: "harnessInt" },
+  long: { goType: "int64", read: "harnessInt64" },
+  double: { goType: "float64", read: "harnessFloat" },
+  bool: { goType: "bool", read: "harnessBool" },
+  string: { goType: "string", read: "harnessString" },
+  // LeetCode's Go signatures use byte for characters
+  char: { goType: "byte", read: "harnessByte" },
+};
+
+const goType = (type) => {
+  switch (type.kind) {
+    case "array":
+      return `[]${goType(type.of)}`;
+    case "map":
+      return `map[string]${goType(type.of)}`;
+    case "ListNode":
+      return "*ListNode";
+    case "TreeNode":
+      return "*TreeNode";
+    default:
+      return SCALARS[type.kind].goType;
+  }
+};
+
+const readExpression = (type, value) =>
+  SCALARS[type.kind]
+    ? `${SCALARS[type.kind].read}(${value})`
+    : `harnessRead_${typeKey(type)}(${value})`;
+
+const readerFor = (type) => {
+  const name = `harnessRead_${typeKey(type)}`;
+  switch (type.kind) {
+    case "array":
+      return `
+func ${name}(value interface{}) ${goType(type)} {
+	items := harnessItems(value)
+	out := make(${goType(type)}, len(items))
+	for i, item := range items {
+		out[i] = ${readExpression(type.of, "item")}
+	}
+	return out
+}`;
+    case "map":
+      return `
+func ${name}(value interface{}) ${goType(type)} {
+	fields, _ := value.(map[string]interface{})
+	out := make(${goType(type)}, len(fields))
+	for key, item := range fields {
+		out[key] = ${readExpression(type.of, "item")}
+	}
+	return out
+}`;
+    case "ListNode":
+      return `
+func ${name}(value interface{}) *ListNode {
+	items := harnessItems(value)
+	var head *ListNode
+	for i := len(items) - 1; i >= 0; i-- {
+		head = &ListNode{Val: harnessInt(items[i]), Next: head}
+	}
+	return head
+}`;
+    case "TreeNode":
+      return `
+func ${name}(value interface{}) *TreeNode {
+	items := harnessItems(value)
+	if len(items) == 0 || items[0] == nil {
+		return nil
+	}
+	root := &TreeNode{Val: harnessInt(items[0])}
+	queue := []*TreeNode{root}
+	i := 1
+	for head := 0; head < len(queue) && i < len(items); head++ {
+		node := queue[head]
+		if i < len(items) && items[i] != nil {
+			node.Left = &TreeNode{Val: harnessInt(items[i])}
+			queue = append(queue, node.Left)
+		}
+		i++
+		if i < len(items) && items[i] != nil {
+			node.Right = &TreeNode{Val: harnessInt(items[i])}
+			queue = append(queue, node.Right)
+		}
+		i++
+	}
+	return root
+}`;
+    default:
+      return "";
+  }
+};
+
+// encoding/json writes bytes as numbers and []byte as base64, and knows
+// nothing of nodes, so only types holding those need converting
+const needsWriter = (type) =>
+  ["char", "ListNode", "TreeNode"].some((kind) => containsKind(type, kind));
+
+const writeExpression = (type, value) =>
+  needsWriter(type) ? `harnessWrite_${typeKey(type)}(${value})` : value;
+
+const writerFor = (type) => {
+  if (!needsWriter(type)) return "";
+  const name = `harnessWrite_${typeKey(type)}`;
+  switch (type.kind) {
+    case "char":
+      return `
+func ${name}(value byte) interface{} { return string([]byte{value}) }`;
+    case "array":
+      return `
+func ${name}(value ${goType(type)}) interface{} {
+	out := make([]interface{}, len(value))
+	for i, item := range value {
+		out[i] = ${writeExpression(type.of, "item")}
+	}
+	return out
+}`;
+    case "map":
+      return `
+func ${name}(value ${goType(type)}) interface{} {
+	out := make(map[string]interface{}, len(value))
+	for key, item := range value {
+		out[key] = ${writeExpression(type.of, "item")}
+	}
+	return out
+}`;
+    case "ListNode":
+      return `
+func ${name}(head *ListNode) interface{} {
+	values := []int{}
+	for node := head; node != nil; node = node.Next {
+		values = append(values, node.Val)
+	}
+	return values
+}`;
+    case "TreeNode":
+      return `
+func ${name}(root *TreeNode) interface{} {
+	queue := []*TreeNode{root}
+	for head := 0; head < len(queue); head++ {
+		if queue[head] != nil {
+			queue = append(queue, queue[head].Left, queue[head].Right)
+		}
+	}
+	for len(queue) > 0 && queue[len(queue)-1] == nil {
+		queue = queue[:len(queue)-1]
+	}
+	values := make([]interface{}, len(queue))
+	for i, node := range queue {
+		if node != nil {
+			values[i] = node.Val
+		}
+	}
+	return values
+}`;
+    default:
+      return "";
+  }
+};
+
+const defines = (userCode, name) =>
+  new RegExp(`\\btype\\s+${name}\\s+struct\\b`).test(userCode);
+
+/**
+ * Go harness: the solution is a top-level function. The solution's own
+ * package clause is dropped; its imports follow the harness's.
+ */
+const build = ({ userCode, functionName, signature }) => {
+  const paramTypes = signature.params.map((p) => p.type);
+  const types = [...paramTypes, signature.returnType];
+  const usesList = types.some((type) => containsKind(type, "ListNode"));
+  const usesTree = types.some((type) => containsKind(type, "TreeNode"));
+
+  const readers = collectTypes(paramTypes).map(readerFor).join("\n");
+  const writers = collectTypes([signature.returnType])
+    .map(writerFor)
+    .join("\n");
+  const args = signature.params.map(
+    (param, index) =>
+      `	arg${index} := ${readExpression(param.type, `input[${index}]`)}`
+  );
+
+  return `package main
+
+import (
+	harnessJSON "encoding/json"
+	harnessOS "os"
+)
+
+${userCode.replace(/^\s*package\s+\w+\s*;?\s*$/m, "")}
+
+// Test harness
+${usesList && !defines(userCode, "ListNode") ? LIST_NODE : ""}
+${usesTree && !defines(userCode, "TreeNode") ? TREE_NODE : ""}
+${SUPPORT}
+${readers}
+${writers}
+
+func main() {
+	decoder := harnessJSON.NewDecoder(harnessOS.Stdin)
+	decoder.UseNumber()
+	var input []interface{}
+	if err := decoder.Decode(&input); err != nil {
+		panic(err)
+	}
+${args.join("\n")}
+	result := ${functionName}(${signature.params
+    .map((param, index) => `arg${index}`)
+    .join(", ")})
+	encoder := harnessJSON.NewEncoder(harnessOS.Stdout)
+	encoder.SetEscapeHTML(false)
+	encoder.Encode(${writeExpression(signature.returnType, "result")})
+}
+`;
+};
+
+module.exports = build;
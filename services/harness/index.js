@@ -0,0 +1,70 @@
+const { resolveSignature } = require("./types");
+
+// Each builder turns a solution into a complete program that reads the
+// arguments as a JSON array on stdin, converts them to the language's own
+// types, calls the solution and prints the result as one line of JSON.
+const builders = {
+  javascript: require("./javascript"),
+  python: require("./python"),
+  cpp: require("./cpp"),
+  java: require("./java"),
+  go: require("./go"),
+};
+
+const supportsLanguage = (language) => Boolean(builders[language]);
+
+/**
+ * Builds the program for one language. The same program serves every test
+ * case; only its stdin changes.
+ * @param {string} language
+ * @param {string} userCode
+ * @param {object} challenge - Needs `functionName` and `testCases`, and
+ * uses `signature` when present.
+ * @returns {string}
+ */
+const buildProgram = (language, userCode, challenge) => {
+  const build = builders[language];
+  if (!build) throw new Error(`Unsupported language: ${language}`);
+  return build({
+    userCode,
+    functionName: challenge.functionName,
+    signature: resolveSignature(challenge),
+  });
+};
+
+/**
+ * The stdin for one test case: its arguments, in signature order.
+ * @param {object} challenge
+ * @param {{input: object}} testCase
+ * @returns {string}
+ */
+const buildInput = (challenge, testCase) => {
+  const { params } = resolveSignature(challenge);
+  return JSON.stringify(
+    params.map(({ name }) =>
+      testCase.input[name] === undefined ? null : testCase.input[name]
+    )
+  );
+};
+
+/**
+ * JSON with object keys sorted, so values can be compared as text no
+ * matter which order a language printed a map in.
+ */
+const toCanonicalJSON = (value) =>
+  JSON.stringify(value, (key, item) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? Object.fromEntries(
+          Object.keys(item)
+            .sort()
+            .map((name) => [name, item[name]])
+        )
+      : item
+  );
+
+module.exports = {
+  supportsLanguage,
+  buildProgram,
+  buildInput,
+  toCanonicalJSON,
+};
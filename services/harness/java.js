@@ -0,0 +1,387 @@
+const { containsKind, collectTypes, typeKey } = require("./types");
+
+const LIST_NODE = `
+class ListNode {
+    int val;
+    ListNode next;
+    ListNode() {}
+    ListNode(int val) { this.val = val; }
+    ListNode(int val, ListNode next) { this.val = val; this.next = next; }
+}
+`;
+
+const TREE_NODE = `
+class TreeNode {
+    int val;
+    TreeNode left;
+    TreeNode right;
+    TreeNode() {}
+    TreeNode(int val) { this.val = val; }
+    TreeNode(int val, TreeNode left, TreeNode right) {
+        this.val = val;
+        this.left = left;
+        this.right = right;
+    }
+}
+`;
+
+// JSON numbers keep their text so longs don't lose precision
+const JSON_SUPPORT = `
+    static final class Num {
+        final String text;
+        Num(String text) { this.text = text; }
+    }
+
+    static final class Parser {
+        private final String s;
+        private int i = 0;
+
+        Parser(String s) { this.s = s; }
+
+        private void skipSpace() {
+            while (i < s.length() && Character.isWhitespace(s.charAt(i))) i++;
+        }
+
+        Object parse() {
+            skipSpace();
+            char c = s.charAt(i);
+            if (c == '{') {
+                i++;
+                Map<String, Object> fields = new LinkedHashMap<>();
+                skipSpace();
+                if (s.charAt(i) == '}') { i++; return fields; }
+                while (true) {
+                    skipSpace();
+                    String key = parseString();
+                    skipSpace();
+                    i++; // ':'
+                    fields.put(key, parse());
+                    skipSpace();
+                    if (s.charAt(i++) == '}') return fields;
+                }
+            }
+            if (c == '[') {
+                i++;
+                List<Object> items = new ArrayList<>();
+                skipSpace();
+                if (s.charAt(i) == ']') { i++; return items; }
+                while (true) {
+                    items.add(parse());
+                    skipSpace();
+                    if (s.charAt(i++) == ']') return items;
+                }
+            }
+            if (c == '"') return parseString();
+            if (s.startsWith("true", i)) { i += 4; return Boolean.TRUE; }
+            if (s.startsWith("false", i)) { i += 5; return Boolean.FALSE; }
+            if (s.startsWith("null", i)) { i += 4; return null; }
+            int start = i;
+            while (i < s.length() && "+-.eE0123456789".indexOf(s.charAt(i)) >= 0) i++;
+            return new Num(s.substring(start, i));
+        }
+
+        private String parseString() {
+            StringBuilder out = new StringBuilder();
+            i++; // Opening quote
+            while (s.charAt(i) != '"') {
+                char c = s.charAt(i++);
+                if (c != '\\\\') { out.append(c); continue; }
+                char escape = s.charAt(i++);
+                switch (escape) {
+                    case 'n': out.append('\\n'); break;
+                    case 't': out.append('\\t'); break;
+                    case 'r': out.append('\\r'); break;
+                    case 'b': out.append('\\b'); break;
+                    case 'f': out.append('\\f'); break;
+                    case 'u':
+                        out.append((char) Integer.parseInt(s.substring(i, i + 4), 16));
+                        i += 4;
+                        break;
+                    default: out.append(escape);
+                }
+            }
+            i++; // Closing quote
+            return out.toString();
+        }
+    }
+
+    @SuppressWarnings("unchecked")
+    static List<Object> asList(Object value) { return (List<Object>) value; }
+
+    @SuppressWarnings("unchecked")
+    static Map<String, Object> asObject(Object value) { return (Map<String, Object>) value; }
+
+    static long asLong(Object value) { return new java.math.BigDecimal(((Num) value).text).longValue(); }
+    static int asInt(Object value) { return (int) asLong(value); }
+    static double asDouble(Object value) { return Double.parseDouble(((Num) value).text); }
+    static boolean asBool(Object value) { return (Boolean) value; }
+    static String asString(Object value) { return (String) value; }
+    static char asChar(Object value) {
+        String text = (String) value;
+        return text.isEmpty() ? '\\0' : text.charAt(0);
+    }
+
+    static void writeString(StringBuilder out, String value) {
+        out.append('"');
+        for (int i = 0; i < value.length(); i++) {
+            char c = value.charAt(i);
+            switch (c) {
+                case '"': out.append("\\\\\\""); break;
+                case '\\\\': out.append("\\\\\\\\"); break;
+                case '\\n': out.append("\\\\n"); break;
+                case '\\t': out.append("\\\\t"); break;
+                case '\\r': out.append("\\\\r"); break;
+                default:
+                    if (c < 0x20) out.append(String.format("\\\\u%04x", (int) c));
+                    else out.append(c);
+            }
+        }
+        out.append('"');
+    }
+
+    // Whatever the declared return type, results are written by shape:
+    // arrays, lists and sets as JSON arrays, maps with sorted keys
+    static void write(StringBuilder out, Object value) {
+        if (value == null) {
+            out.append("null");
+        } else if (value instanceof String) {
+            writeString(out, (String) value);
+        } else if (value instanceof Character) {
+            writeString(out, String.valueOf(value));
+        } else if (value instanceof Double || value instanceof Float) {
+            double number = ((Number) value).doubleValue();
+            out.append(Double.isFinite(number) ? Double.toString(number) : "null");
+        } else if (value instanceof Number || value instanceof Boolean) {
+            out.append(value);
+        } else if (value.getClass().isArray()) {
+            out.append('[');
+            for (int i = 0; i < java.lang.reflect.Array.getLength(value); i++) {
+                if (i > 0) out.append(',');
+                write(out, java.lang.reflect.Array.get(value, i));
+            }
+            out.append(']');
+        } else if (value instanceof Iterable) {
+            out.append('[');
+            boolean first = true;
+            for (Object item : (Iterable<?>) value) {
+                if (!first) out.append(',');
+                first = false;
+                write(out, item);
+            }
+            out.append(']');
+        } else if (value instanceof Map) {
+            Map<String, Object> sorted = new TreeMap<>();
+            for (Map.Entry<?, ?> entry : ((Map<?, ?>) value).entrySet()) {
+                sorted.put(String.valueOf(entry.getKey()), entry.getValue());
+            }
+            out.append('{');
+            boolean first = true;
+            for (Map.Entry<String, Object> entry : sorted.entrySet()) {
+                if (!first) out.append(',');
+                first = false;
+                writeString(out, entry.getKey());
+                out.append(':');
+                write(out, entry.getValue());
+            }
+            out.append('}');
+        }/*NODE_WRITE*/ else {
+            writeString(out, String.valueOf(value));
+        }
+    }
+`;
+
+const LIST_WRITE = ` else if (value instanceof ListNode) {
+            List<Integer> values = new ArrayList<>();
+            for (ListNode node = (ListNode) value; node != null; node = node.next) values.add(node.val);
+            write(out, values);
+        }`;
+
+const TREE_WRITE = ` else if (value instanceof TreeNode) {
+            List<TreeNode> queue = new ArrayList<>();
+            queue.add((TreeNode) value);
+            for (int head = 0; head < queue.size(); head++) {
+                TreeNode node = queue.get(head);
+                if (node != null) {
+                    queue.add(node.left);
+                    queue.add(node.right);
+                }
+            }
+            while (!queue.isEmpty() && queue.get(queue.size() - 1) == null) queue.remove(queue.size() - 1);
+            List<Integer> values = new ArrayList<>();
+            for (TreeNode node : queue) values.add(node == null ? null : node.val);
+            write(out, values);
+        }`;
+
+const SCALAR_READERS = {
+  int: "asInt",
+  long: "asLong",
+  double: "asDouble",
+  bool: "asBool",
+  string: "asString",
+  char: "asChar",
+};
+
+const BOXED = {
+  int: "Integer",
+  long: "Long",
+  double: "Double",
+  bool: "Boolean",
+  char: "Character",
+};
+
+const javaType = (type) => {
+  switch (type.kind) {
+    case "array":
+      return `${javaType(type.of)}[]`;
+    case "map":
+      return `Map<String, ${BOXED[type.of.kind] || javaType(type.of)}>`;
+    case "bool":
+      return "boolean";
+    case "string":
+      return "String";
+    default:
+      return type.kind; // int, long, double, char, ListNode, TreeNode
+  }
+};
+
+// `new int[size][]` for int[][]; generic element types are created raw
+const newArray = (type, size) => {
+  const element = javaType(type.of);
+  const base = element.replace(/<.*>/, "").replace(/(\[\])+$/, "");
+  const dimensions = (element.match(/\[\]/g) || []).length;
+  return `new ${base}[${size}]${"[]".repeat(dimensions)}`;
+};
+
+const readExpression = (type, value) =>
+  SCALAR_READERS[type.kind]
+    ? `${SCALAR_READERS[type.kind]}(${value})`
+    : `read_${typeKey(type)}(${value})`;
+
+// One static reader per composite type used by the signature
+const readerFor = (type) => {
+  const name = `read_${typeKey(type)}`;
+  const returnType = javaType(type);
+  switch (type.kind) {
+    case "array":
+      return `
+    @SuppressWarnings("unchecked")
+    static ${returnType} ${name}(Object value) {
+        if (value == null) return null;
+        List<Object> items = asList(value);
+        ${returnType} out = ${newArray(type, "items.size()")};
+        for (int i = 0; i < items.size(); i++) out[i] = ${readExpression(
+          type.of,
+          "items.get(i)"
+        )};
+        return out;
+    }`;
+    case "map":
+      return `
+    static ${returnType} ${name}(Object value) {
+        if (value == null) return null;
+        ${returnType} out = new HashMap<>();
+        for (Map.Entry<String, Object> entry : asObject(value).entrySet()) {
+            out.put(entry.getKey(), ${readExpression(
+              type.of,
+              "entry.getValue()"
+            )});
+        }
+        return out;
+    }`;
+    case "ListNode":
+      return `
+    static ListNode ${name}(Object value) {
+        List<Object> items = asList(value);
+        ListNode head = null;
+        for (int i = items.size() - 1; i >= 0; i--) head = new ListNode(asInt(items.get(i)), head);
+        return head;
+    }`;
+    case "TreeNode":
+      return `
+    static TreeNode ${name}(Object value) {
+        List<Object> items = asList(value);
+        if (items.isEmpty() || items.get(0) == null) return null;
+        TreeNode root = new TreeNode(asInt(items.get(0)));
+        List<TreeNode> queue = new ArrayList<>();
+        queue.add(root);
+        int i = 1;
+        for (int head = 0; head < queue.size() && i < items.size(); head++) {
+            TreeNode node = queue.get(head);
+            if (i < items.size() && items.get(i) != null) {
+                node.left = new TreeNode(asInt(items.get(i)));
+                queue.add(node.left);
+            }
+            i++;
+            if (i < items.size() && items.get(i) != null) {
+                node.right = new TreeNode(asInt(items.get(i)));
+                queue.add(node.right);
+            }
+            i++;
+        }
+        return root;
+    }`;
+    default:
+      return "";
+  }
+};
+
+const defines = (userCode, name) =>
+  new RegExp(`\\bclass\\s+${name}\\b`).test(userCode);
+
+// An empty list or tree is null in code but [] in JSON
+const isNode = (type) => type.kind === "ListNode" || type.kind === "TreeNode";
+
+/**
+ * Java harness: the solution is a method of a `Solution` class. The file
+ * is Main.java, so a `public class Solution` is made package-private.
+ */
+const build = ({ userCode, functionName, signature }) => {
+  const types = [...signature.params.map((p) => p.type), signature.returnType];
+  const usesList = types.some((type) => containsKind(type, "ListNode"));
+  const usesTree = types.some((type) => containsKind(type, "TreeNode"));
+
+  const support = JSON_SUPPORT.replace(
+    "/*NODE_WRITE*/",
+    `${usesList ? LIST_WRITE : ""}${usesTree ? TREE_WRITE : ""}`
+  );
+  const readers = collectTypes(signature.params.map((p) => p.type))
+    .map(readerFor)
+    .join("\n");
+  const args = signature.params.map(
+    (param, index) =>
+      `        ${javaType(param.type)} arg${index} = ${readExpression(
+        param.type,
+        `input.get(${index})`
+      )};`
+  );
+
+  return `
+import java.util.*;
+
+${userCode.replace(/\bpublic\s+class\s+Solution\b/, "class Solution")}
+
+${usesList && !defines(userCode, "ListNode") ? LIST_NODE : ""}
+${usesTree && !defines(userCode, "TreeNode") ? TREE_NODE : ""}
+
+public class Main {
+${support}
+${readers}
+
+    public static void main(String[] commandLine) throws Exception {
+        String text = new String(System.in.readAllBytes(), java.nio.charset.StandardCharsets.UTF_8);
+        List<Object> input = asList(new Parser(text).parse());
+${args.join("\n")}
+        Object result = new Solution().${functionName}(${signature.params
+    .map((param, index) => `arg${index}`)
+    .join(", ")});
+        StringBuilder out = new StringBuilder();
+        write(out, result == null && ${isNode(
+          signature.returnType
+        )} ? new ArrayList<>() : result);
+        System.out.println(out);
+    }
+}
+`;
+};
+
+module.exports = build;
@@ -0,0 +1,113 @@
+const { containsKind } = require("./types");
+
+const LIST_NODE = `
+function ListNode(val, next) {
+  this.val = val === undefined ? 0 : val;
+  this.next = next === undefined ? null : next;
+}`;
+
+const TREE_NODE = `
+function TreeNode(val, left, right) {
+  this.val = val === undefined ? 0 : val;
+  this.left = left === undefined ? null : left;
+  this.right = right === undefined ? null : right;
+}`;
+
+const defines = (userCode, name) =>
+  new RegExp(`\\b(class|function)\\s+${name}\\b`).test(userCode);
+
+/**
+ * Node.js harness: the solution is a plain function or a method of a
+ * `Solution` class.
+ */
+const build = ({ userCode, functionName, signature }) => {
+  const types = [...signature.params.map((p) => p.type), signature.returnType];
+  const usesList = types.some((type) => containsKind(type, "ListNode"));
+  const usesTree = types.some((type) => containsKind(type, "TreeNode"));
+
+  return `
+${userCode}
+
+// Test harness
+${usesList && !defines(userCode, "ListNode") ? LIST_NODE : ""}
+${usesTree && !defines(userCode, "TreeNode") ? TREE_NODE : ""}
+
+function __fromJson(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type.kind) {
+    case "array":
+      return value.map((item) => __fromJson(item, type.of));
+    case "map":
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, __fromJson(item, type.of)])
+      );
+    case "ListNode": {
+      let head = null;
+      for (let i = value.length - 1; i >= 0; i--) head = new ListNode(value[i], head);
+      return head;
+    }
+    case "TreeNode": {
+      if (value.length === 0 || value[0] === null) return null;
+      const root = new TreeNode(value[0]);
+      const queue = [root];
+      let i = 1;
+      for (let head = 0; head < queue.length && i < value.length; head++) {
+        const node = queue[head];
+        if (i < value.length && value[i] !== null) queue.push((node.left = new TreeNode(value[i])));
+        i++;
+        if (i < value.length && value[i] !== null) queue.push((node.right = new TreeNode(value[i])));
+        i++;
+      }
+      return root;
+    }
+    default:
+      return value;
+  }
+}
+
+// An empty list or tree is null in code but [] in JSON
+function __toJson(value, type) {
+  if (value === null || value === undefined) {
+    return type.kind === "ListNode" || type.kind === "TreeNode" ? [] : null;
+  }
+  switch (type.kind) {
+    case "array":
+      return Array.from(value, (item) => __toJson(item, type.of));
+    case "map":
+      return Object.fromEntries(
+        Array.from(value instanceof Map ? value.entries() : Object.entries(value))
+          .map(([key, item]) => [key, __toJson(item, type.of)])
+      );
+    case "ListNode": {
+      const values = [];
+      for (let node = value; node; node = node.next) values.push(node.val);
+      return values;
+    }
+    case "TreeNode": {
+      const values = [];
+      const queue = [value];
+      for (let head = 0; head < queue.length; head++) {
+        const node = queue[head];
+        values.push(node ? node.val : null);
+        if (node) queue.push(node.left, node.right);
+      }
+      while (values.length && values[values.length - 1] === null) values.pop();
+      return values;
+    }
+    default:
+      return value;
+  }
+}
+
+const __signature = ${JSON.stringify(signature)};
+const __args = JSON.parse(require("fs").readFileSync(0, "utf8"))
+  .map((value, i) => __fromJson(value, __signature.params[i].type));
+const __solve = typeof ${functionName} === "function"
+  ? ${functionName}
+  : (...args) => new Solution().${functionName}(...args);
+const __result = __solve(...__args);
+console.log(JSON.stringify(__toJson(__result, __signature.returnType)));
+`;
+};
+
+module.exports = build;
@@ -0,0 +1,133 @@
+const { containsKind } = require("./types");
+
+const LIST_NODE = `
+class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+`;
+
+const TREE_NODE = `
+class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+`;
+
+const defines = (userCode, name) =>
+  new RegExp(`^class\\s+${name}\\b`, "m").test(userCode);
+
+// twoSum -> two_sum, the name Python templates use
+const toSnakeCase = (name) => name.replace(/([A-Z])/g, "_$1").toLowerCase();
+
+/**
+ * Python harness: the solution is a snake_case function, a function with
+ * the original name, or a method of a `Solution` class.
+ */
+const build = ({ userCode, functionName, signature }) => {
+  const types = [...signature.params.map((p) => p.type), signature.returnType];
+  const usesList = types.some((type) => containsKind(type, "ListNode"));
+  const usesTree = types.some((type) => containsKind(type, "TreeNode"));
+
+  // Parsed types only hold strings and dicts, so their JSON is valid Python
+  return `
+import json
+import sys
+
+${userCode}
+
+# Test harness
+${usesList && !defines(userCode, "ListNode") ? LIST_NODE : ""}
+${usesTree && !defines(userCode, "TreeNode") ? TREE_NODE : ""}
+
+def _harness_from_json(value, type):
+    if value is None:
+        return None
+    kind = type["kind"]
+    if kind == "array":
+        return [_harness_from_json(item, type["of"]) for item in value]
+    if kind == "map":
+        return {key: _harness_from_json(item, type["of"]) for key, item in value.items()}
+    if kind == "ListNode":
+        head = None
+        for item in reversed(value):
+            head = ListNode(item, head)
+        return head
+    if kind == "TreeNode":
+        if not value or value[0] is None:
+            return None
+        root = TreeNode(value[0])
+        queue = [root]
+        i = 1
+        head = 0
+        while head < len(queue) and i < len(value):
+            node = queue[head]
+            head += 1
+            if i < len(value) and value[i] is not None:
+                node.left = TreeNode(value[i])
+                queue.append(node.left)
+            i += 1
+            if i < len(value) and value[i] is not None:
+                node.right = TreeNode(value[i])
+                queue.append(node.right)
+            i += 1
+        return root
+    if kind == "double":
+        return float(value)
+    return value
+
+# An empty list or tree is None in code but [] in JSON
+def _harness_to_json(value, type):
+    kind = type["kind"]
+    if value is None:
+        return [] if kind in ("ListNode", "TreeNode") else None
+    if kind == "array":
+        return [_harness_to_json(item, type["of"]) for item in value]
+    if kind == "map":
+        return {str(key): _harness_to_json(item, type["of"]) for key, item in value.items()}
+    if kind == "ListNode":
+        values = []
+        while value is not None:
+            values.append(value.val)
+            value = value.next
+        return values
+    if kind == "TreeNode":
+        values = []
+        queue = [value]
+        head = 0
+        while head < len(queue):
+            node = queue[head]
+            head += 1
+            values.append(node.val if node is not None else None)
+            if node is not None:
+                queue.append(node.left)
+                queue.append(node.right)
+        while values and values[-1] is None:
+            values.pop()
+        return values
+    return value
+
+def _harness_solution():
+    for name in (${JSON.stringify(toSnakeCase(functionName))}, ${JSON.stringify(
+    functionName
+  )}):
+        candidate = globals().get(name)
+        if callable(candidate) and not isinstance(candidate, type):
+            return candidate
+    solution = Solution()
+    return getattr(solution, ${JSON.stringify(
+      toSnakeCase(functionName)
+    )}, None) or getattr(solution, ${JSON.stringify(functionName)})
+
+_harness_signature = ${JSON.stringify(signature)}
+_harness_args = [
+    _harness_from_json(value, param["type"])
+    for value, param in zip(json.loads(sys.stdin.read()), _harness_signature["params"])
+]
+_harness_result = _harness_solution()(*_harness_args)
+print(json.dumps(_harness_to_json(_harness_result, _harness_signature["returnType"]), separators=(",", ":")))
+`;
+};
+
+module.exports = build;
@@ -0,0 +1,159 @@
+// Types understood in challenge signatures:
+//
+//   int, long, double, bool, string, char   scalars (a char is a one
+//                                           character JSON string)
+//   ListNode, TreeNode                      LeetCode-style nodes holding
+//                                           ints, written as JSON arrays;
+//                                           trees in level order with nulls
+//   T[]                                     arrays, nestable (int[][])
+//   map<string,T>                           JSON objects
+//
+// Parsed types are plain objects such as
+// { kind: "array", of: { kind: "int" } }, so they can be embedded as
+// literals in generated JavaScript and Python.
+
+const SCALARS = ["int", "long", "double", "bool", "string", "char"];
+const NODES = ["ListNode", "TreeNode"];
+const INT_MAX = 2 ** 31 - 1;
+
+/**
+ * @param {string} text - e.g. "int[][]" or "map<string,int>".
+ * @returns {object} The parsed type. Throws on unknown types.
+ */
+const parseType = (text) => {
+  const type = String(text).replace(/\s+/g, "");
+  if (type.endsWith("[]")) {
+    return { kind: "array", of: parseType(type.slice(0, -2)) };
+  }
+  const map = /^map<string,(.+)>$/.exec(type);
+  if (map) return { kind: "map", of: parseType(map[1]) };
+  if (SCALARS.includes(type) || NODES.includes(type)) return { kind: type };
+  throw new Error(`Unknown type: ${text}`);
+};
+
+const formatType = (type) => {
+  if (type.kind === "array") return `${formatType(type.of)}[]`;
+  if (type.kind === "map") return `map<string,${formatType(type.of)}>`;
+  return type.kind;
+};
+
+// Identifier-safe name, used for generated per-type helpers
+const typeKey = (type) => {
+  if (type.kind === "array") return `${typeKey(type.of)}_array`;
+  if (type.kind === "map") return `${typeKey(type.of)}_map`;
+  return type.kind;
+};
+
+/**
+ * Collects every type a type is built from, innermost first and without
+ * duplicates, so helpers can be generated in dependency order.
+ */
+const collectTypes = (types) => {
+  const seen = new Map();
+  const visit = (type) => {
+    if (type.of) visit(type.of);
+    const key = typeKey(type);
+    if (!seen.has(key)) seen.set(key, type);
+  };
+  types.forEach(visit);
+  return Array.from(seen.values());
+};
+
+const containsKind = (type, kind) =>
+  type.kind === kind || Boolean(type.of && containsKind(type.of, kind));
+
+const NUMERIC_RANK = { int: 0, long: 1, double: 2 };
+
+// Widest type that holds all of `types`; nulls (unknown) are ignored
+const mergeTypes = (types) => {
+  const known = types.filter(Boolean);
+  if (known.length === 0) return null;
+  const [first] = known;
+  if (known.every((type) => type.kind in NUMERIC_RANK)) {
+    return known.reduce((widest, type) =>
+      NUMERIC_RANK[type.kind] > NUMERIC_RANK[widest.kind] ? type : widest
+    );
+  }
+  if (first.of && known.every((type) => type.kind === first.kind)) {
+    return {
+      kind: first.kind,
+      of: mergeTypes(known.map((type) => type.of)) || { kind: "int" },
+    };
+  }
+  return first;
+};
+
+/**
+ * Guesses a type from a JSON value. Nodes cannot be told apart from
+ * arrays, so challenges using them need an explicit signature.
+ * @returns {object|null} Null when the value says nothing (null).
+ */
+const inferType = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) return { kind: "double" };
+    return Math.abs(value) > INT_MAX ? { kind: "long" } : { kind: "int" };
+  }
+  if (typeof value === "boolean") return { kind: "bool" };
+  if (typeof value === "string") return { kind: "string" };
+  if (Array.isArray(value)) {
+    return {
+      kind: "array",
+      of: mergeTypes(value.map(inferType)) || { kind: "int" },
+    };
+  }
+  return {
+    kind: "map",
+    of: mergeTypes(Object.values(value).map(inferType)) || { kind: "int" },
+  };
+};
+
+/**
+ * Builds a signature from a challenge's test cases, for challenges stored
+ * before signatures existed. Parameters follow the key order of the first
+ * test input.
+ * @returns {{params: {name: string, type: object}[], returnType: object}}
+ */
+const inferSignature = (testCases) => {
+  const names = Object.keys((testCases[0] && testCases[0].input) || {});
+  return {
+    params: names.map((name) => ({
+      name,
+      type: mergeTypes(
+        testCases.map((testCase) => inferType(testCase.input[name]))
+      ) || { kind: "int" },
+    })),
+    returnType: mergeTypes(
+      testCases.map((testCase) => inferType(testCase.output))
+    ) || { kind: "int" },
+  };
+};
+
+/**
+ * The parsed signature of a challenge: its stored one, or one inferred
+ * from its test cases.
+ */
+const resolveSignature = (challenge) => {
+  const { signature } = challenge;
+  if (!signature || !Array.isArray(signature.params)) {
+    return inferSignature(challenge.testCases || []);
+  }
+  return {
+    params: signature.params.map(({ name, type }) => ({
+      name,
+      type: parseType(type),
+    })),
+    returnType: parseType(signature.returnType),
+  };
+};
+
+module.exports = {
+  parseType,
+  formatType,
+  typeKey,
+  collectTypes,
+  containsKind,
+  inferType,
+  inferSignature,
+  resolveSignature,
+};
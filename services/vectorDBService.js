@@ -101,7 +101,10 @@ class VectorDBService {
           const challengeId = bestMatch.metadata.challengeId;
 
           // Fetch full challenge from MongoDB
-          const challenge = await Challenge.findOne({ challengeId });
+          const challenge = await Challenge.findOne({
+            challengeId,
+            retired: { $ne: true },
+          });
           if (challenge && !challenge.hasSolvedBy(userEmail)) {
             logger.log(
               `Found similar challenge: ${challengeId} (similarity: ${bestMatch.score})`
@@ -143,6 +146,7 @@ class VectorDBService {
         topic,
         difficulty,
         solvedBy: { $nin: [userEmail] },
+        retired: { $ne: true },
       }).sort({ lastUsed: 1 }); // Get least recently used
 
       if (challenge) {
@@ -195,23 +199,7 @@ class VectorDBService {
       await challenge.save();
 
       // Store in Pinecone if initialized
-      if (this.initialized) {
-        await this.index.upsert([
-          {
-            id: challengeId,
-            values: embedding,
-            metadata: {
-              challengeId,
-              topic,
-              difficulty,
-              solvedBy: [],
-              questionText: questionText.substring(0, 500), // Truncate for metadata
-              lastUsed: new Date().toISOString(),
-              usageCount: 0,
-            },
-          },
-        ]);
-
+      if (await this.upsertChallengeVector(challenge)) {
         logger.log(
           `Challenge ${challengeId} stored in both MongoDB and Pinecone`
         );
@@ -238,6 +226,46 @@ class VectorDBService {
     }
   }
 
+  buildVectorMetadata(challenge) {
+    return {
+      challengeId: challenge.challengeId,
+      topic: challenge.topic,
+      difficulty: challenge.difficulty,
+      solvedBy: Array.from(challenge.solvedBy || []),
+      questionText: challenge.questionText.substring(0, 500), // Truncate for metadata
+      lastUsed: new Date(challenge.lastUsed || Date.now()).toISOString(),
+      usageCount: challenge.usageCount || 0,
+    };
+  }
+
+  /**
+   * Writes a challenge's stored embedding and current metadata to Pinecone,
+   * replacing any previous vector.
+   * @param {object} challenge - A Challenge document with its embedding.
+   * @returns {Promise<boolean>} False when Pinecone is unavailable.
+   */
+  async upsertChallengeVector(challenge) {
+    if (!this.initialized) return false;
+    await this.index.upsert([
+      {
+        id: challenge.challengeId,
+        values: Array.from(challenge.embedding),
+        metadata: this.buildVectorMetadata(challenge),
+      },
+    ]);
+    return true;
+  }
+
+  /**
+   * Drops a challenge from Pinecone so similarity search stops finding it.
+   * @returns {Promise<boolean>} False when Pinecone is unavailable.
+   */
+  async removeChallengeVector(challengeId) {
+    if (!this.initialized) return false;
+    await this.index.deleteOne(challengeId);
+    return true;
+  }
+
   async markChallengeSolved(challengeId, userEmail) {
     try {
       // Update MongoDB
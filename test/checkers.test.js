@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const checkers = require("../services/checkers");
+const executor = require("../services/executors");
+const STATUS = require("../services/executors/status");
+
+// What a harness prints: the solution's own output, then the return value
+const printed = (value, logs = "") => `${logs}${JSON.stringify(value)}\n`;
+
+test("parseOutput reads the value from the last line", () => {
+  assert.deepEqual(checkers.parseOutput("debug\n[1,2]\n"), {
+    text: "[1,2]",
+    parsed: true,
+    value: [1, 2],
+  });
+  assert.equal(checkers.parseOutput("not json").parsed, false);
+});
+
+test("the json checker ignores key order and what the solution printed", async () => {
+  const testCase = { input: {}, output: { a: 1, b: [2, 3] } };
+  assert.equal(
+    await checkers.check(null, testCase, printed({ b: [2, 3], a: 1 }, "hi\n")),
+    true
+  );
+  assert.equal(
+    await checkers.check(null, testCase, printed({ a: 1, b: [3, 2] })),
+    false
+  );
+});
+
+test("the exact checker compares the printed text", async () => {
+  const testCase = { input: {}, output: [1, 2] };
+  const checker = { type: "exact" };
+  assert.equal(await checkers.check(checker, testCase, "[1,2]"), true);
+  assert.equal(await checkers.check(checker, testCase, "[1, 2]"), false);
+});
+
+test("the unordered checker accepts any order, nested when asked", async () => {
+  const testCase = {
+    input: {},
+    output: [
+      [1, 2],
+      [3, 4],
+    ],
+  };
+  const swapped = printed([
+    [4, 3],
+    [2, 1],
+  ]);
+  assert.equal(
+    await checkers.check(
+      { type: "unordered" },
+      testCase,
+      printed([
+        [3, 4],
+        [1, 2],
+      ])
+    ),
+    true
+  );
+  assert.equal(
+    await checkers.check({ type: "unordered" }, testCase, swapped),
+    false
+  );
+  assert.equal(
+    await checkers.check(
+      { type: "unordered", nested: true },
+      testCase,
+      swapped
+    ),
+    true
+  );
+});
+
+test("the float checker allows the tolerance, relative for large values", async () => {
+  const check = (expected, actual, tolerance) =>
+    checkers.check(
+      { type: "float", tolerance },
+      { input: {}, output: expected },
+      printed(actual)
+    );
+  assert.equal(await check(0.1, 0.1000001), true);
+  assert.equal(await check(0.1, 0.11), false);
+  assert.equal(await check(1e6, 1e6 + 0.5), true);
+  assert.equal(await check([1, 2.5], [1, 2.5000001]), true);
+  assert.equal(await check(1, 1.05, 0.1), true);
+});
+
+test("the custom checker runs the challenge's check function", async (t) => {
+  // Runs the checker program with node instead of a real executor
+  t.mock.method(executor, "execute", async ({ sourceCode, stdin }) => {
+    const run = spawnSync(process.execPath, ["-e", sourceCode], {
+      input: stdin,
+      encoding: "utf8",
+    });
+    return {
+      status: run.status === 0 ? STATUS.accepted : STATUS.runtimeError,
+      stdout: run.stdout,
+      stderr: run.stderr,
+    };
+  });
+  const checker = {
+    type: "custom",
+    code: "function check(input, expected, actual) { return actual % input.n === 0; }",
+  };
+  const testCase = { input: { n: 3 }, output: null };
+
+  assert.equal(await checkers.check(checker, testCase, printed(9)), true);
+  assert.equal(await checkers.check(checker, testCase, printed(10)), false);
+  assert.equal(executor.execute.mock.callCount(), 2);
+});
+
+test("a custom checker that fails counts as a failed test", async (t) => {
+  t.mock.method(executor, "execute", async () => ({
+    status: STATUS.runtimeError,
+    stdout: "",
+    stderr: "ReferenceError: check is not defined",
+  }));
+  assert.equal(
+    await checkers.check(
+      { type: "custom", code: "" },
+      { input: {}, output: 1 },
+      printed(1)
+    ),
+    false
+  );
+});
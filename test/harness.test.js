@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const harness = require("../services/harness");
+const { parseOutput } = require("../services/checkers");
+const { resolveSignature, formatType } = require("../services/harness/types");
+
+const hasPython =
+  spawnSync("python3", ["--version"], { encoding: "utf8" }).status === 0;
+
+const interpreters = {
+  javascript: [process.execPath, "-e"],
+  python: ["python3", "-c"],
+};
+
+// Builds the harness for `code`, runs it on every test case and returns
+// the values it printed
+const runAll = (language, code, challenge) => {
+  const program = harness.buildProgram(language, code, challenge);
+  const [command, flag] = interpreters[language];
+  return challenge.testCases.map((testCase) => {
+    const run = spawnSync(command, [flag, program], {
+      input: harness.buildInput(challenge, testCase),
+      encoding: "utf8",
+      timeout: 10000,
+    });
+    assert.equal(run.status, 0, run.stderr);
+    return parseOutput(run.stdout).value;
+  });
+};
+
+const twoSum = {
+  functionName: "twoSum",
+  testCases: [
+    { input: { nums: [2, 7, 11, 15], target: 9 }, output: [0, 1] },
+    { input: { nums: [3, 2, 4], target: 6 }, output: [1, 2] },
+  ],
+};
+
+const reverseList = {
+  functionName: "reverseList",
+  signature: {
+    params: [{ name: "head", type: "ListNode" }],
+    returnType: "ListNode",
+  },
+  testCases: [
+    { input: { head: [1, 2, 3] }, output: [3, 2, 1] },
+    { input: { head: [] }, output: [] },
+  ],
+};
+
+test("a signature is inferred from the test cases when there is none", () => {
+  const signature = resolveSignature(twoSum);
+  assert.deepEqual(
+    signature.params.map(({ name, type }) => [name, formatType(type)]),
+    [
+      ["nums", "int[]"],
+      ["target", "int"],
+    ]
+  );
+  assert.equal(formatType(signature.returnType), "int[]");
+});
+
+test("the input lists the arguments in signature order", () => {
+  const challenge = {
+    ...twoSum,
+    signature: {
+      params: [
+        { name: "target", type: "int" },
+        { name: "nums", type: "int[]" },
+      ],
+      returnType: "int[]",
+    },
+  };
+  assert.equal(
+    harness.buildInput(challenge, twoSum.testCases[0]),
+    "[9,[2,7,11,15]]"
+  );
+});
+
+test("the JavaScript harness calls a plain function", () => {
+  const code = `function twoSum(nums, target) {
+    const seen = new Map();
+    for (let i = 0; i < nums.length; i++) {
+      if (seen.has(target - nums[i])) return [seen.get(target - nums[i]), i];
+      seen.set(nums[i], i);
+    }
+  }`;
+  assert.deepEqual(runAll("javascript", code, twoSum), [
+    [0, 1],
+    [1, 2],
+  ]);
+});
+
+test("the JavaScript harness calls a method of a Solution class", () => {
+  const code = `class Solution {
+    twoSum(nums, target) {
+      for (let i = 0; i < nums.length; i++)
+        for (let j = i + 1; j < nums.length; j++)
+          if (nums[i] + nums[j] === target) return [i, j];
+    }
+  }`;
+  assert.deepEqual(runAll("javascript", code, twoSum), [
+    [0, 1],
+    [1, 2],
+  ]);
+});
+
+test("the JavaScript harness converts linked lists both ways", () => {
+  const code = `function reverseList(head) {
+    let previous = null;
+    while (head) [head.next, previous, head] = [previous, head, head.next];
+    return previous;
+  }`;
+  assert.deepEqual(runAll("javascript", code, reverseList), [[3, 2, 1], []]);
+});
+
+test(
+  "the Python harness converts linked lists both ways",
+  {
+    skip: !hasPython && "python3 is not installed",
+  },
+  () => {
+    const code = `class Solution:
+    def reverseList(self, head):
+        previous = None
+        while head:
+            head.next, previous, head = previous, head, head.next
+        return previous
+`;
+    assert.deepEqual(runAll("python", code, reverseList), [[3, 2, 1], []]);
+  }
+);
+
+test("every language builds a program that names the solution", () => {
+  for (const language of ["javascript", "python", "java", "cpp", "go"]) {
+    assert.equal(harness.supportsLanguage(language), true);
+    const program = harness.buildProgram(language, "", twoSum);
+    assert.match(program, /twoSum/, language);
+  }
+  assert.equal(harness.supportsLanguage("brainfuck"), false);
+});
@@ -0,0 +1,218 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const DSAChallengeRoom = require("../models/DSAChallengeRoom");
+const DSAUser = require("../models/DSAUser");
+const { scoreSubmission } = require("../utils/scoring");
+
+const MINUTE = 60 * 1000;
+
+const accepted = { status: "accepted", passedTests: 3, totalTests: 3 };
+const wrongAnswer = {
+  status: "rejected",
+  verdict: "wrong_answer",
+  passedTests: 1,
+  totalTests: 3,
+};
+const compilationError = {
+  status: "rejected",
+  verdict: "compilation_error",
+  passedTests: 0,
+  totalTests: 3,
+};
+
+test("scoreSubmission rewards speed and efficiency", () => {
+  const challenge = { difficulty: "easy" };
+  const score = (solveTime, wrongAttempts = 0, result = {}) =>
+    scoreSubmission({
+      challenge,
+      result,
+      accepted: true,
+      solveTime,
+      timeLimit: 60 * MINUTE,
+      wrongAttempts,
+    }).score;
+
+  assert.equal(score(0), 100);
+  assert.equal(score(30 * MINUTE), 85);
+  assert.equal(score(30 * MINUTE, 2), 65);
+  // Never below the minimum share, however many attempts it took
+  assert.equal(score(60 * MINUTE, 20), 20);
+  assert.ok(score(0, 0, { maxTime: 1.5, maxMemory: 100000 }) < 100);
+});
+
+test("scoreSubmission gives rejected solutions partial credit", () => {
+  const { score } = scoreSubmission({
+    challenge: { maxScore: 400 },
+    result: { passedTests: 2, totalTests: 4 },
+    accepted: false,
+  });
+  assert.equal(score, 100);
+});
+
+// A room with a two-problem round of an hour under way, and players named
+// after their ids
+const createRoom = (scoringMode, playerIds) => {
+  const room = new DSAChallengeRoom(
+    "room-1",
+    "Contest",
+    "easy",
+    false,
+    "Ann",
+    60 * MINUTE,
+    "auth-owner"
+  );
+  room.scoringMode = scoringMode;
+  room.startRound([
+    { title: "P1", difficulty: "easy" },
+    { title: "P2", difficulty: "easy" },
+  ]);
+  const players = playerIds.map((id) => {
+    const user = new DSAUser(
+      id,
+      id,
+      `socket-${id}`,
+      `session-${id}`,
+      `${id}@x`,
+      `auth-${id}`
+    );
+    room.addUser(user);
+    return user;
+  });
+  return { room, players, problems: room.round.problems };
+};
+
+// Submits and judges a solution `minutes` into the round
+const submit = (room, user, problem, minutes, result) => {
+  const { submission } = room.submitSolution(
+    user.id,
+    { language: "javascript", code: "// solution" },
+    problem.id
+  );
+  submission.submittedAt = new Date(
+    room.startTime.getTime() + minutes * MINUTE
+  );
+  room.updateSubmissionResult(submission.id, result);
+  return submission;
+};
+
+test("points mode ranks by the total of each player's best scores", () => {
+  const { room, players, problems } = createRoom("points", ["a", "b", "c"]);
+  const [a, b] = players;
+
+  submit(room, a, problems[0], 10, accepted);
+  // A slower resubmission does not lower the best score
+  submit(room, a, problems[0], 50, accepted);
+  submit(room, b, problems[0], 20, wrongAnswer);
+  submit(room, b, problems[0], 30, accepted);
+  submit(room, b, problems[1], 40, accepted);
+
+  assert.deepEqual(
+    room
+      .getLeaderboard()
+      .map(({ userId, rank, score }) => ({ userId, rank, score })),
+    [
+      { userId: "b", rank: 1, score: 155 },
+      { userId: "a", rank: 2, score: 95 },
+      { userId: "c", rank: 3, score: 0 },
+    ]
+  );
+});
+
+test("icpc mode ranks by problems solved, then penalty minutes", () => {
+  const { room, players, problems } = createRoom("icpc", ["a", "b", "c"]);
+  const [a, b] = players;
+
+  // Code that doesn't compile costs no penalty
+  submit(room, a, problems[0], 2, compilationError);
+  submit(room, a, problems[0], 10, accepted);
+  submit(room, b, problems[0], 1, wrongAnswer);
+  submit(room, b, problems[0], 5, accepted);
+
+  assert.deepEqual(
+    room.getLeaderboard().map(({ userId, rank, solved, penalty }) => ({
+      userId,
+      rank,
+      solved,
+      penalty,
+    })),
+    [
+      { userId: "a", rank: 1, solved: 1, penalty: 10 },
+      { userId: "b", rank: 2, solved: 1, penalty: 25 },
+      { userId: "c", rank: 3, solved: 0, penalty: 0 },
+    ]
+  );
+});
+
+test("first-blood mode adds a bonus for the first passing submission", () => {
+  const { room, players, problems } = createRoom("first-blood", ["a", "b"]);
+  const [a, b] = players;
+
+  // Judged first, but submitted after a
+  submit(room, b, problems[0], 20, accepted);
+  submit(room, a, problems[0], 10, accepted);
+
+  assert.deepEqual(
+    room.getLeaderboard().map(({ userId, score, firstSolves }) => ({
+      userId,
+      score,
+      firstSolves,
+    })),
+    [
+      { userId: "a", score: 120, firstSolves: 1 },
+      { userId: "b", score: 90, firstSolves: 0 },
+    ]
+  );
+  const [cell] = room.getLeaderboard()[0].problems;
+  assert.equal(cell.firstSolve, true);
+  assert.equal(cell.solvedAt, 10);
+});
+
+test("players level on every tiebreaker share a rank", () => {
+  const { room } = createRoom("points", ["a", "b", "c"]);
+  assert.deepEqual(
+    room.getLeaderboard().map((entry) => entry.rank),
+    [1, 1, 1]
+  );
+});
+
+test("spectators are not ranked", () => {
+  const { room } = createRoom("points", ["a"]);
+  room.markSpectator("auth-watcher");
+  const watcher = new DSAUser(
+    "w",
+    "w",
+    "socket-w",
+    "session-w",
+    "w@x",
+    "auth-watcher"
+  );
+  room.addUser(watcher);
+
+  assert.deepEqual(
+    room.getLeaderboard().map((entry) => entry.userId),
+    ["a"]
+  );
+});
+
+test("the standings of a round still rank players who left during it", () => {
+  const { room, players, problems } = createRoom("points", ["a", "b"]);
+  const [a] = players;
+  submit(room, a, problems[0], 10, accepted);
+  room.removeUser(a.id);
+
+  const problemIds = problems.map((problem) => problem.id);
+  assert.deepEqual(
+    room.getLeaderboard({ problemIds }).map(({ userId, score }) => ({
+      userId,
+      score,
+    })),
+    [
+      { userId: "a", score: 95 },
+      { userId: "b", score: 0 },
+    ]
+  );
+  assert.deepEqual(
+    room.getLeaderboard().map((entry) => entry.userId),
+    ["b"]
+  );
+});
@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  expectedScore,
+  difficultyWeightOf,
+  computeRatingChanges,
+} = require("../utils/rating");
+const ratingService = require("../services/RatingService");
+const UserRating = require("../models/UserRating");
+const RatedRound = require("../models/RatedRound");
+const config = require("../config/config");
+
+const player = (email, rank, rating = 1200, gamesPlayed = 20) => ({
+  email,
+  rank,
+  rating,
+  gamesPlayed,
+});
+
+test("expectedScore follows the Elo curve", () => {
+  assert.equal(expectedScore(1200, 1200), 0.5);
+  assert.ok(Math.abs(expectedScore(1600, 1200) - 10 / 11) < 1e-12);
+  assert.ok(
+    Math.abs(expectedScore(1400, 1300) + expectedScore(1300, 1400) - 1) < 1e-12
+  );
+});
+
+test("difficulty weights are averaged over the known difficulties", () => {
+  assert.equal(difficultyWeightOf(["easy", "hard"]), 1);
+  assert.equal(difficultyWeightOf(["hard", "unknown"]), 1.25);
+  assert.equal(difficultyWeightOf([]), 1);
+});
+
+test("the winner of an even duel gains half of K", () => {
+  const changes = computeRatingChanges(
+    [player("a", 1), player("b", 2)],
+    ["medium"]
+  );
+  assert.deepEqual(changes.get("a"), { before: 1200, after: 1216, change: 16 });
+  assert.deepEqual(changes.get("b"), {
+    before: 1200,
+    after: 1184,
+    change: -16,
+  });
+});
+
+test("new players move faster and harder challenges weigh more", () => {
+  const provisional = computeRatingChanges(
+    [player("a", 1, 1200, 0), player("b", 2)],
+    ["medium"]
+  );
+  assert.equal(provisional.get("a").change, 24);
+  assert.equal(provisional.get("b").change, -16);
+
+  const hard = computeRatingChanges([player("a", 1), player("b", 2)], ["hard"]);
+  assert.equal(hard.get("a").change, 20);
+});
+
+test("a shared rank is a draw and the room size does not inflate changes", () => {
+  const draw = computeRatingChanges(
+    [player("a", 1, 1300), player("b", 1, 1100)],
+    ["medium"]
+  );
+  assert.ok(draw.get("a").change < 0);
+  assert.equal(draw.get("a").change, -draw.get("b").change);
+
+  const four = computeRatingChanges(
+    [player("a", 1), player("b", 2), player("c", 3), player("d", 4)],
+    ["medium"]
+  );
+  assert.deepEqual(
+    ["a", "b", "c", "d"].map((email) => four.get(email).change),
+    [16, 5, -5, -16]
+  );
+});
+
+test("ratings never drop below the minimum", () => {
+  const changes = computeRatingChanges(
+    [player("a", 1), player("b", 2, config.rating.minRating)],
+    ["medium"]
+  );
+  assert.equal(changes.get("b").after, config.rating.minRating);
+  assert.equal(changes.get("b").change, 0);
+});
+
+test("a single player is not rated", () => {
+  assert.equal(computeRatingChanges([player("a", 1)], ["easy"]).size, 0);
+});
+
+const mockStoredRatings = (t, records) => {
+  t.mock.method(UserRating, "find", () => ({ lean: async () => records }));
+  t.mock.method(RatedRound, "create", async () => ({}));
+  t.mock.method(RatedRound, "deleteOne", async () => ({}));
+  return t.mock.method(UserRating, "bulkWrite", async () => ({}));
+};
+
+const result = {
+  roomId: "room-1",
+  roundId: "round-1",
+  challengeIds: ["c1"],
+  difficulties: ["medium"],
+  standings: [
+    { email: "A@x.com", rank: 1 },
+    { email: "b@x.com", rank: 2 },
+  ],
+};
+
+test("recordResults moves stored ratings by their change", async (t) => {
+  const bulkWrite = mockStoredRatings(t, [
+    { email: "b@x.com", rating: 1200, gamesPlayed: 20 },
+  ]);
+
+  const changes = await ratingService.recordResults(result);
+
+  assert.deepEqual(changes.get("A@x.com"), {
+    before: 1200,
+    after: 1224,
+    change: 24,
+  });
+  const [writes] = bulkWrite.mock.calls[0].arguments;
+  const creates = writes.slice(0, 2).map((write) => write.updateOne);
+  const updates = writes.slice(2).map((write) => write.updateOne);
+
+  // New players start from the initial rating, existing ones keep theirs
+  assert.deepEqual(
+    creates.map(({ filter, update, upsert }) => [filter, update, upsert]),
+    ["a@x.com", "b@x.com"].map((email) => [
+      { email },
+      { $setOnInsert: { rating: config.rating.initialRating } },
+      true,
+    ])
+  );
+  assert.deepEqual(
+    updates.map(({ update }) => update.$inc),
+    [
+      { rating: 24, gamesPlayed: 1 },
+      { rating: -16, gamesPlayed: 1 },
+    ]
+  );
+  // A player who already has this round in their history is skipped
+  assert.deepEqual(updates[0].filter, {
+    email: "a@x.com",
+    history: {
+      $not: { $elemMatch: { roomId: "room-1", roundId: "round-1" } },
+    },
+  });
+});
+
+test("recordResults rates a round only once", async (t) => {
+  const bulkWrite = mockStoredRatings(t, []);
+  RatedRound.create.mock.mockImplementation(async () => {
+    throw Object.assign(new Error("duplicate key"), { code: 11000 });
+  });
+
+  const changes = await ratingService.recordResults(result);
+
+  assert.equal(changes.size, 0);
+  assert.equal(bulkWrite.mock.callCount(), 0);
+});
+
+test("recordResults lets a failed round be rated again", async (t) => {
+  const bulkWrite = mockStoredRatings(t, []);
+  bulkWrite.mock.mockImplementation(async () => {
+    throw new Error("connection lost");
+  });
+
+  await assert.rejects(ratingService.recordResults(result), /connection lost/);
+  assert.deepEqual(RatedRound.deleteOne.mock.calls[0].arguments, [
+    { key: "room-1:round-1" },
+  ]);
+});
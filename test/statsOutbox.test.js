@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const statsOutboxService = require("../services/StatsOutboxService");
+const StatsUpdate = require("../models/StatsUpdate");
+const config = require("../config/config");
+
+const NOW = new Date("2026-01-01T00:00:00Z").getTime();
+
+// An update as claimNext hands it over, on its `attempts`th attempt
+const claimedUpdate = (attempts) => ({
+  _id: "update-1",
+  idempotencyKey: "room-1:round-1:a@x.com",
+  email: "a@x.com",
+  payload: { email: "a@x.com", stats: { won: true } },
+  status: "delivering",
+  lockedUntil: new Date(NOW + config.statsOutbox.lockTimeout),
+  attempts,
+});
+
+const httpError = (status) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { message: "nope" } },
+  });
+
+// Delivers `update` with the API answering `outcome`, and returns the
+// filter and change written back to the outbox
+const deliverWith = async (t, update, outcome) => {
+  t.mock.timers.enable({ apis: ["Date"], now: NOW });
+  t.mock.method(axios, "post", async () => {
+    if (outcome instanceof Error) throw outcome;
+    return { status: 200 };
+  });
+  const updateOne = t.mock.method(StatsUpdate, "updateOne", async () => ({}));
+
+  await statsOutboxService.deliver(update);
+
+  assert.equal(updateOne.mock.callCount(), 1);
+  const [filter, change] = updateOne.mock.calls[0].arguments;
+  return { filter, change };
+};
+
+test("a delivered update is marked delivered while the claim holds", async (t) => {
+  const update = claimedUpdate(1);
+  const { filter, change } = await deliverWith(t, update, "ok");
+
+  assert.deepEqual(filter, {
+    _id: update._id,
+    status: "delivering",
+    lockedUntil: update.lockedUntil,
+  });
+  assert.equal(change.$set.status, "delivered");
+  assert.deepEqual(axios.post.mock.calls[0].arguments[2].headers, {
+    "Content-Type": "application/json",
+    "x-internal-api-key": process.env.INTERNAL_API_SECRET,
+    "Idempotency-Key": update.idempotencyKey,
+  });
+});
+
+test("failed deliveries are retried with exponential backoff", async (t) => {
+  const { baseRetryDelay } = config.statsOutbox;
+  for (const attempts of [1, 2, 3]) {
+    await t.test(`attempt ${attempts}`, async (t) => {
+      const { filter, change } = await deliverWith(
+        t,
+        claimedUpdate(attempts),
+        httpError(503)
+      );
+      assert.equal(filter.status, "delivering");
+      assert.equal(change.$set.status, "pending");
+      assert.equal(
+        change.$set.nextAttemptAt.getTime(),
+        NOW + baseRetryDelay * 2 ** (attempts - 1)
+      );
+      assert.match(change.$set.lastError, /HTTP 503/);
+    });
+  }
+});
+
+test("the retry delay is capped", async (t) => {
+  const { change } = await deliverWith(
+    t,
+    claimedUpdate(config.statsOutbox.maxAttempts - 1),
+    new Error("socket hang up")
+  );
+  assert.ok(
+    change.$set.nextAttemptAt.getTime() - NOW <=
+      config.statsOutbox.maxRetryDelay
+  );
+});
+
+test("rate limiting and timeouts are retried", async (t) => {
+  for (const status of [408, 429]) {
+    await t.test(`HTTP ${status}`, async (t) => {
+      const { change } = await deliverWith(
+        t,
+        claimedUpdate(1),
+        httpError(status)
+      );
+      assert.equal(change.$set.status, "pending");
+    });
+  }
+});
+
+test("refused updates are dead-lettered without a retry", async (t) => {
+  const { change } = await deliverWith(t, claimedUpdate(1), httpError(400));
+  assert.equal(change.$set.status, "dead");
+  assert.match(change.$set.lastError, /HTTP 400/);
+});
+
+test("updates that run out of attempts are dead-lettered", async (t) => {
+  const { change } = await deliverWith(
+    t,
+    claimedUpdate(config.statsOutbox.maxAttempts),
+    httpError(500)
+  );
+  assert.equal(change.$set.status, "dead");
+});
+
+test("a poll delivers due updates until none are left", async (t) => {
+  const due = [claimedUpdate(1), { ...claimedUpdate(1), _id: "update-2" }];
+  t.mock.method(statsOutboxService, "claimNext", async () => due.shift());
+  const deliver = t.mock.method(statsOutboxService, "deliver", async () => {});
+
+  await statsOutboxService.poll();
+
+  assert.deepEqual(
+    deliver.mock.calls.map((call) => call.arguments[0]._id),
+    ["update-1", "update-2"]
+  );
+  assert.equal(statsOutboxService.polling, false);
+});
+
+test("enqueue skips updates already in the outbox", async (t) => {
+  t.mock.method(statsOutboxService, "poll", async () => {});
+  const duplicate = Object.assign(new Error("duplicate"), {
+    writeErrors: [{ code: 11000 }],
+  });
+  const insertMany = t.mock.method(StatsUpdate, "insertMany", async () => {
+    throw duplicate;
+  });
+
+  await statsOutboxService.enqueue([
+    { roomId: "room-1", roundId: "round-1", email: "a@x.com", payload: {} },
+  ]);
+  assert.equal(
+    insertMany.mock.calls[0].arguments[0][0].idempotencyKey,
+    "room-1:round-1:a@x.com"
+  );
+
+  insertMany.mock.mockImplementation(async () => {
+    throw new Error("not connected");
+  });
+  await assert.rejects(
+    statsOutboxService.enqueue([
+      { roomId: "room-1", roundId: "round-1", email: "a@x.com", payload: {} },
+    ]),
+    /not connected/
+  );
+});
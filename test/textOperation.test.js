@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const textOperation = require("../utils/textOperation");
+const Room = require("../models/Room");
+const config = require("../config/config");
+
+// Small deterministic generator so failures can be replayed
+const createRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2 ** 31;
+  return seed / 2 ** 31;
+};
+
+// A random operation that applies to `doc`
+const randomOperation = (doc, random) => {
+  const operation = [];
+  let position = 0;
+  while (position < doc.length) {
+    const length = 1 + Math.floor(random() * (doc.length - position));
+    const choice = random();
+    if (choice < 0.4) {
+      operation.push(length);
+    } else if (choice < 0.7) {
+      operation.push(-length);
+    } else {
+      operation.push("xyz".slice(0, 1 + Math.floor(random() * 3)));
+      continue;
+    }
+    position += length;
+  }
+  if (random() < 0.5) operation.push("end");
+  return textOperation.normalize(operation);
+};
+
+test("transform makes concurrent operations converge", () => {
+  const random = createRandom(42);
+  for (let i = 0; i < 500; i++) {
+    const doc = "abcdefghij".slice(0, Math.floor(random() * 11));
+    const a = randomOperation(doc, random);
+    const b = randomOperation(doc, random);
+    const [aPrime, bPrime] = textOperation.transform(a, b);
+
+    assert.equal(
+      textOperation.apply(textOperation.apply(doc, a), bPrime),
+      textOperation.apply(textOperation.apply(doc, b), aPrime),
+      `diverged on ${JSON.stringify({ doc, a, b })}`
+    );
+  }
+});
+
+test("transform puts the first operation's insert first on a tie", () => {
+  const [aPrime, bPrime] = textOperation.transform([1, "A", 1], [1, "B", 1]);
+  assert.equal(textOperation.apply("xy", [1, "A", 1]), "xAy");
+  assert.equal(textOperation.apply("xAy", bPrime), "xABy");
+  assert.equal(textOperation.apply("xBy", aPrime), "xABy");
+});
+
+test("fromDiff replaces only the changed region", () => {
+  const operation = textOperation.fromDiff("hello world", "hello there world");
+  assert.deepEqual(operation, [6, "there ", 5]);
+  assert.equal(
+    textOperation.apply("hello world", operation),
+    "hello there world"
+  );
+});
+
+test("isValid rejects malformed components", () => {
+  assert.equal(textOperation.isValid([2, "a", -1]), true);
+  assert.equal(textOperation.isValid([1.5]), false);
+  assert.equal(textOperation.isValid([""]), false);
+  assert.equal(textOperation.isValid("abc"), false);
+});
+
+const createRoom = (code) => {
+  const room = new Room("room-1", "Pairing", "javascript", false, "Ann", "a");
+  room.updateTabCode("main", code);
+  return room;
+};
+
+test("applyTabOperation applies an operation on the current revision", () => {
+  const room = createRoom("abc");
+  const { revision } = room.getTab("main");
+
+  const result = room.applyTabOperation("main", revision, [3, "X"]);
+
+  assert.deepEqual(result, {
+    success: true,
+    operation: [3, "X"],
+    revision: revision + 1,
+  });
+  assert.equal(room.getTab("main").code, "abcX");
+});
+
+test("applyTabOperation transforms a stale operation over later ones", () => {
+  const room = createRoom("abc");
+  const base = room.getTab("main").revision;
+
+  room.applyTabOperation("main", base, [3, "X"]);
+  room.applyTabOperation("main", base + 1, [-1, 3]);
+  const result = room.applyTabOperation("main", base, ["Y", 3]);
+
+  assert.equal(result.success, true);
+  assert.equal(result.revision, base + 3);
+  assert.deepEqual(result.operation, ["Y", 3]);
+  assert.equal(room.getTab("main").code, "YbcX");
+});
+
+test("applyTabOperation refuses revisions it cannot transform from", () => {
+  const room = createRoom("abc");
+  const { revision } = room.getTab("main");
+
+  assert.deepEqual(room.applyTabOperation("main", revision + 1, [3]), {
+    success: false,
+    reason: "Revision out of range",
+  });
+  assert.equal(room.applyTabOperation("main", 1.5, [3]).success, false);
+  assert.deepEqual(room.applyTabOperation("main", revision, [1.5]), {
+    success: false,
+    reason: "Invalid operation",
+  });
+  assert.deepEqual(room.applyTabOperation("missing", revision, [3]), {
+    success: false,
+    reason: "Tab not found",
+  });
+});
+
+test("applyTabOperation leaves the tab alone when an operation does not fit", () => {
+  const room = createRoom("abc");
+  const { revision } = room.getTab("main");
+
+  const result = room.applyTabOperation("main", revision, [10, "X"]);
+
+  assert.equal(result.success, false);
+  assert.equal(room.getTab("main").code, "abc");
+  assert.equal(room.getTab("main").revision, revision);
+});
+
+test("applyTabOperation forgets revisions older than the kept history", () => {
+  const room = createRoom("");
+  const base = room.getTab("main").revision;
+  const { maxOperationHistory } = config.room;
+  for (let i = 0; i <= maxOperationHistory; i++) {
+    room.applyTabOperation("main", base + i, [i, "a"].filter(Boolean));
+  }
+
+  // Every operation added one character, so the document at a revision
+  // is as long as the number of operations before it
+  const oldest = room.getTab("main").revision - maxOperationHistory;
+  assert.equal(
+    room.applyTabOperation("main", oldest - 1, ["b"]).reason,
+    "Revision out of range"
+  );
+  assert.equal(
+    room.applyTabOperation("main", oldest, [oldest - base, "b"]).success,
+    true
+  );
+});
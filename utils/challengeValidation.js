@@ -0,0 +1,251 @@
+const vm = require("vm");
+const { parseType } = require("../services/harness/types");
+const { CHECKER_TYPES } = require("../services/checkers");
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Named like Mongoose's own validation errors so callers can treat both
+// as bad input
+class ChallengeValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Hidden test cases judge submissions but are never shown to players.
+ * Test cases stored before samples existed carry no flag and stay hidden.
+ */
+const isHiddenTestCase = (testCase) => testCase.hidden !== false;
+
+// Fields a challenge needs before it can be played
+const REQUIRED_FIELDS = [
+  "title",
+  "description",
+  "examples",
+  "constraints",
+  "template",
+  "testCases",
+  "functionName",
+];
+
+/**
+ * Checks a challenge signature: known types, and parameter names that
+ * match every test input.
+ * @param {{params: {name: string, type: string}[], returnType: string}} signature
+ * @param {object[]} testCases
+ */
+const validateSignature = (signature, testCases) => {
+  if (!Array.isArray(signature.params) || signature.params.length === 0) {
+    throw new ChallengeValidationError("Signature needs at least one param");
+  }
+  try {
+    signature.params.forEach((param) => parseType(param.type));
+    parseType(signature.returnType);
+  } catch (error) {
+    throw new ChallengeValidationError(`Invalid signature: ${error.message}`);
+  }
+
+  const names = signature.params.map((param) => param.name);
+  if (names.some((name) => !/^[A-Za-z_$][\w$]*$/.test(name))) {
+    throw new ChallengeValidationError(
+      "Signature param names must be valid identifiers"
+    );
+  }
+  const mismatched = testCases.findIndex(
+    (testCase) =>
+      !testCase.input ||
+      Object.keys(testCase.input).length !== names.length ||
+      names.some((name) => !(name in testCase.input))
+  );
+  if (mismatched !== -1) {
+    throw new ChallengeValidationError(
+      `Test case ${mismatched + 1} input does not match the signature params`
+    );
+  }
+};
+
+/**
+ * Checks a challenge's output checker: a known type, a usable tolerance,
+ * and custom checker code that at least compiles.
+ * @param {{type: string, tolerance?: number, nested?: boolean, code?: string}} checker
+ */
+const validateChecker = (checker) => {
+  // A checker without a type compares JSON, like no checker at all
+  if (
+    typeof checker !== "object" ||
+    (checker.type !== undefined && !CHECKER_TYPES.includes(checker.type))
+  ) {
+    throw new ChallengeValidationError(
+      `Checker type must be one of: ${CHECKER_TYPES.join(", ")}`
+    );
+  }
+  if (
+    checker.tolerance !== undefined &&
+    !(typeof checker.tolerance === "number" && checker.tolerance >= 0)
+  ) {
+    throw new ChallengeValidationError(
+      "Checker tolerance must be a non-negative number"
+    );
+  }
+  if (checker.nested !== undefined && typeof checker.nested !== "boolean") {
+    throw new ChallengeValidationError("Checker nested flag must be boolean");
+  }
+  if (checker.type === "custom") {
+    if (typeof checker.code !== "string" || !/\bcheck\b/.test(checker.code)) {
+      throw new ChallengeValidationError(
+        "Custom checker code must define check(input, expected, actual)"
+      );
+    }
+    // Only parsed here; it runs on the code executor
+    try {
+      new vm.Script(checker.code);
+    } catch (error) {
+      throw new ChallengeValidationError(
+        `Custom checker does not compile: ${error.message}`
+      );
+    }
+  }
+};
+
+/**
+ * Checks per-test time (seconds) and memory (KB) limits; either may be
+ * left out to use the default.
+ * @param {{timeLimit?: number, memoryLimit?: number}} limits
+ */
+const validateLimits = (limits) => {
+  const { timeLimit, memoryLimit } = limits;
+  if (
+    timeLimit !== undefined &&
+    timeLimit !== null &&
+    !(typeof timeLimit === "number" && timeLimit > 0 && timeLimit <= 60)
+  ) {
+    throw new ChallengeValidationError(
+      "timeLimit must be between 0 and 60 seconds"
+    );
+  }
+  if (
+    memoryLimit !== undefined &&
+    memoryLimit !== null &&
+    !(
+      Number.isInteger(memoryLimit) &&
+      memoryLimit >= 16 * 1024 &&
+      memoryLimit <= 1024 * 1024
+    )
+  ) {
+    throw new ChallengeValidationError(
+      "memoryLimit must be a whole number of KB between 16 MB and 1 GB"
+    );
+  }
+};
+
+/**
+ * Checks that a challenge has everything a room needs to play it. Throws
+ * with a readable message on the first problem found.
+ * @param {object} challengeData
+ * @returns {true}
+ */
+const validateChallenge = (challengeData) => {
+  const missing = REQUIRED_FIELDS.filter((field) => !challengeData[field]);
+
+  if (missing.length > 0) {
+    throw new ChallengeValidationError(
+      `Missing required fields: ${missing.join(", ")}`
+    );
+  }
+
+  if (!challengeData.testCases || challengeData.testCases.length < 3) {
+    throw new ChallengeValidationError("At least 3 test cases required");
+  }
+
+  if (
+    !challengeData.template ||
+    Object.keys(challengeData.template).length === 0
+  ) {
+    throw new ChallengeValidationError(
+      "Template for at least one language required"
+    );
+  }
+
+  if (challengeData.signature) {
+    validateSignature(challengeData.signature, challengeData.testCases);
+  }
+
+  if (challengeData.checker) {
+    validateChecker(challengeData.checker);
+  }
+
+  if (challengeData.limits) {
+    validateLimits(challengeData.limits);
+  }
+
+  return true;
+};
+
+/**
+ * Stricter checks for challenges written by hand through the challenge
+ * bank API, on top of validateChallenge.
+ * @param {object} challengeData
+ * @returns {true}
+ */
+const validateAuthoredChallenge = (challengeData) => {
+  validateChallenge(challengeData);
+
+  const { topic, difficulty, maxScore, functionName, examples, testCases } =
+    challengeData;
+
+  if (typeof topic !== "string" || !topic.trim()) {
+    throw new ChallengeValidationError("Topic is required");
+  }
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw new ChallengeValidationError("Invalid difficulty level");
+  }
+  if (typeof maxScore !== "number" || !(maxScore > 0)) {
+    throw new ChallengeValidationError("maxScore must be a positive number");
+  }
+  if (!/^[A-Za-z_$][\w$]*$/.test(functionName)) {
+    throw new ChallengeValidationError(
+      "functionName must be a valid identifier"
+    );
+  }
+  if (!Array.isArray(examples) || !Array.isArray(challengeData.constraints)) {
+    throw new ChallengeValidationError(
+      "examples and constraints must be arrays"
+    );
+  }
+  if (
+    !Array.isArray(testCases) ||
+    testCases.some(
+      (testCase) =>
+        !testCase ||
+        testCase.input === undefined ||
+        testCase.output === undefined
+    )
+  ) {
+    throw new ChallengeValidationError(
+      "Every test case needs an input and an output"
+    );
+  }
+  if (
+    testCases.some(
+      (testCase) =>
+        testCase.hidden !== undefined && typeof testCase.hidden !== "boolean"
+    )
+  ) {
+    throw new ChallengeValidationError("Test case hidden flag must be boolean");
+  }
+
+  return true;
+};
+
+module.exports = {
+  DIFFICULTIES,
+  ChallengeValidationError,
+  isHiddenTestCase,
+  validateChallenge,
+  validateAuthoredChallenge,
+  validateSignature,
+  validateChecker,
+  validateLimits,
+};
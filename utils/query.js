@@ -0,0 +1,13 @@
+/**
+ * A positive integer from a query string value, or `fallback` when the
+ * value is missing or not one.
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+module.exports = { parsePositiveInt };
@@ -0,0 +1,73 @@
+const config = require("../config/config");
+
+// Chance that a player rated `rating` finishes ahead of one rated
+// `opponentRating`
+const expectedScore = (rating, opponentRating) =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+const kFactorOf = (gamesPlayed) => {
+  const { kFactor, provisionalKFactor, provisionalGames } = config.rating;
+  return gamesPlayed < provisionalGames ? provisionalKFactor : kFactor;
+};
+
+/**
+ * How much the challenges played should weigh: the mean of their
+ * difficulty weights, 1 when unknown.
+ * @param {string[]} difficulties
+ */
+const difficultyWeightOf = (difficulties) => {
+  const weights = config.rating.difficultyWeights;
+  const known = difficulties.filter((difficulty) => weights[difficulty]);
+  if (known.length === 0) return 1;
+  return (
+    known.reduce((total, difficulty) => total + weights[difficulty], 0) /
+    known.length
+  );
+};
+
+/**
+ * Multi-player Elo: every player plays a game against every other, won by
+ * whoever ranked higher and drawn on a shared rank. The change is the
+ * average over those games, so the room size doesn't inflate it.
+ * @param {{email: string, rank: number, rating: number,
+ *   gamesPlayed: number}[]} standings
+ * @param {string[]} difficulties - Of the challenges played.
+ * @returns {Map<string, {before: number, after: number, change: number}>}
+ * By email.
+ */
+const computeRatingChanges = (standings, difficulties) => {
+  const changes = new Map();
+  if (standings.length < 2) return changes;
+
+  const weight = difficultyWeightOf(difficulties);
+  for (const player of standings) {
+    let delta = 0;
+    for (const opponent of standings) {
+      if (opponent === player) continue;
+      const actual =
+        player.rank < opponent.rank
+          ? 1
+          : player.rank === opponent.rank
+          ? 0.5
+          : 0;
+      delta += actual - expectedScore(player.rating, opponent.rating);
+    }
+
+    const change = Math.round(
+      (kFactorOf(player.gamesPlayed) * weight * delta) / (standings.length - 1)
+    );
+    const after = Math.max(config.rating.minRating, player.rating + change);
+    changes.set(player.email, {
+      before: player.rating,
+      after,
+      change: after - player.rating,
+    });
+  }
+  return changes;
+};
+
+module.exports = {
+  expectedScore,
+  difficultyWeightOf,
+  computeRatingChanges,
+};
@@ -0,0 +1,209 @@
+// Role model shared by collaborative rooms and DSA challenge rooms.
+//
+// Roles are ranked; a user can only act on users ranked below them and can
+// only hand out roles ranked below their own. The owner role is not
+// assigned directly, it moves with transferOwnership.
+
+const ROLES = {
+  OWNER: "owner",
+  MODERATOR: "moderator",
+  PARTICIPANT: "participant",
+  SPECTATOR: "spectator",
+};
+
+const ROLE_RANKS = {
+  spectator: 0,
+  participant: 1,
+  moderator: 2,
+  owner: 3,
+};
+
+const PARTICIPANT_PERMISSIONS = [
+  "chat",
+  "edit",
+  "edit-main-tab",
+  "submit",
+  "run-code",
+];
+const MODERATOR_PERMISSIONS = [
+  ...PARTICIPANT_PERMISSIONS,
+  "kick",
+  "mute",
+  "manage-invites",
+  "manage-roles",
+  "set-topic",
+  "update-settings",
+  "view-submissions",
+  "generate-challenge",
+  "end-challenge",
+];
+
+const PERMISSIONS = {
+  owner: [...MODERATOR_PERMISSIONS, "transfer-ownership", "delete-room"],
+  moderator: MODERATOR_PERMISSIONS,
+  participant: PARTICIPANT_PERMISSIONS,
+  spectator: ["chat"],
+};
+
+// Permissions taken away while a user is muted
+const MUTED_PERMISSIONS = ["chat", "edit", "edit-main-tab"];
+
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+const rankOf = (role) => ROLE_RANKS[role] ?? -1;
+
+/**
+ * Checks whether a role grants a permission.
+ * @param {string} role
+ * @param {string} permission
+ * @param {{muted?: boolean}} [options]
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission, { muted = false } = {}) => {
+  if (muted && MUTED_PERMISSIONS.includes(permission)) return false;
+  return (PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Checks whether `actorRole` may act on a user holding `targetRole`
+ * (kick, mute, change role).
+ */
+const outranks = (actorRole, targetRole) =>
+  rankOf(actorRole) > rankOf(targetRole);
+
+/**
+ * Checks whether `actorRole` may move a user from `currentRole` to
+ * `newRole`.
+ */
+const canAssignRole = (actorRole, currentRole, newRole) =>
+  hasPermission(actorRole, "manage-roles") &&
+  isValidRole(newRole) &&
+  newRole !== ROLES.OWNER &&
+  outranks(actorRole, currentRole) &&
+  outranks(actorRole, newRole);
+
+/**
+ * Next role up or down the ladder from `role`, or null at either end.
+ * The owner role is never reached this way.
+ * @param {string} role
+ * @param {1|-1} direction
+ * @returns {string|null}
+ */
+const stepRole = (role, direction) => {
+  const ladder = [ROLES.SPECTATOR, ROLES.PARTICIPANT, ROLES.MODERATOR];
+  const index = ladder.indexOf(role);
+  if (index === -1) return null;
+  return ladder[index + direction] || null;
+};
+
+/**
+ * Role, mute and join checks shared by Room and DSAChallengeRoom, mixed
+ * into their prototypes. The room provides `ownerId`, `roles`,
+ * `mutedUsers`, `bannedUsers`, `users`, `isPrivate` and `access`.
+ */
+const roomRoleMethods = {
+  /**
+   * Public rooms are open to everyone. Private ones need a password or an
+   * invite, except for identities that already hold a moderator role or
+   * better. Kicked identities are kept out of both until the ban is lifted.
+   * @returns {{allowed: boolean, code?: string, message?: string}}
+   */
+  authorizeJoin(authId, credentials) {
+    if (this.isBanned(authId)) {
+      return {
+        allowed: false,
+        code: "BANNED",
+        message: "You were removed from this room",
+      };
+    }
+    if (!this.isPrivate || this.can({ authId }, "manage-invites")) {
+      return { allowed: true };
+    }
+    return this.access.admit(authId, credentials);
+  },
+
+  // Whether `user` is one of the people in the room right now
+  hasMember(user) {
+    return Boolean(user && this.users.some((u) => u.id === user.id));
+  },
+
+  isOwner(user) {
+    return Boolean(user && user.authId && user.authId === this.ownerId);
+  },
+
+  getRole(user) {
+    if (this.isOwner(user)) return ROLES.OWNER;
+    return (user && this.roles.get(user.authId)) || ROLES.PARTICIPANT;
+  },
+
+  can(user, permission) {
+    return hasPermission(this.getRole(user), permission, {
+      muted: this.isMuted(user),
+    });
+  },
+
+  isMuted(user) {
+    return Boolean(user && this.mutedUsers.has(user.authId));
+  },
+
+  /**
+   * Roles are stored per verified identity, so they survive reconnects and
+   * rejoins.
+   */
+  setRole(authId, role) {
+    this.roles.set(authId, role);
+    this.refreshUserRoles();
+    this.lastActivity = new Date();
+  },
+
+  // Newcomers asking to watch only; existing roles are left alone
+  markSpectator(authId) {
+    if (authId === this.ownerId || this.roles.has(authId)) return;
+    this.setRole(authId, ROLES.SPECTATOR);
+  },
+
+  setMuted(authId, muted) {
+    if (muted) this.mutedUsers.add(authId);
+    else this.mutedUsers.delete(authId);
+    this.refreshUserRoles();
+    this.lastActivity = new Date();
+  },
+
+  isBanned(authId) {
+    return Boolean(authId && this.bannedUsers.has(authId));
+  },
+
+  setBanned(authId, banned) {
+    if (banned) this.bannedUsers.add(authId);
+    else this.bannedUsers.delete(authId);
+    this.lastActivity = new Date();
+  },
+
+  // The previous owner stays on as a moderator
+  transferOwnership(authId) {
+    const previousOwnerId = this.ownerId;
+    this.ownerId = authId;
+    this.roles.delete(authId);
+    if (previousOwnerId) this.roles.set(previousOwnerId, ROLES.MODERATOR);
+    this.refreshUserRoles();
+    this.lastActivity = new Date();
+  },
+
+  // Keeps the role shown on each user object in step with the room
+  refreshUserRoles() {
+    this.users.forEach((user) => {
+      user.role = this.getRole(user);
+      user.muted = this.isMuted(user);
+    });
+  },
+};
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasPermission,
+  outranks,
+  canAssignRole,
+  stepRole,
+  roomRoleMethods,
+};
@@ -0,0 +1,99 @@
+const config = require("../config/config");
+
+// How a room ranks its players:
+// - points: total of each player's best score per challenge
+// - icpc: challenges solved, then fewest penalty minutes
+// - first-blood: points plus a bonus for each challenge solved first
+const SCORING_MODES = ["points", "icpc", "first-blood"];
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Time and memory each test case of a challenge may use.
+ * @param {object} challenge
+ * @returns {{timeLimit: number, memoryLimit: number}} CPU seconds and KB.
+ */
+const resolveTestLimits = (challenge) => {
+  const limits = (challenge && challenge.limits) || {};
+  return {
+    timeLimit: limits.timeLimit || config.dsaChallenge.testTimeLimit,
+    memoryLimit: limits.memoryLimit || config.dsaChallenge.testMemoryLimit,
+  };
+};
+
+/**
+ * The most a challenge is worth, from the challenge itself or else its
+ * difficulty.
+ */
+const resolveMaxScore = (challenge) =>
+  (challenge && challenge.maxScore) ||
+  config.scoring.defaultMaxScore[challenge && challenge.difficulty] ||
+  config.scoring.defaultMaxScore.easy;
+
+// 1 when a resource went unused, 0 at its limit; unmeasured counts as 1
+const efficiencyOf = (used, limit) =>
+  typeof used === "number" ? clamp(1 - used / limit) : 1;
+
+/**
+ * Scores one judged submission. An accepted solution earns a base share of
+ * the challenge's maxScore plus shares for how quickly it was solved and
+ * how little time and memory it used, minus a penalty per earlier wrong
+ * attempt; a rejected one earns partial credit by tests passed.
+ * @param {object} params
+ * @param {object} params.challenge - maxScore, difficulty and limits.
+ * @param {object} params.result - passedTests, totalTests, maxTime, maxMemory.
+ * @param {boolean} params.accepted
+ * @param {number} params.solveTime - ms from challenge start to submission.
+ * @param {number} params.timeLimit - ms the challenge runs for.
+ * @param {number} params.wrongAttempts - Rejected submissions before this one.
+ * @returns {{score: number, breakdown: object}}
+ */
+const scoreSubmission = ({
+  challenge,
+  result,
+  accepted,
+  solveTime,
+  timeLimit,
+  wrongAttempts,
+}) => {
+  const weights = config.scoring;
+  const maxScore = resolveMaxScore(challenge);
+
+  if (!accepted) {
+    const passedShare = result.totalTests
+      ? (result.passedTests || 0) / result.totalTests
+      : 0;
+    return {
+      score: Math.round(maxScore * weights.partialShare * passedShare),
+      breakdown: { maxScore, passedShare },
+    };
+  }
+
+  const limits = resolveTestLimits(challenge);
+  const speed = timeLimit > 0 ? clamp(1 - solveTime / timeLimit) : 1;
+  const efficiency =
+    (efficiencyOf(result.maxTime, limits.timeLimit) +
+      efficiencyOf(result.maxMemory, limits.memoryLimit)) /
+    2;
+  const penalty = wrongAttempts * weights.wrongAttemptPenalty;
+
+  const share = Math.max(
+    weights.minShare,
+    weights.baseWeight +
+      weights.speedWeight * speed +
+      weights.efficiencyWeight * efficiency -
+      penalty
+  );
+
+  return {
+    score: Math.round(maxScore * share),
+    breakdown: { maxScore, speed, efficiency, wrongAttempts, penalty },
+  };
+};
+
+module.exports = {
+  SCORING_MODES,
+  resolveTestLimits,
+  resolveMaxScore,
+  scoreSubmission,
+};
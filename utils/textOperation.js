@@ -0,0 +1,216 @@
+// Plain-text operational transform used by the collaborative editor.
+//
+// An operation is an array of components applied left to right over the
+// document:
+//   - positive integer n: retain n characters
+//   - non-empty string s: insert s at the current position
+//   - negative integer -n: delete n characters
+// The format is the same one used by ot.js, so existing client libraries can
+// produce and consume it directly.
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) =>
+  typeof component === "string" && component.length > 0;
+
+/**
+ * Returns a normalized copy of the operation: adjacent components of the same
+ * kind are merged, inserts come before deletes at the same position and
+ * empty components are dropped.
+ * @param {Array<number|string>} operation
+ * @returns {Array<number|string>}
+ */
+const normalize = (operation) => {
+  const result = [];
+
+  const push = (component) => {
+    if (component === 0 || component === "") return;
+    const last = result[result.length - 1];
+
+    if (isRetain(component)) {
+      if (isRetain(last)) result[result.length - 1] = last + component;
+      else result.push(component);
+    } else if (isInsert(component)) {
+      if (isInsert(last)) {
+        result[result.length - 1] = last + component;
+      } else if (isDelete(last)) {
+        // Keep inserts ahead of deletes so equal operations compare equal
+        const before = result[result.length - 2];
+        if (isInsert(before)) {
+          result[result.length - 2] = before + component;
+        } else {
+          result.splice(result.length - 1, 0, component);
+        }
+      } else {
+        result.push(component);
+      }
+    } else if (isDelete(component)) {
+      if (isDelete(last)) result[result.length - 1] = last + component;
+      else result.push(component);
+    }
+  };
+
+  operation.forEach(push);
+  return result;
+};
+
+/**
+ * Checks that a value is a well-formed operation.
+ * @param {*} operation
+ * @returns {boolean}
+ */
+const isValid = (operation) =>
+  Array.isArray(operation) &&
+  operation.every(
+    (component) =>
+      isRetain(component) || isInsert(component) || isDelete(component)
+  );
+
+/**
+ * Length of the document the operation expects to be applied to.
+ * @param {Array<number|string>} operation
+ * @returns {number}
+ */
+const baseLength = (operation) =>
+  operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isDelete(component)) return length - component;
+    return length;
+  }, 0);
+
+/**
+ * Applies an operation to a document.
+ * @param {string} doc
+ * @param {Array<number|string>} operation
+ * @returns {string}
+ */
+const apply = (doc, operation) => {
+  if (baseLength(operation) !== doc.length) {
+    throw new Error(
+      "Operation base length does not match the document length"
+    );
+  }
+
+  const parts = [];
+  let index = 0;
+
+  for (const component of operation) {
+    if (isRetain(component)) {
+      parts.push(doc.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  }
+
+  return parts.join("");
+};
+
+/**
+ * Transforms two concurrent operations that were both made against the same
+ * document. Returns [aPrime, bPrime] such that
+ * apply(apply(doc, a), bPrime) === apply(apply(doc, b), aPrime).
+ * When both operations insert at the same position, `a` goes first.
+ * @param {Array<number|string>} a
+ * @param {Array<number|string>} b
+ * @returns {[Array<number|string>, Array<number|string>]}
+ */
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error("Concurrent operations must have the same base length");
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  const opsA = a.slice();
+  const opsB = b.slice();
+  let i = 0;
+  let j = 0;
+  let compA = opsA[i++];
+  let compB = opsB[j++];
+
+  while (compA !== undefined || compB !== undefined) {
+    if (isInsert(compA)) {
+      aPrime.push(compA);
+      bPrime.push(compA.length);
+      compA = opsA[i++];
+      continue;
+    }
+    if (isInsert(compB)) {
+      aPrime.push(compB.length);
+      bPrime.push(compB);
+      compB = opsB[j++];
+      continue;
+    }
+
+    if (compA === undefined || compB === undefined) {
+      throw new Error("Operations cannot be transformed: lengths differ");
+    }
+
+    if (isRetain(compA) && isRetain(compB)) {
+      const min = Math.min(compA, compB);
+      aPrime.push(min);
+      bPrime.push(min);
+      compA = compA === min ? opsA[i++] : compA - min;
+      compB = compB === min ? opsB[j++] : compB - min;
+    } else if (isDelete(compA) && isDelete(compB)) {
+      // Both sides deleted the same text; nothing left to do for it
+      const min = Math.min(-compA, -compB);
+      compA = -compA === min ? opsA[i++] : compA + min;
+      compB = -compB === min ? opsB[j++] : compB + min;
+    } else if (isDelete(compA) && isRetain(compB)) {
+      const min = Math.min(-compA, compB);
+      aPrime.push(-min);
+      compA = -compA === min ? opsA[i++] : compA + min;
+      compB = compB === min ? opsB[j++] : compB - min;
+    } else {
+      const min = Math.min(compA, -compB);
+      bPrime.push(-min);
+      compA = compA === min ? opsA[i++] : compA - min;
+      compB = -compB === min ? opsB[j++] : compB + min;
+    }
+  }
+
+  return [normalize(aPrime), normalize(bPrime)];
+};
+
+/**
+ * Builds an operation that turns `oldDoc` into `newDoc` by replacing the
+ * region between their common prefix and suffix. Used to fold whole-buffer
+ * updates from older clients into the operation history.
+ * @param {string} oldDoc
+ * @param {string} newDoc
+ * @returns {Array<number|string>}
+ */
+const fromDiff = (oldDoc, newDoc) => {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldDoc.length, newDoc.length);
+  while (prefix < maxPrefix && oldDoc[prefix] === newDoc[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldDoc[oldDoc.length - 1 - suffix] === newDoc[newDoc.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return normalize([
+    prefix,
+    newDoc.slice(prefix, newDoc.length - suffix),
+    -(oldDoc.length - prefix - suffix),
+    suffix,
+  ]);
+};
+
+module.exports = {
+  normalize,
+  isValid,
+  baseLength,
+  apply,
+  transform,
+  fromDiff,
+};